@@ -1,5 +1,14 @@
 export * from '@un-test/core'
 export * from '@un-test/runners-local'
-export { setupCleanroom, isCleanroomActive, teardownCleanroom } from '@un-test/runners-cleanroom'
+export {
+  setupCleanroom,
+  isCleanroomActive,
+  teardownCleanroom,
+  getCleanroom,
+  createCleanroom,
+  createCleanroomPool,
+  cleanroomPool,
+  runCleanroomMatrix,
+} from '@un-test/runners-cleanroom'
 export * from '@un-test/scenario'
 export * from '@un-test/coverage'
@@ -25,8 +25,8 @@ FROM node:${nodeVersion}
 
 WORKDIR /app
 
-# Copy package management files
-COPY package*.json pnpm-lock.yaml yarn.lock ./
+# Copy package management files (globs so missing lockfiles are skipped)
+COPY package*.json pnpm-lock.yaml* yarn.lock* ./
 
 # Install dependencies (fallback to npm if others fail)
 RUN if [ -f pnpm-lock.yaml ]; then npm install -g pnpm && pnpm install; \\
@@ -51,13 +51,23 @@ ENV RUN_CLEANROOM=0
     consola.info('🐳 Dockerfile already exists, skipping generation.')
   }
 
+  // Keep host node_modules out of the image so native modules are built for the container's libc
+  const dockerignorePath = resolve(cwd, '.dockerignore')
+  if (!existsSync(dockerignorePath)) {
+    await writeFile(dockerignorePath, ['node_modules', '.git', '.ctu', 'coverage', ''].join('\n'), 'utf8')
+    consola.success('✅ Generated .dockerignore for cleanroom builds.')
+  }
+
   // Update vitest config
   const vitestConfigPath = resolve(cwd, 'vitest.config.js')
   if (existsSync(vitestConfigPath)) {
     let config = await readFile(vitestConfigPath, 'utf8')
     if (!config.includes('cleanroom')) {
       // Basic injection attempt
-      config = config.replace('test: {', 'test: {\n    citty: {\n      cleanroom: { enabled: true }\n    },')
+      config = config.replace(
+        'test: {',
+        "test: {\n    citty: {\n      cleanroom: { enabled: true, dockerfile: 'Dockerfile' }\n    },"
+      )
       await writeFile(vitestConfigPath, config, 'utf8')
       consola.success('✅ Injected cleanroom configuration into vitest.config.js')
     } else {
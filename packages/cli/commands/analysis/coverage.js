@@ -10,6 +10,7 @@ import { resolveCLIEntry, getCLIEntryArgs } from '@un-test/coverage'
 import {
   validateCLIPath,
   buildAnalysisMetadata,
+  exportCoverage,
 } from '@un-test/coverage'
 import { writeFileSync } from 'fs'
 
@@ -27,7 +28,7 @@ export const coverageCommand = defineCommand({
     },
     format: {
       type: 'string',
-      description: 'Output format (text, json, html)',
+      description: 'Output format (text, json, html, lcov, cobertura, junit)',
       default: 'text',
     },
     output: {
@@ -59,6 +60,20 @@ export const coverageCommand = defineCommand({
       description: 'Comma-separated patterns to exclude',
       default: 'node_modules,.git,coverage',
     },
+    runners: {
+      type: 'string',
+      description: 'Comma-separated names of your own functions that run the CLI in tests',
+      default: '',
+    },
+    runtime: {
+      type: 'boolean',
+      description: 'Report what the last test run recorded with CTU_COVERAGE=1 instead of scanning test files',
+      default: false,
+    },
+    run: {
+      type: 'string',
+      description: 'Recorded test run to report with --runtime (default: the latest)',
+    },
   },
   run: async (ctx) => {
     const {
@@ -73,6 +88,9 @@ export const coverageCommand = defineCommand({
       verbose,
       'include-patterns': includePatterns,
       'exclude-patterns': excludePatterns,
+      runners,
+      runtime,
+      run: runId,
     } = ctx.args
 
     try {
@@ -89,6 +107,9 @@ export const coverageCommand = defineCommand({
         testDir,
         includePatterns: includePatterns.split(',').map((p) => p.trim()),
         excludePatterns: excludePatterns.split(',').map((p) => p.trim()),
+        runners: runners.split(',').map((name) => name.trim()).filter(Boolean),
+        runtime,
+        runId,
         verbose,
       })
 
@@ -99,6 +120,7 @@ export const coverageCommand = defineCommand({
         console.log(`Format: ${format}`)
         console.log(`Threshold: ${threshold}%`)
         console.log(`Trends: ${trends}`)
+        console.log(`Runtime: ${runtime}${runId ? ` (run ${runId})` : ''}`)
       }
 
       // Perform coverage analysis with better error handling
@@ -180,6 +202,10 @@ function generateCoverageReport(report, options) {
       return generateJSONCoverageReport(report, options)
     case 'html':
       return generateHTMLCoverageReport(report, options)
+    case 'lcov':
+    case 'cobertura':
+    case 'junit':
+      return exportCoverage(report, format)
     case 'text':
     default:
       return generateTextCoverageReport(report, options)
@@ -234,6 +260,16 @@ function generateTextCoverageReport(report, options) {
   lines.push(
     `  Options: ${coverage.options.tested}/${coverage.options.total} (${coverage.options.percentage.toFixed(1)}%)`
   )
+  if (coverage.positionals) {
+    lines.push(
+      `  Positionals: ${coverage.positionals.tested}/${coverage.positionals.total} (${coverage.positionals.percentage.toFixed(1)}%)`
+    )
+  }
+  if (coverage.enumValues?.total > 0) {
+    lines.push(
+      `  Enum Values: ${coverage.enumValues.tested}/${coverage.enumValues.total} (${coverage.enumValues.percentage.toFixed(1)}%)`
+    )
+  }
   lines.push(
     `  Overall: ${coverage.overall.tested}/${coverage.overall.total} (${coverage.overall.percentage.toFixed(1)}%)`
   )
@@ -277,6 +313,14 @@ function generateTextCoverageReport(report, options) {
         lines.push(`      ${optionStatus} --${optionName}: ${option.description || 'No description'}`)
       }
     }
+
+    // Positional arguments
+    if (command.positionals && Object.keys(command.positionals).length > 0) {
+      for (const [positionalName, positional] of Object.entries(command.positionals)) {
+        const positionalStatus = positional.tested ? '✅' : '❌'
+        lines.push(`      ${positionalStatus} <${positionalName}>: ${positional.description || 'No description'}`)
+      }
+    }
   }
   lines.push('')
 
@@ -315,7 +359,8 @@ function generateTextCoverageReport(report, options) {
     lines.push('❌ Untested Flags:')
     details.untestedFlags.forEach((flag) => {
       const global = flag.global ? ' (global)' : ''
-      lines.push(`  - --${flag.name}: ${flag.description}${global}`)
+      const command = flag.command ? `${flag.command} ` : ''
+      lines.push(`  - ${command}--${flag.name}: ${flag.description}${global}`)
     })
     lines.push('')
   }
@@ -324,7 +369,24 @@ function generateTextCoverageReport(report, options) {
     lines.push('❌ Untested Options:')
     details.untestedOptions.forEach((option) => {
       const global = option.global ? ' (global)' : ''
-      lines.push(`  - --${option.name}: ${option.description}${global}`)
+      const command = option.command ? `${option.command} ` : ''
+      lines.push(`  - ${command}--${option.name}: ${option.description}${global}`)
+    })
+    lines.push('')
+  }
+
+  if (details.untestedPositionals?.length > 0) {
+    lines.push('❌ Untested Positional Arguments:')
+    details.untestedPositionals.forEach((positional) => {
+      lines.push(`  - ${positional.command} <${positional.name}>: ${positional.description}`)
+    })
+    lines.push('')
+  }
+
+  if (details.untestedEnumValues?.length > 0) {
+    lines.push('❌ Untested Enum Values:')
+    details.untestedEnumValues.forEach((entry) => {
+      lines.push(`  - ${entry.command} --${entry.name}=${entry.value}`)
     })
     lines.push('')
   }
@@ -344,11 +406,17 @@ function generateTextCoverageReport(report, options) {
     lines.push(`  CLI Path: ${report.metadata.cliPath}`)
     lines.push(`  Test Directory: ${report.metadata.testDir}`)
     lines.push(`  Analysis Method: ${report.metadata.analysisMethod}`)
+    if (report.metadata.runId) {
+      lines.push(`  Test Run: ${report.metadata.runId} (${report.metadata.totalInvocations} invocations)`)
+    }
     lines.push(`  Total Test Files: ${report.metadata.totalTestFiles}`)
     lines.push(`  Total Commands: ${report.metadata.totalCommands}`)
     lines.push(`  Total Subcommands: ${report.metadata.totalSubcommands || 0}`)
     lines.push(`  Total Flags: ${report.metadata.totalFlags}`)
     lines.push(`  Total Options: ${report.metadata.totalOptions}`)
+    if (report.metadata.totalPositionals !== undefined) {
+      lines.push(`  Total Positionals: ${report.metadata.totalPositionals}`)
+    }
     lines.push('')
   }
 
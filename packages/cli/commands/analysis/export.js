@@ -1,7 +1,7 @@
 import { consola } from '@un-test/core'
 /**
  * @fileoverview Export coverage data subcommand
- * @description Export coverage data in structured formats (JSON, Turtle) with AST caching
+ * @description Export coverage data in structured formats (JSON, Turtle, LCOV, Cobertura, JUnit) with AST caching
  */
 
 import { defineCommand } from 'citty'
@@ -9,12 +9,13 @@ import { ASTAnalyzer } from '@un-test/coverage'
 import { CLCoverageAnalyzer } from '@un-test/coverage'
 import { parseCliOptions, resolveCliPath } from '@un-test/coverage'
 import { getCLIEntryArgs } from '@un-test/coverage'
+import { EXPORT_FORMATS, exportCoverage } from '@un-test/coverage'
 import { writeFileSync } from 'node:fs'
 
 export const exportCommand = defineCommand({
   meta: {
     name: 'export',
-    description: 'Export coverage data in structured formats (JSON, Turtle)',
+    description: 'Export coverage data in structured formats (JSON, Turtle, LCOV, Cobertura, JUnit)',
   },
   args: {
     ...getCLIEntryArgs(),
@@ -38,7 +39,7 @@ export const exportCommand = defineCommand({
     },
     format: {
       type: 'string',
-      description: 'Export format (json, turtle)',
+      description: 'Export format (json, turtle, lcov, cobertura, junit)',
       default: 'json',
     },
     output: {
@@ -75,7 +76,7 @@ export const exportCommand = defineCommand({
     if (ctx.args['show-help'] || ctx.args.help) {
       console.log('ctu analysis export - Export coverage data in structured formats')
       console.log('\nOPTIONS')
-      console.log('  --format      Export format (json, turtle)')
+      console.log('  --format      Export format (json, turtle, lcov, cobertura, junit)')
       console.log('  --output      Output file path (required for export)')
       console.log('  --base-uri    Base URI for Turtle/RDF output')
       console.log('  --cli-name    CLI name for Turtle/RDF output')
@@ -130,7 +131,7 @@ export const exportCommand = defineCommand({
         })
 
         const report = await analyzer.analyze()
-        const formattedReport = JSON.stringify(report, null, 2)
+        const formattedReport = EXPORT_FORMATS.includes(format) ? exportCoverage(report, format) : JSON.stringify(report, null, 2)
 
         writeFileSync(output, formattedReport)
         consola.success(`✅ AST-based coverage data exported to: ${output}`)
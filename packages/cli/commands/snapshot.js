@@ -0,0 +1,60 @@
+// src/commands/snapshot.js - Snapshot noun command
+
+import { defineCommand } from 'citty'
+import { listCommand } from './snapshot/list.js'
+import { obsoleteCommand } from './snapshot/obsolete.js'
+import { pruneCommand } from './snapshot/prune.js'
+import { reviewCommand } from './snapshot/review.js'
+
+export const snapshotCommand = defineCommand({
+  meta: {
+    name: 'snapshot',
+    description: 'Manage snapshot files',
+  },
+  run: async (ctx) => {
+    const { json } = ctx.args
+
+    if (ctx.args._.length === 0) {
+      const help = {
+        name: 'snapshot',
+        description: 'Manage snapshot files',
+        usage: 'ctu snapshot <verb> [options]',
+        verbs: [
+          { name: 'list', description: 'List snapshot files with their test and status' },
+          { name: 'obsolete', description: 'Show snapshots no test used in the last run' },
+          { name: 'prune', description: 'Delete obsolete snapshots' },
+          { name: 'review', description: 'Accept or reject snapshots that failed in the last run' },
+        ],
+      }
+
+      if (json) {
+        console.log(JSON.stringify(help, null, 2))
+      } else {
+        console.log('Snapshot Command - Manage snapshot files')
+        console.log('')
+        console.log('USAGE ctu snapshot <verb> [options]')
+        console.log('')
+        console.log('VERBS')
+        console.log('')
+        help.verbs.forEach((verb) => {
+          console.log(`  ${verb.name.padEnd(12)} ${verb.description}`)
+        })
+        console.log('')
+        console.log('EXAMPLES')
+        console.log('  ctu snapshot list')
+        console.log('  ctu snapshot obsolete --json')
+        console.log('  ctu snapshot prune --dry-run')
+        console.log('  ctu snapshot review')
+        console.log('')
+        console.log('Use ctu snapshot <verb> --help for more information about a verb.')
+      }
+      return
+    }
+  },
+  subCommands: {
+    list: listCommand,
+    obsolete: obsoleteCommand,
+    prune: pruneCommand,
+    review: reviewCommand,
+  },
+})
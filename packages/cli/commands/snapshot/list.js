@@ -0,0 +1,44 @@
+// src/commands/snapshot/list.js - Snapshot list verb command
+
+import { defineCommand } from 'citty'
+import { listSnapshots, readLastSnapshotRun, snapshotDisplayPath } from '@un-test/core'
+
+export const listCommand = defineCommand({
+  meta: {
+    name: 'list',
+    description: 'List snapshot files with their test and status in the last run',
+  },
+  args: {
+    dir: { type: 'string', description: 'Directory to search for snapshots', default: '.' },
+    'snapshot-dir': { type: 'string', description: 'Name of snapshot directories', default: '__snapshots__' },
+    json: { type: 'boolean', description: 'Output in JSON format', default: false },
+  },
+  run: async (ctx) => {
+    const { dir, json } = ctx.args
+    const run = readLastSnapshotRun()
+    const snapshots = listSnapshots(dir, { snapshotDir: ctx.args['snapshot-dir'] }).map((snapshot) => ({
+      path: snapshotDisplayPath(snapshot.path),
+      name: snapshot.snapshotName,
+      testFile: snapshot.testFile && snapshotDisplayPath(snapshot.testFile),
+      size: snapshot.size,
+      modified: snapshot.modified.toISOString(),
+      lastRun: run?.entries.get(snapshot.path)?.status ?? (snapshot.valid ? null : 'invalid'),
+    }))
+
+    if (json) {
+      console.log(JSON.stringify({ runId: run?.runId ?? null, snapshots }, null, 2))
+      return
+    }
+
+    if (snapshots.length === 0) {
+      console.log('No snapshots found')
+      return
+    }
+
+    console.log(`📸 ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`)
+    for (const snapshot of snapshots) {
+      console.log(`  ${(snapshot.lastRun || 'not run').padEnd(8)} ${snapshot.path}`)
+      if (snapshot.testFile) console.log(`           test: ${snapshot.testFile}`)
+    }
+  },
+})
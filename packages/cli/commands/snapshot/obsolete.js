@@ -0,0 +1,46 @@
+// src/commands/snapshot/obsolete.js - Snapshot obsolete verb command
+
+import { defineCommand } from 'citty'
+import { findObsoleteSnapshots, readLastSnapshotRun, snapshotDisplayPath } from '@un-test/core'
+
+export const obsoleteCommand = defineCommand({
+  meta: {
+    name: 'obsolete',
+    description: 'Show snapshots no test used in the last run',
+  },
+  args: {
+    dir: { type: 'string', description: 'Directory to search for snapshots', default: '.' },
+    'snapshot-dir': { type: 'string', description: 'Name of snapshot directories', default: '__snapshots__' },
+    json: { type: 'boolean', description: 'Output in JSON format', default: false },
+  },
+  run: async (ctx) => {
+    const { dir, json } = ctx.args
+    const obsolete = findObsoleteSnapshots(dir, { snapshotDir: ctx.args['snapshot-dir'] })
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          obsolete.map((snapshot) => ({ path: snapshotDisplayPath(snapshot.path), name: snapshot.snapshotName, reason: snapshot.reason })),
+          null,
+          2
+        )
+      )
+      return
+    }
+
+    if (!readLastSnapshotRun()) {
+      console.log('⚠️ No recorded test run; only snapshots of deleted test files are reported')
+    }
+    if (obsolete.length === 0) {
+      console.log('✅ No obsolete snapshots')
+      return
+    }
+
+    console.log(`🗑️ ${obsolete.length} obsolete snapshot${obsolete.length === 1 ? '' : 's'}`)
+    for (const snapshot of obsolete) {
+      console.log(`  ${snapshotDisplayPath(snapshot.path)} (${snapshot.reason})`)
+    }
+    console.log('')
+    console.log('Run ctu snapshot prune to delete them.')
+  },
+})
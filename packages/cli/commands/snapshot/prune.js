@@ -0,0 +1,59 @@
+// src/commands/snapshot/prune.js - Snapshot prune verb command
+
+import { defineCommand } from 'citty'
+import * as readline from 'node:readline'
+import { findObsoleteSnapshots, pruneSnapshots, snapshotDisplayPath } from '@un-test/core'
+
+export const pruneCommand = defineCommand({
+  meta: {
+    name: 'prune',
+    description: 'Delete obsolete snapshots',
+  },
+  args: {
+    dir: { type: 'string', description: 'Directory to search for snapshots', default: '.' },
+    'snapshot-dir': { type: 'string', description: 'Name of snapshot directories', default: '__snapshots__' },
+    'dry-run': { type: 'boolean', description: 'Show what would be deleted without deleting', default: false },
+    yes: { type: 'boolean', description: 'Delete without asking for confirmation', default: false },
+    json: { type: 'boolean', description: 'Output in JSON format', default: false },
+  },
+  run: async (ctx) => {
+    const { dir, yes, json } = ctx.args
+    const dryRun = ctx.args['dry-run']
+    const obsolete = findObsoleteSnapshots(dir, { snapshotDir: ctx.args['snapshot-dir'] })
+
+    if (obsolete.length === 0) {
+      console.log(json ? JSON.stringify({ deleted: [], dryRun }) : '✅ No obsolete snapshots')
+      return
+    }
+
+    if (!json) {
+      for (const snapshot of obsolete) {
+        console.log(`  ${snapshotDisplayPath(snapshot.path)} (${snapshot.reason})`)
+      }
+    }
+    if (dryRun) {
+      const paths = obsolete.map((snapshot) => snapshotDisplayPath(snapshot.path))
+      console.log(json ? JSON.stringify({ deleted: paths, dryRun }) : `Would delete ${paths.length} snapshot${paths.length === 1 ? '' : 's'}`)
+      return
+    }
+
+    if (!yes && !(await confirm(`Delete ${obsolete.length} obsolete snapshot${obsolete.length === 1 ? '' : 's'}? [y/N] `))) {
+      console.log('Aborted, nothing deleted')
+      return
+    }
+
+    const deleted = pruneSnapshots(obsolete).map((path) => snapshotDisplayPath(path))
+    console.log(json ? JSON.stringify({ deleted, dryRun }) : `🗑️ Deleted ${deleted.length} snapshot${deleted.length === 1 ? '' : 's'}`)
+  },
+})
+
+function confirm(query) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  return new Promise((resolve) => {
+    rl.on('close', () => resolve(false))
+    rl.question(query, (answer) => {
+      resolve(/^y(es)?$/i.test(answer.trim()))
+      rl.close()
+    })
+  })
+}
@@ -0,0 +1,79 @@
+// src/commands/snapshot/review.js - Snapshot review verb command
+
+import { defineCommand } from 'citty'
+import * as readline from 'node:readline'
+import { getPendingSnapshotReviews, resolveSnapshotReview, snapshotDisplayPath, unifiedDiff } from '@un-test/core'
+
+const DECISIONS = { a: 'accept', r: 'reject', s: 'skip', q: 'quit' }
+
+const asText = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2))
+
+export const reviewCommand = defineCommand({
+  meta: {
+    name: 'review',
+    description: 'Accept or reject snapshots that failed in the last run',
+  },
+  args: {
+    'accept-all': { type: 'boolean', description: 'Accept every failed snapshot without asking', default: false },
+    json: { type: 'boolean', description: 'List pending reviews in JSON format without prompting', default: false },
+  },
+  run: async (ctx) => {
+    const { json } = ctx.args
+    const reviews = getPendingSnapshotReviews()
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          reviews.map((review) => ({ path: snapshotDisplayPath(review.snapshotPath), name: review.snapshotName, expected: review.expected, received: review.received })),
+          null,
+          2
+        )
+      )
+      return
+    }
+
+    if (reviews.length === 0) {
+      console.log('✅ No failed snapshots to review')
+      return
+    }
+
+    // Decisions are applied after the last prompt, so quitting halfway writes only what was decided
+    const decisions = []
+    if (ctx.args['accept-all']) {
+      decisions.push(...reviews.map((review) => [review, 'accept']))
+    } else {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+      // End of input (e.g. piped answers running out) counts as quit
+      let closed = false
+      rl.on('close', () => (closed = true))
+      const ask = (query) =>
+        new Promise((resolve) => {
+          if (closed) return resolve('q')
+          rl.once('close', () => resolve('q'))
+          rl.question(query, resolve)
+        })
+
+      for (const [index, review] of reviews.entries()) {
+        console.log('')
+        console.log(`📸 [${index + 1}/${reviews.length}] ${review.snapshotName} (${snapshotDisplayPath(review.snapshotPath)})`)
+        console.log(unifiedDiff(asText(review.expected), asText(review.received)))
+
+        let decision
+        while (!decision) {
+          decision = DECISIONS[(await ask('[a]ccept, [r]eject, [s]kip, [q]uit? ')).trim().toLowerCase()[0]]
+        }
+        if (decision === 'quit') break
+        if (decision !== 'skip') decisions.push([review, decision])
+      }
+      rl.close()
+    }
+
+    for (const [review, decision] of decisions) {
+      resolveSnapshotReview(review, decision)
+    }
+
+    const count = (decision) => decisions.filter(([, made]) => made === decision).length
+    console.log('')
+    console.log(`Accepted ${count('accept')}, rejected ${count('reject')}, left ${reviews.length - decisions.length} for later`)
+  },
+})
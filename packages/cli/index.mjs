@@ -11,6 +11,7 @@ import { infoCommand } from './commands/info.js'
 import { installDepsCommand } from './commands/install-deps.js'
 import { autoCommand } from './commands/auto.js'
 import { analysisCommand } from './commands/analysis.js'
+import { snapshotCommand } from './commands/snapshot.js'
 
 // Create hooks instance
 const hooks = createHooks()
@@ -72,18 +73,19 @@ const utu = defineCommand({
     gen: genCommand,
     runner: runnerCommand,
     info: infoCommand,
+    snapshot: snapshotCommand,
     'install-deps': installDepsCommand,
   },
 })
 
-const subcommands = ['auto', 'analysis', 'test', 'gen', 'runner', 'info', 'install-deps']
+const subcommands = ['auto', 'analysis', 'test', 'gen', 'runner', 'info', 'snapshot', 'install-deps']
 const args = process.argv.slice(2)
 const firstPositional = args.find(arg => !arg.startsWith('-'))
 
 if (firstPositional && !subcommands.includes(firstPositional)) {
   console.error(`Unknown command: ${firstPositional}`)
   console.log('un-test-utils CLI (ctu v1.0.0)')
-  console.log('\nUSAGE ctu [OPTIONS] auto|analysis|test|gen|runner|info|install-deps')
+  console.log('\nUSAGE ctu [OPTIONS] auto|analysis|test|gen|runner|info|snapshot|install-deps')
   console.log('\nOPTIONS')
   console.log('  --show-help       Show help information')
   console.log('  --show-version    Show version information')
@@ -96,6 +98,7 @@ if (firstPositional && !subcommands.includes(firstPositional)) {
   console.log('  gen             Generate test files and templates using nunjucks')
   console.log('  runner          Custom runner functionality')
   console.log('  info            Show CLI information')
+  console.log('  snapshot        List, prune and review snapshot files')
   console.log('  install-deps    Automatically detect package manager and install dependencies')
   process.exit(1)
 }
@@ -1,7 +1,13 @@
 import { consola } from '../index.js'
 import { destr } from 'destr'
 import { matchSnapshot, snapshotUtils } from './snapshot.js'
-import { resolve } from 'pathe'
+import { matchInlineSnapshot } from './inline-snapshot.js'
+import { matchDirectorySnapshot } from './directory-snapshot.js'
+import { parseJsonOutput, validateSchema } from './json-schema.js'
+import { softExpectation } from './soft.js'
+import { terminalAssertions } from './terminal.js'
+import { signalExitCode } from '../utils/signals.js'
+import { basename, resolve } from 'pathe'
 
 export function wrapExpectation(result) {
   // Use the actual command that was executed
@@ -52,6 +58,30 @@ export function wrapExpectation(result) {
       if (fn) fn(json)
       return this
     },
+    // Every violation is reported with its JSON path; NDJSON output is validated line by line
+    expectJsonSchema(schema, { ndjson = false } = {}) {
+      if (!result.stdout?.trim()) {
+        throw new Error('Expected JSON output matching the schema, but stdout is empty')
+      }
+      const violations = []
+      const records = parseJsonOutput(result.stdout, { ndjson })
+      for (const record of records) {
+        const prefix = ndjson ? `line ${record.line}: ` : ''
+        if (record.error) {
+          violations.push(`${prefix}invalid JSON (${record.error})`)
+          continue
+        }
+        violations.push(...validateSchema(record.value, schema).map((violation) => `${prefix}${violation.message}`))
+      }
+      if (violations.length > 0) {
+        throw new Error(
+          `Expected ${ndjson ? `${records.length} NDJSON records` : 'JSON output'} to match the schema, found ${violations.length} violation${violations.length === 1 ? '' : 's'}:\n` +
+            violations.map((violation) => `  ${violation}\n`).join('') +
+            `Command: ${actualCommand}`
+        )
+      }
+      return this
+    },
     expectSuccess() {
       return this.expectExit(0)
     },
@@ -155,6 +185,43 @@ export function wrapExpectation(result) {
       }
       return this
     },
+    expectOomKilled() {
+      const oomKilled = result.oomKilled ?? result.exitCode === 137
+      if (!oomKilled) {
+        throw new Error(
+          `Expected command to be OOM-killed, but it exited with code ${result.exitCode}\n` +
+            `Command: ${actualCommand}\n` +
+            `Stderr: ${result.stderr}`
+        )
+      }
+      return this
+    },
+    expectSignal(name) {
+      // A CLI that handles the signal itself conventionally exits with 128 + signal number
+      if (result.signal !== name && result.exitCode !== signalExitCode(name)) {
+        throw new Error(
+          `Expected command to be terminated by ${name}, but it exited with code ${result.exitCode}` +
+            `${result.signal ? ` (signal ${result.signal})` : ''}\n` +
+            `Signals sent: ${(result.signalsSent || []).map((sent) => `${sent.name} at ${sent.atMs}ms`).join(', ') || 'none'}\n` +
+            `Command: ${actualCommand}\n` +
+            `Stderr: ${result.stderr}`
+        )
+      }
+      return this
+    },
+    expectExitWithin(ms) {
+      // Measured from the last signal delivered, or from the start when none was sent
+      const lastSignal = result.signalsSent?.at(-1)
+      const elapsed = result.durationMs - (lastSignal ? lastSignal.atMs : 0)
+      if (!(elapsed <= ms)) {
+        throw new Error(
+          `Expected command to exit within ${ms}ms${lastSignal ? ` of ${lastSignal.name}` : ''}, took ${elapsed}ms\n` +
+            `Command: ${actualCommand}\n` +
+            `Stdout: ${result.stdout}`
+        )
+      }
+      return this
+    },
     expectDuration(maxDuration) {
       if (result.duration && result.duration > maxDuration) {
         throw new Error(
@@ -191,6 +258,42 @@ export function wrapExpectation(result) {
       return this
     },
 
+    // The expected value lives in the test file; the first run and --update-snapshots write it there
+    expectInlineSnapshot(inlineSnapshot, options = {}) {
+      if (inlineSnapshot && typeof inlineSnapshot === 'object') {
+        options = inlineSnapshot
+        inlineSnapshot = undefined
+      }
+      const { type = 'stdout', ...snapshotOptions } = options
+      const snapshotData = snapshotUtils.createSnapshotFromResult(result, type)
+      const snapshotResult = matchInlineSnapshot(snapshotData, inlineSnapshot, snapshotOptions)
+
+      if (!snapshotResult.match) {
+        throw new Error(snapshotResult.error)
+      }
+      return this
+    },
+
+    // Files the command wrote; a relative dir is resolved against the command's cwd
+    expectDirectorySnapshot(dir, options = {}) {
+      const { name, testFile = getCallerFile(), ...snapshotOptions } = options
+      const directory = resolve(result.cwd || process.cwd(), dir)
+      const snapshotName = name || `dir-${basename(directory)}`
+      const snapshotResult = matchDirectorySnapshot(directory, testFile, snapshotName, snapshotOptions)
+
+      if (!snapshotResult.match) {
+        throw new Error(snapshotResult.error || `Directory snapshot mismatch: ${snapshotName}`)
+      }
+
+      if (snapshotResult.created) {
+        console.log(`✅ Created snapshot: ${snapshotName}`)
+      } else if (snapshotResult.updated) {
+        console.log(`✅ Updated snapshot: ${snapshotName}`)
+      }
+
+      return this
+    },
+
     expectSnapshotStdout(snapshotName, options = {}) {
       return this.expectSnapshot(snapshotName, { ...options, type: 'stdout' })
     },
@@ -210,6 +313,20 @@ export function wrapExpectation(result) {
     expectSnapshotOutput(snapshotName, options = {}) {
       return this.expectSnapshot(snapshotName, { ...options, type: 'output' })
     },
+
+    // Collect every failed expectation; assertAll(), or the end of the callback, throws them as one error
+    soft(fn) {
+      const soft = softExpectation(this)
+      if (!fn) return soft
+      const outcome = fn(soft)
+      if (typeof outcome?.then === 'function') {
+        return Promise.resolve(outcome).then(() => soft.assertAll())
+      }
+      return soft.assertAll()
+    },
+
+    // ANSI-aware terminal assertions (rendered screen, colors, styles)
+    ...terminalAssertions(result),
   }
 }
 
@@ -0,0 +1,236 @@
+/**
+ * Line-based diffs for snapshot mismatches
+ * Myers' O(ND) algorithm produces a minimal edit script, rendered as a unified
+ * diff with context lines, +/- markers and word-level highlighting of changed lines.
+ */
+
+import { colors } from 'consola/utils'
+
+// Beyond this many edits the remaining lines are reported as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000
+
+const colorSupported = colors.red('x') !== 'x'
+
+const STYLES = { red: [31, 39], green: [32, 39], cyan: [36, 39], dim: [2, 22], inverse: [7, 27] }
+
+function palette(enabled) {
+  return Object.fromEntries(
+    Object.entries(STYLES).map(([name, [open, close]]) => [
+      name,
+      enabled ? (text) => `\u001B[${open}m${text}\u001B[${close}m` : (text) => text,
+    ])
+  )
+}
+
+/**
+ * Compute a minimal edit script between two sequences
+ *
+ * @param {Array} a - Old sequence (e.g. expected lines)
+ * @param {Array} b - New sequence (e.g. received lines)
+ * @returns {Array<{ type: 'equal' | 'delete' | 'insert', value: * }>}
+ */
+export function diffSequences(a, b) {
+  // Common prefix and suffix never need the search
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const edits = []
+  for (let i = 0; i < start; i++) edits.push({ type: 'equal', value: a[i] })
+  edits.push(...myers(a.slice(start, endA), b.slice(start, endB)))
+  for (let i = endA; i < a.length; i++) edits.push({ type: 'equal', value: a[i] })
+  return edits
+}
+
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  const offset = n + m + 1
+  const v = new Int32Array(2 * offset + 1)
+  // Each round keeps only the diagonals it can reach, so memory stays O(D²)
+  const trace = []
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) return backtrack(trace, a, b)
+    }
+  }
+
+  return [...a.map((value) => ({ type: 'delete', value })), ...b.map((value) => ({ type: 'insert', value }))]
+}
+
+function backtrack(trace, a, b) {
+  const edits = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const window = trace[d]
+    const at = (k) => window[k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', value: a[--x] })
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) edits.push({ type: 'insert', value: b[--y] })
+      else edits.push({ type: 'delete', value: a[--x] })
+    }
+    x = prevX
+    y = prevY
+  }
+
+  return edits.reverse()
+}
+
+/**
+ * Line-level edit script between two strings
+ * @param {string} expected
+ * @param {string} received
+ */
+export function diffLines(expected, received) {
+  return diffSequences(String(expected).split('\n'), String(received).split('\n'))
+}
+
+/**
+ * Render a unified diff between two strings
+ *
+ * @param {string} expected - Stored snapshot text
+ * @param {string} received - Current output
+ * @param {Object} [options]
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @param {boolean} [options.color] - Colorize markers and changed words (defaults to terminal support)
+ * @param {string} [options.expectedLabel='Snapshot']
+ * @param {string} [options.receivedLabel='Received']
+ * @param {number} [options.maxLines=200] - Truncate longer diffs
+ * @returns {string} Empty string when the inputs are equal
+ *
+ * @example
+ * unifiedDiff('Usage: cli\nOptions:', 'Usage: cli <cmd>\nOptions:', { color: false })
+ * // --- Snapshot  -1
+ * // +++ Received  +1
+ * // @@ -1,2 +1,2 @@
+ * // -Usage: cli
+ * // +Usage: cli <cmd>
+ * //  Options:
+ */
+export function unifiedDiff(
+  expected,
+  received,
+  { context = 3, color = colorSupported, expectedLabel = 'Snapshot', receivedLabel = 'Received', maxLines = 200 } = {}
+) {
+  const edits = diffLines(expected, received)
+  if (edits.every((edit) => edit.type === 'equal')) return ''
+
+  const paint = palette(color)
+  let oldNo = 1
+  let newNo = 1
+  const rows = edits.map((edit) => {
+    const row = { ...edit, oldNo, newNo }
+    if (edit.type !== 'insert') oldNo++
+    if (edit.type !== 'delete') newNo++
+    return row
+  })
+
+  const removed = rows.filter((row) => row.type === 'delete').length
+  const added = rows.filter((row) => row.type === 'insert').length
+  const lines = [
+    paint.red(`--- ${expectedLabel}`) + paint.dim(`  -${removed}`),
+    paint.green(`+++ ${receivedLabel}`) + paint.dim(`  +${added}`),
+  ]
+
+  for (const [from, to] of hunkRanges(rows, context)) {
+    const hunk = rows.slice(from, to + 1)
+    const oldLines = hunk.filter((row) => row.type !== 'insert')
+    const newLines = hunk.filter((row) => row.type !== 'delete')
+    const oldStart = oldLines.length ? oldLines[0].oldNo : hunk[0].oldNo - 1
+    const newStart = newLines.length ? newLines[0].newNo : hunk[0].newNo - 1
+    lines.push(paint.cyan(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`))
+    lines.push(...renderHunk(hunk, paint, color))
+  }
+
+  if (lines.length > maxLines + 2) {
+    const hidden = lines.length - maxLines - 2
+    lines.length = maxLines + 2
+    lines.push(paint.dim(`... ${hidden} more diff lines`))
+  }
+  return lines.join('\n')
+}
+
+// Merge the context windows of nearby changes into [from, to] row ranges
+function hunkRanges(rows, context) {
+  const ranges = []
+  rows.forEach((row, index) => {
+    if (row.type === 'equal') return
+    const from = Math.max(0, index - context)
+    const to = Math.min(rows.length - 1, index + context)
+    const last = ranges[ranges.length - 1]
+    if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to)
+    else ranges.push([from, to])
+  })
+  return ranges
+}
+
+function renderHunk(hunk, paint, color) {
+  const output = []
+  let index = 0
+  while (index < hunk.length) {
+    if (hunk[index].type === 'equal') {
+      output.push(paint.dim(` ${hunk[index].value}`))
+      index++
+      continue
+    }
+
+    // A block of removed lines followed by added lines: pair them up for word-level highlights
+    const deleted = []
+    const inserted = []
+    while (index < hunk.length && hunk[index].type === 'delete') deleted.push(hunk[index++].value)
+    while (index < hunk.length && hunk[index].type === 'insert') inserted.push(hunk[index++].value)
+
+    const highlighted = deleted.map((line, i) => (color && i < inserted.length ? highlightWords(line, inserted[i], paint) : null))
+    deleted.forEach((line, i) => output.push(paint.red(`-${highlighted[i] ? highlighted[i].deleted : line}`)))
+    inserted.forEach((line, i) => output.push(paint.green(`+${highlighted[i] ? highlighted[i].inserted : line}`)))
+  }
+  return output
+}
+
+const WORD_PATTERN = /\s+|\w+|[^\w\s]/g
+
+function highlightWords(deletedLine, insertedLine, paint) {
+  const edits = diffSequences(deletedLine.match(WORD_PATTERN) || [], insertedLine.match(WORD_PATTERN) || [])
+  // Lines with nothing in common read better as a plain replacement
+  if (!edits.some((edit) => edit.type === 'equal' && edit.value.trim())) return null
+
+  // Adjacent changed words are marked as one run
+  const side = (changed) => {
+    let text = ''
+    let run = ''
+    for (const edit of edits) {
+      if (edit.type === changed) {
+        run += edit.value
+      } else if (edit.type === 'equal') {
+        text += (run && paint.inverse(run)) + edit.value
+        run = ''
+      }
+    }
+    return text + (run && paint.inverse(run))
+  }
+  return { deleted: side('delete'), inserted: side('insert') }
+}
@@ -0,0 +1,202 @@
+/**
+ * Directory snapshots: the files a command generates, captured as one snapshot
+ * Text files are stored inline, binaries by SHA-256 and every entry with its permission bits,
+ * so `gen project` style commands can be checked the same way as their output.
+ */
+
+import { lstatSync, readdirSync, readFileSync, readlinkSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { join, resolve } from 'pathe'
+import { unifiedDiff } from './diff.js'
+import { getSnapshotManager } from './snapshot.js'
+import { compareStructures, reviveMatchers } from './matchers.js'
+
+const DEFAULT_EXCLUDE = ['node_modules', '.git']
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes marks a file as binary
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0)
+
+/**
+ * Turn a glob into a RegExp over `/`-separated relative paths
+ * Supports `*`, `**`, `?` and `{a,b}`; a pattern without `/` matches a name at any depth.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const anchored = pattern.includes('/') ? pattern.replace(/^\.?\//, '') : `**/${pattern}`
+  let source = ''
+  let braces = 0
+  for (let index = 0; index < anchored.length; index++) {
+    const char = anchored[index]
+    if (char === '*' && anchored[index + 1] === '*') {
+      const slash = anchored[index + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      index += slash ? 2 : 1
+    } else if (char === '*') source += '[^/]*'
+    else if (char === '?') source += '[^/]'
+    else if (char === '{') {
+      source += '(?:'
+      braces++
+    } else if (char === '}' && braces > 0) {
+      source += ')'
+      braces--
+    } else if (char === ',' && braces > 0) source += '|'
+    else source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&')
+  }
+  // A matching directory takes its contents with it
+  return new RegExp(`^${source.replace(/\/$/, '')}(?:/.*)?$`)
+}
+
+const same = (received, expected) => compareStructures(received, expected).length === 0
+
+const toMatchers = (patterns) => [].concat(patterns || []).map((pattern) => (pattern instanceof RegExp ? pattern : globToRegExp(pattern)))
+
+/**
+ * Capture a directory tree as snapshot data
+ *
+ * @param {string} dir - Directory to capture
+ * @param {Object} [options]
+ * @param {string|RegExp|Array<string|RegExp>} [options.include] - Only files matching one of these
+ * @param {string|RegExp|Array<string|RegExp>} [options.exclude] - Skip matching files and directories
+ *   (node_modules and .git are always skipped unless `exclude` is given)
+ * @param {boolean} [options.modes=true] - Record permission bits
+ * @returns {{ files: Object<string, { mode?: string, content?: string, sha256?: string, size?: number, symlink?: string }> }}
+ *   Entries keyed by relative path, directories ending in `/`
+ *
+ * @example
+ * captureDirectory('out', { exclude: ['*.log'] })
+ * // { files: { 'bin/': { mode: '755' }, 'bin/cli.mjs': { mode: '755', content: '#!/usr/bin/env node\n...' },
+ * //            'logo.png': { mode: '644', size: 1024, sha256: '9f86d0...' } } }
+ */
+export function captureDirectory(dir, { include, exclude = DEFAULT_EXCLUDE, modes = true } = {}) {
+  const root = resolve(dir)
+  const stat = lstatSync(root, { throwIfNoEntry: false })
+  if (!stat?.isDirectory()) {
+    throw new Error(`Cannot snapshot directory: ${root} ${stat ? 'is not a directory' : 'does not exist'}`)
+  }
+
+  const includes = toMatchers(include)
+  const excludes = toMatchers(exclude)
+  const mode = (info) => (modes ? { mode: (info.mode & 0o777).toString(8).padStart(3, '0') } : {})
+  const files = {}
+
+  // Returns whether anything below was kept, so include filters drop directories they empty
+  const walk = (relativeDir) => {
+    let kept = false
+    for (const name of readdirSync(join(root, relativeDir)).sort()) {
+      const path = relativeDir ? `${relativeDir}/${name}` : name
+      if (excludes.some((pattern) => pattern.test(path))) continue
+      const info = lstatSync(join(root, path))
+
+      if (info.isDirectory()) {
+        const key = `${path}/`
+        files[key] = mode(info)
+        if (walk(path) || includes.length === 0) kept = true
+        else delete files[key]
+        continue
+      }
+      if (includes.length > 0 && !includes.some((pattern) => pattern.test(path))) continue
+
+      if (info.isSymbolicLink()) {
+        files[path] = { symlink: readlinkSync(join(root, path)) }
+      } else {
+        const buffer = readFileSync(join(root, path))
+        files[path] = isBinary(buffer)
+          ? { ...mode(info), size: buffer.length, sha256: createHash('sha256').update(buffer).digest('hex') }
+          : { ...mode(info), content: buffer.toString('utf8') }
+      }
+      kept = true
+    }
+    return kept
+  }
+  walk('')
+
+  // Sorted by path, so directories sit right above their contents
+  return { files: Object.fromEntries(Object.entries(files).sort(([a], [b]) => (a < b ? -1 : 1))) }
+}
+
+/**
+ * Describe what changed between two captured trees, one section per file
+ *
+ * @param {Object} expected - `files` from the snapshot
+ * @param {Object} received - `files` from captureDirectory()
+ * @param {Object} [options] - `context` and `color` for content diffs, `equals(received, expected)`
+ *   to decide whether a value changed (exact by default)
+ * @returns {string[]} Report lines
+ */
+export function describeDirectoryChanges(expected, received, { context, color, equals = same } = {}) {
+  const lines = []
+  const paths = [...new Set([...Object.keys(expected), ...Object.keys(received)])].sort()
+
+  for (const path of paths) {
+    const before = expected[path]
+    const after = received[path]
+    if (!after) {
+      lines.push(`  - ${path}`)
+      continue
+    }
+    if (!before) {
+      lines.push(`  + ${path}`)
+      continue
+    }
+    if (equals(after, before)) continue
+
+    if (before.mode !== after.mode) lines.push(`  ~ ${path}: mode ${before.mode ?? 'none'} → ${after.mode ?? 'none'}`)
+    if (before.symlink !== after.symlink) {
+      lines.push(`  ~ ${path}: link ${before.symlink ?? '(not a link)'} → ${after.symlink ?? '(not a link)'}`)
+    } else if (typeof before.content === 'string' && typeof after.content === 'string') {
+      if (!equals(after.content, before.content)) {
+        const diff = unifiedDiff(before.content, after.content, { context, color })
+        lines.push(`  ~ ${path}`, ...diff.split('\n').map((line) => `    ${line}`))
+      }
+    } else if (before.sha256 !== after.sha256 || before.content !== after.content) {
+      const size = (entry) => (entry.content !== undefined ? `text, ${Buffer.byteLength(entry.content)} bytes` : `${entry.size} bytes`)
+      lines.push(`  ~ ${path}: binary content changed (${size(before)} → ${size(after)})`)
+    }
+  }
+  return lines
+}
+
+/**
+ * Compare a directory with its snapshot
+ *
+ * @param {string} dir - Directory to capture
+ * @param {string} testFile - Test file owning the snapshot
+ * @param {string} snapshotName
+ * @param {Object} [options] - captureDirectory() options plus snapshot options
+ * @returns {{ match: boolean, created?: boolean, updated?: boolean, error?: string, changes?: string[] }}
+ */
+export function matchDirectorySnapshot(dir, testFile, snapshotName, options = {}) {
+  const { include, exclude, modes, ...snapshotOptions } = options
+  const manager = getSnapshotManager()
+  const received = captureDirectory(dir, { include, exclude, modes })
+  const result = manager.matchSnapshot(received, testFile, snapshotName, snapshotOptions)
+  if (result.match || !result.comparison) return result
+
+  // The JSON diff of a whole tree is hard to read, so report each file on its own
+  const stored = manager.loadSnapshot(result.snapshotPath)
+  // Property matchers can fail before any snapshot has been written
+  if (!stored) return result
+  const expected = manager.prepareData(reviveMatchers(stored.data), snapshotOptions).files || {}
+  const current = manager.prepareData(received, snapshotOptions).files
+  const changes = describeDirectoryChanges(expected, current, {
+    context: manager.config.diffContext,
+    color: manager.config.diffColor,
+    // Same whitespace and timestamp rules as the snapshot comparison
+    equals: (after, before) => manager.compareData(after, before).match,
+  })
+  const changed = changes.filter((line) => /^ {2}[-+~]/.test(line)).length
+
+  return {
+    ...result,
+    changes,
+    error:
+      `❌ Directory snapshot mismatch: ${snapshotName}\n` +
+      `📁 Snapshot file: ${result.snapshotPath}\n` +
+      `📂 Directory: ${resolve(dir)}\n` +
+      `🔍 ${changed} change${changed === 1 ? '' : 's'}:\n${changes.join('\n')}\n` +
+      `\n💡 To update snapshots, run with --update-snapshots flag`,
+  }
+}
+
@@ -0,0 +1,228 @@
+/**
+ * Inline snapshots: the expected value lives in the test file as a template literal
+ * passed to expectInlineSnapshot(). New and updated snapshots rewrite that call site,
+ * found in the AST parsed with magicast like autodx heal does for failing assertions.
+ *
+ * magicast is only loaded when a snapshot is written, so rewrites run asynchronously:
+ * they are queued in order and flushInlineSnapshots() waits for them. The vitest setup file
+ * does that after each test file; a process that exits with rewrites still queued, or with
+ * failures nobody flushed, reports them and exits with code 1.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { resolve } from 'pathe'
+import { unifiedDiff } from './diff.js'
+import { getSnapshotManager } from './snapshot.js'
+
+const MATCHER = 'expectInlineSnapshot'
+
+// Line shifts from rewrites made by this process, per file: stack traces keep the original lines
+const fileEdits = new Map()
+
+let pendingWrites = Promise.resolve()
+let writeErrors = []
+let queuedWrites = 0
+let exitCheckInstalled = false
+
+/**
+ * Locate the test file call site of an expectInlineSnapshot() call
+ *
+ * @returns {{ file: string, line: number, column: number } | null}
+ */
+export function getCallerLocation() {
+  const lines = (new Error().stack || '').split('\n')
+  for (const line of lines) {
+    if (!line.includes('.test.') && !line.includes('.spec.')) continue
+    const match = line.match(/(?:\(|at\s+|❯\s+)(.*?):(\d+):(\d+)\)?$/)
+    if (match) {
+      const file = match[1].trim()
+      return {
+        file: file.startsWith('file://') ? fileURLToPath(file) : resolve(file),
+        line: Number(match[2]),
+        column: Number(match[3]),
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Undo the indentation a multi-line inline snapshot gets in the test source
+ *
+ * @param {string} snapshot - Template literal value as written
+ * @returns {string}
+ */
+export function stripSnapshotIndentation(snapshot) {
+  if (!snapshot.startsWith('\n')) return snapshot
+  const lines = snapshot.split('\n').slice(1)
+  const closing = lines.pop()
+  if (!/^[\t ]*$/.test(closing)) return snapshot
+  const indent = `${closing}  `
+  if (!lines.every((line) => !line || line.startsWith(indent))) return snapshot
+  return lines.map((line) => line.slice(indent.length)).join('\n')
+}
+
+function toTemplateLiteral(value, indent) {
+  const escaped = value.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
+  if (!escaped.includes('\n')) return `\`${escaped}\``
+  const body = escaped
+    .split('\n')
+    .map((line) => (line ? `${indent}  ${line}` : line))
+    .join('\n')
+  return `\`\n${body}\n${indent}\``
+}
+
+/**
+ * Write a value into the expectInlineSnapshot() call at a source location
+ *
+ * @param {{ file: string, line: number, column: number }} location - From getCallerLocation()
+ * @param {string} value - Snapshot text
+ */
+export async function rewriteInlineSnapshot({ file, line, column }, value) {
+  const { parseModule } = await import('magicast')
+  const edits = fileEdits.get(file) || []
+  const currentLine = line + edits.filter((edit) => edit.line < line).reduce((sum, edit) => sum + edit.delta, 0)
+
+  const source = readFileSync(file, 'utf8')
+  const mod = parseModule(source)
+  const calls = []
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return
+    if (
+      node.type === 'CallExpression' &&
+      node.callee?.type === 'MemberExpression' &&
+      node.callee.property?.name === MATCHER &&
+      node.callee.property.loc?.start.line === currentLine
+    ) {
+      calls.push(node)
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue
+      const child = node[key]
+      if (Array.isArray(child)) child.forEach(visit)
+      else if (child && typeof child.type === 'string') visit(child)
+    }
+  }
+  visit(mod.$ast)
+
+  // Columns are 1-based in stack traces and 0-based in the AST
+  const call = calls.find((node) => node.callee.property.loc.start.column === column - 1) || (calls.length === 1 && calls[0])
+  if (!call) {
+    throw new Error(
+      `Could not find the ${MATCHER}() call at ${file}:${line}:${column}\n` +
+        'Inline snapshots need a direct .expectInlineSnapshot(...) call in the test file'
+    )
+  }
+
+  // Splice the literal into the source at the node offsets, so the rest of the file keeps its formatting
+  const indent = source.split('\n')[currentLine - 1].match(/^\s*/)[0]
+  const literal = toTemplateLiteral(value, indent)
+  const [first] = call.arguments
+  const replace = first && first.type !== 'ObjectExpression' // an options object stays as the second argument
+  const from = first ? first.start : call.end - 1
+  const code = source.slice(0, from) + (first && !replace ? `${literal}, ` : literal) + source.slice(replace ? first.end : from)
+  writeFileSync(file, code, 'utf8')
+  edits.push({ line, delta: code.split('\n').length - source.split('\n').length })
+  fileEdits.set(file, edits)
+}
+
+/**
+ * Wait for the inline snapshots written so far to land in their test files
+ *
+ * The vitest setup file calls this after each test file; call it in an afterAll() hook otherwise.
+ * Rejects with the rewrites that failed, e.g. when the call site could not be found.
+ */
+export async function flushInlineSnapshots() {
+  // Rewrites queued while waiting belong to this flush too
+  let flushed
+  do {
+    flushed = pendingWrites
+    await flushed
+  } while (flushed !== pendingWrites)
+  const errors = writeErrors
+  writeErrors = []
+  if (errors.length === 1) throw errors[0]
+  if (errors.length > 1) {
+    throw new Error(`${errors.length} inline snapshots could not be written:\n${errors.map((error) => error.message).join('\n\n')}`)
+  }
+}
+
+/**
+ * Process exit hook: rewrites still queued are lost, and failed ones were never reported
+ */
+function reportUnflushedInlineSnapshots() {
+  if (queuedWrites === 0 && writeErrors.length === 0) return
+  const lines = []
+  if (queuedWrites > 0) lines.push(`❌ ${queuedWrites} inline snapshot${queuedWrites === 1 ? ' was' : 's were'} still queued when the process exited`)
+  if (writeErrors.length > 0) lines.push(`❌ ${writeErrors.length} inline snapshot${writeErrors.length === 1 ? '' : 's'} could not be written:`, ...writeErrors.map((error) => error.message))
+  // Straight to stderr: consola stays quiet under test runners, and the process is about to end
+  process.stderr.write(
+    `${lines.join('\n')}\n` +
+      "💡 Add '@un-test/core/vitest-setup' to test.setupFiles, or await flushInlineSnapshots() in an afterAll() hook\n"
+  )
+  process.exitCode = 1
+}
+
+/**
+ * Compare data with an inline snapshot, writing it into the test file when it is
+ * missing or when snapshots are being updated; the write itself completes in flushInlineSnapshots()
+ *
+ * @param {*} data - Received data; non-strings are compared as formatted JSON
+ * @param {string|undefined} inlineSnapshot - Template literal from the test source
+ * @param {Object} [options] - Snapshot options (`redact`, `serializers`, ...) plus `location`
+ * @returns {{ match: boolean, created?: boolean, updated?: boolean, error?: string }}
+ */
+export function matchInlineSnapshot(data, inlineSnapshot, { location = getCallerLocation(), ...options } = {}) {
+  const manager = getSnapshotManager()
+  const { config } = manager
+  const prepared = manager.prepareData(data, options)
+  const received = typeof prepared === 'string' ? prepared : JSON.stringify(prepared, null, 2)
+  const site = location ? `${location.file}:${location.line}` : 'unknown location'
+  const record = (status) => location && manager.recordResult(site, location.file, 'inline', status)
+
+  if (inlineSnapshot !== undefined && stripSnapshotIndentation(inlineSnapshot) === received) {
+    record('matched')
+    return { match: true }
+  }
+
+  // Same CI rules as snapshot files: CI only compares unless updates are forced
+  const mayUpdate = config.updateSnapshots && (!config.ciMode || config.forceUpdate)
+  const created = inlineSnapshot === undefined
+  if (mayUpdate || (created && !config.ciMode)) {
+    if (!location) {
+      return { match: false, error: `❌ Could not locate the ${MATCHER}() call in a test file to write the snapshot` }
+    }
+    if (!exitCheckInstalled) {
+      exitCheckInstalled = true
+      process.once('exit', reportUnflushedInlineSnapshots)
+    }
+    // Writes are serialized so the line shifts of one rewrite are known to the next
+    queuedWrites++
+    pendingWrites = pendingWrites
+      .then(() => rewriteInlineSnapshot(location, received))
+      .catch((error) => {
+        writeErrors.push(error)
+      })
+      .finally(() => {
+        queuedWrites--
+      })
+    record(created ? 'created' : 'updated')
+    return created ? { match: true, created: true } : { match: true, updated: true }
+  }
+
+  if (created) {
+    record('missing')
+    return {
+      match: false,
+      error: `❌ Missing inline snapshot at ${site}\n\n💡 Snapshots are not written in CI. Run the test locally and commit the test file`,
+    }
+  }
+
+  record('failed')
+  const diff = unifiedDiff(stripSnapshotIndentation(inlineSnapshot), received, { context: config.diffContext, color: config.diffColor })
+  const hint = config.updateSnapshots
+    ? 'Update snapshots locally and commit them, or set forceUpdate: true (CTU_FORCE_UPDATE_SNAPSHOTS=true)'
+    : 'To update inline snapshots, run with --update-snapshots flag'
+  return { match: false, error: `❌ Inline snapshot mismatch at ${site}\n📊 Diff:\n${diff}\n\n💡 ${hint}` }
+}
@@ -0,0 +1,181 @@
+/**
+ * Schema validation for JSON command output
+ * Accepts a zod schema (anything with `safeParse`) or a JSON Schema document. The JSON Schema
+ * side is a dependency-free validator for the keywords CLI output schemas use; unknown
+ * keywords such as `format` are ignored.
+ */
+
+import { formatPath, formatValue } from './matchers.js'
+
+const typeOf = (value) =>
+  value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value
+
+const hasType = (value, type) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer')
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+/**
+ * Check whether a schema is a zod schema rather than a JSON Schema document
+ */
+export const isZodSchema = (schema) => typeof schema?.safeParse === 'function'
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported JSON Schema $ref: "${ref}"\nOnly references inside the same document (#/...) are resolved`)
+  }
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+  if (target === undefined) throw new Error(`JSON Schema $ref not found: "${ref}"`)
+  return target
+}
+
+/**
+ * Validate a value against a JSON Schema document
+ *
+ * @param {*} value
+ * @param {Object|boolean} schema - JSON Schema (draft-07 / 2020-12 core and validation keywords)
+ * @param {string} [path='$']
+ * @param {Object} [root] - Document that `$ref`s resolve against (defaults to schema)
+ * @returns {Array<{ path: string, keyword: string, message: string }>} Empty when the value is valid
+ *
+ * @example
+ * validateJsonSchema({ version: 1 }, { type: 'object', properties: { version: { type: 'string' } } })
+ * // [{ path: '$.version', keyword: 'type', message: '$.version: expected string, got 1' }]
+ */
+export function validateJsonSchema(value, schema, path = '$', root = schema) {
+  if (schema === true || schema === undefined) return []
+  if (schema === false) return [violation(path, 'false', `unexpected ${formatValue(value)}`)]
+  if (schema.$ref) return validateJsonSchema(value, resolveRef(schema.$ref, root), path, root)
+
+  const violations = []
+  const add = (keyword, message) => violations.push(violation(path, keyword, message))
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+    if (!types.some((type) => hasType(value, type))) {
+      add('type', `expected ${types.join(' or ')}, got ${formatValue(value)}`)
+      return violations // the other keywords would only repeat the type error
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    add('const', `expected ${formatValue(schema.const)}, got ${formatValue(value)}`)
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    add('enum', `expected one of ${schema.enum.map((option) => formatValue(option)).join(', ')}, got ${formatValue(value)}`)
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length
+    if (schema.minLength !== undefined && length < schema.minLength) add('minLength', `expected at least ${plural(schema.minLength, 'character')}, got ${length}`)
+    if (schema.maxLength !== undefined && length > schema.maxLength) add('maxLength', `expected at most ${plural(schema.maxLength, 'character')}, got ${length}`)
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) add('pattern', `expected to match /${schema.pattern}/, got ${formatValue(value)}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) add('minimum', `expected >= ${schema.minimum}, got ${value}`)
+    if (schema.maximum !== undefined && value > schema.maximum) add('maximum', `expected <= ${schema.maximum}, got ${value}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) add('exclusiveMinimum', `expected > ${schema.exclusiveMinimum}, got ${value}`)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) add('exclusiveMaximum', `expected < ${schema.exclusiveMaximum}, got ${value}`)
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) add('multipleOf', `expected a multiple of ${schema.multipleOf}, got ${value}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) add('minItems', `expected at least ${plural(schema.minItems, 'item')}, got ${value.length}`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) add('maxItems', `expected at most ${plural(schema.maxItems, 'item')}, got ${value.length}`)
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) add('uniqueItems', 'expected unique items')
+
+    // `prefixItems` (2020-12) and array-form `items` (draft-07) describe a tuple
+    const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : [])
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items
+    value.forEach((item, index) => {
+      const itemSchema = index < tuple.length ? tuple[index] : rest
+      violations.push(...validateJsonSchema(item, itemSchema, formatPath(path, index), root))
+    })
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) violations.push(violation(formatPath(path, key), 'required', 'missing required property'))
+    }
+    const properties = schema.properties || {}
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, patternSchema]) => [new RegExp(pattern, 'u'), patternSchema])
+    for (const [key, item] of Object.entries(value)) {
+      const keyPath = formatPath(path, key)
+      const matching = patterns.filter(([pattern]) => pattern.test(key))
+      if (Object.hasOwn(properties, key)) violations.push(...validateJsonSchema(item, properties[key], keyPath, root))
+      matching.forEach(([, patternSchema]) => violations.push(...validateJsonSchema(item, patternSchema, keyPath, root)))
+      if (!Object.hasOwn(properties, key) && matching.length === 0 && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) violations.push(violation(keyPath, 'additionalProperties', `unexpected property ${formatValue(item)}`))
+        else violations.push(...validateJsonSchema(item, schema.additionalProperties, keyPath, root))
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) violations.push(...validateJsonSchema(value, subschema, path, root))
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validateJsonSchema(value, subschema, path, root).length === 0)) {
+    add('anyOf', `expected a value matching one of ${schema.anyOf.length} schemas, got ${formatValue(value)}`)
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validateJsonSchema(value, subschema, path, root).length === 0).length
+    if (matches !== 1) add('oneOf', `expected a value matching exactly one of ${schema.oneOf.length} schemas, matched ${matches}`)
+  }
+  if (schema.not !== undefined && validateJsonSchema(value, schema.not, path, root).length === 0) {
+    add('not', `expected a value not matching the schema, got ${formatValue(value)}`)
+  }
+  if (schema.if !== undefined) {
+    const branch = validateJsonSchema(value, schema.if, path, root).length === 0 ? schema.then : schema.else
+    violations.push(...validateJsonSchema(value, branch, path, root))
+  }
+
+  return violations
+}
+
+function violation(path, keyword, message) {
+  return { path, keyword, message: `${path}: ${message}` }
+}
+
+/**
+ * Validate a value against a zod schema or a JSON Schema document
+ *
+ * @param {*} value
+ * @param {Object|boolean} schema
+ * @param {string} [path='$'] - Path of the value, prefixed to every violation
+ * @returns {Array<{ path: string, keyword: string, message: string }>} Empty when the value is valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!isZodSchema(schema)) return validateJsonSchema(value, schema, path)
+
+  const parsed = schema.safeParse(value)
+  if (parsed.success) return []
+  return parsed.error.issues.map((issue) => {
+    const issuePath = issue.path.reduce(formatPath, path)
+    return { path: issuePath, keyword: issue.code, message: `${issuePath}: ${issue.message}` }
+  })
+}
+
+/**
+ * Parse JSON command output, either one document or NDJSON (one record per line)
+ *
+ * @param {string} output - stdout
+ * @param {Object} [options] - `ndjson: true` to read one record per non-empty line
+ * @returns {Array<{ line?: number, value?: *, error?: string }>} Records in output order, `error` when a record does not parse
+ */
+export function parseJsonOutput(output, { ndjson = false } = {}) {
+  const parse = (text, line) => {
+    try {
+      return { line, value: JSON.parse(text) }
+    } catch (error) {
+      return { line, error: error.message }
+    }
+  }
+  if (!ndjson) return [parse(output)]
+
+  const records = []
+  output.split(/\r?\n/).forEach((text, index) => {
+    if (text.trim()) records.push(parse(text, index + 1))
+  })
+  return records
+}
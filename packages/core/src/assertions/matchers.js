@@ -0,0 +1,212 @@
+/**
+ * Asymmetric matchers and path-addressed structural comparison for JSON snapshots
+ * Matchers pin volatile fields by shape (`any(String)`, `stringMatching(/^v\d+/)`) instead
+ * of by value. In a `.snap` file they are stored as `{ "$matcher": "any", "expected": "String" }`.
+ */
+
+const TYPE_NAMES = { String: 'string', Number: 'number', Boolean: 'boolean', Object: 'object', Array: 'array', Function: 'function', BigInt: 'bigint', Symbol: 'symbol' }
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value)
+
+const MATCHERS = {
+  any: {
+    test: (expected, value) => value !== null && value !== undefined && (TYPE_NAMES[expected] ? typeOf(value) === TYPE_NAMES[expected] : value?.constructor?.name === expected),
+    describe: (expected) => `Any<${expected}>`,
+  },
+  anything: {
+    test: (expected, value) => value !== null && value !== undefined,
+    describe: () => 'Anything',
+  },
+  stringMatching: {
+    test: (expected, value) => typeof value === 'string' && toRegExp(expected).test(value),
+    describe: (expected) => `StringMatching ${expected}`,
+  },
+  stringContaining: {
+    test: (expected, value) => typeof value === 'string' && value.includes(expected),
+    describe: (expected) => `StringContaining ${JSON.stringify(expected)}`,
+  },
+  arrayContaining: {
+    test: (expected, value) =>
+      Array.isArray(value) && expected.every((item) => value.some((candidate) => compareStructures(candidate, item).length === 0)),
+    describe: (expected) => `ArrayContaining ${formatValue(expected)}`,
+  },
+  objectContaining: {
+    test: (expected, value) =>
+      typeOf(value) === 'object' && Object.keys(expected).every((key) => key in value && compareStructures(value[key], expected[key]).length === 0),
+    describe: (expected) => `ObjectContaining ${formatValue(expected)}`,
+  },
+}
+
+function toRegExp(source) {
+  const [, pattern, flags] = /^\/(.*)\/([a-z]*)$/s.exec(source) || [null, source, '']
+  return new RegExp(pattern, flags)
+}
+
+/**
+ * A value in an expected snapshot that matches by shape rather than by equality
+ */
+export class AsymmetricMatcher {
+  constructor(name, expected) {
+    if (!MATCHERS[name]) {
+      throw new Error(`Unknown snapshot matcher: "${name}"\nAvailable matchers: ${Object.keys(MATCHERS).join(', ')}`)
+    }
+    this.name = name
+    this.expected = expected
+  }
+
+  match(value) {
+    return MATCHERS[this.name].test(this.expected, value)
+  }
+
+  toString() {
+    return MATCHERS[this.name].describe(this.expected)
+  }
+
+  toJSON() {
+    return this.expected === undefined ? { $matcher: this.name } : { $matcher: this.name, expected: this.expected }
+  }
+}
+
+export const isAsymmetricMatcher = (value) => value instanceof AsymmetricMatcher
+
+/**
+ * Match any value of a type: `any(String)`, `any(Number)`, `any(Date)`
+ * @param {Function} type - Constructor
+ */
+export const any = (type) => {
+  if (typeof type !== 'function') throw new TypeError('any() expects a constructor such as String or Number')
+  return new AsymmetricMatcher('any', type.name)
+}
+
+/** Match anything except null and undefined */
+export const anything = () => new AsymmetricMatcher('anything')
+
+/**
+ * Match strings against a pattern
+ * @param {RegExp|string} pattern
+ */
+export const stringMatching = (pattern) => new AsymmetricMatcher('stringMatching', pattern instanceof RegExp ? String(pattern) : `/${pattern}/`)
+
+/** Match strings that contain a substring */
+export const stringContaining = (text) => new AsymmetricMatcher('stringContaining', String(text))
+
+/** Match arrays that contain every given item, in any order */
+export const arrayContaining = (items) => new AsymmetricMatcher('arrayContaining', items)
+
+/** Match objects that have at least the given properties */
+export const objectContaining = (properties) => new AsymmetricMatcher('objectContaining', properties)
+
+/**
+ * Turn `{ $matcher }` objects read from a snapshot file back into matchers
+ * @param {*} data - Parsed snapshot data
+ */
+export function reviveMatchers(data) {
+  if (Array.isArray(data)) return data.map(reviveMatchers)
+  if (typeOf(data) !== 'object' || isAsymmetricMatcher(data)) return data
+  if (typeof data.$matcher === 'string') return new AsymmetricMatcher(data.$matcher, reviveMatchers(data.expected))
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, reviveMatchers(value)]))
+}
+
+/**
+ * Put property matchers into data, e.g. before it is stored as a snapshot
+ *
+ * @param {*} data
+ * @param {Object} propertyMatchers - Same shape as the data, with matchers at the volatile fields
+ * @returns {*} Copy of data
+ *
+ * @example
+ * mergePropertyMatchers({ id: 'a1b2', name: 'demo' }, { id: any(String) })
+ * // { id: any(String), name: 'demo' }
+ */
+export function mergePropertyMatchers(data, propertyMatchers) {
+  if (isAsymmetricMatcher(propertyMatchers)) return propertyMatchers
+  // Arrays take either an array of matchers or an object keyed by index
+  const isContainer = (value) => typeOf(value) === 'object' || typeOf(value) === 'array'
+  if (!isContainer(propertyMatchers) || !isContainer(data)) return data
+  const merged = Array.isArray(data) ? [...data] : { ...data }
+  for (const [key, matcher] of Object.entries(propertyMatchers)) {
+    merged[key] = mergePropertyMatchers(merged[key], matcher)
+  }
+  return merged
+}
+
+/**
+ * Format a path segment: `$.items[3].version`, `$["content-type"]`
+ */
+export function formatPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * Short display form of a value for difference messages
+ */
+export function formatValue(value) {
+  if (isAsymmetricMatcher(value)) return value.toString()
+  if (value === undefined) return 'undefined'
+  const describe = (item) => {
+    if (isAsymmetricMatcher(item)) return item.toString()
+    if (Array.isArray(item)) return `[${item.map(describe).join(', ')}]`
+    if (typeOf(item) === 'object') return `{${Object.entries(item).map(([key, entry]) => `${JSON.stringify(key)}: ${describe(entry)}`).join(', ')}}`
+    return JSON.stringify(item) ?? String(item)
+  }
+  const text = describe(value)
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text
+}
+
+/**
+ * Compare received data with expected data, which may contain matchers
+ *
+ * @param {*} received
+ * @param {*} expected
+ * @param {string} [path='$']
+ * @returns {Array<{ path: string, type: 'mismatch'|'missing'|'extra', expected?: *, received?: *, message: string }>}
+ *   Empty when the data matches
+ *
+ * @example
+ * compareStructures({ items: [{ version: '1.3.0' }] }, { items: [{ version: '1.2.0' }] })
+ * // [{ path: '$.items[0].version', type: 'mismatch', message: '$.items[0].version: expected "1.2.0", got "1.3.0"', ... }]
+ */
+export function compareStructures(received, expected, path = '$') {
+  if (isAsymmetricMatcher(expected)) {
+    return expected.match(received) ? [] : [mismatch(path, expected, received)]
+  }
+  if (Object.is(received, expected)) return []
+  if (typeOf(received) !== typeOf(expected) || (typeOf(expected) !== 'object' && typeOf(expected) !== 'array')) {
+    return [mismatch(path, expected, received)]
+  }
+
+  const differences = []
+  const keys = Array.isArray(expected)
+    ? Array.from({ length: Math.max(expected.length, received.length) }, (_, index) => index)
+    : [...new Set([...Object.keys(expected), ...Object.keys(received)])]
+  for (const key of keys) {
+    const keyPath = formatPath(path, key)
+    const inExpected = Array.isArray(expected) ? key < expected.length : key in expected
+    const inReceived = Array.isArray(received) ? key < received.length : key in received
+    if (!inReceived) {
+      differences.push({ path: keyPath, type: 'missing', expected: expected[key], message: `${keyPath}: missing, expected ${formatValue(expected[key])}` })
+    } else if (!inExpected) {
+      differences.push({ path: keyPath, type: 'extra', received: received[key], message: `${keyPath}: unexpected ${formatValue(received[key])}` })
+    } else {
+      differences.push(...compareStructures(received[key], expected[key], keyPath))
+    }
+  }
+  return differences
+}
+
+function mismatch(path, expected, received) {
+  return { path, type: 'mismatch', expected, received, message: `${path}: expected ${formatValue(expected)}, got ${formatValue(received)}` }
+}
+
+/**
+ * Replace the matchers that received data satisfies with the received values,
+ * so a rendered diff only shows real differences
+ */
+export function resolveMatchers(expected, received) {
+  if (isAsymmetricMatcher(expected)) return expected.match(received) ? received : expected.toString()
+  if (Array.isArray(expected)) return expected.map((item, index) => resolveMatchers(item, Array.isArray(received) ? received[index] : undefined))
+  if (typeOf(expected) !== 'object') return expected
+  const source = typeOf(received) === 'object' ? received : {}
+  return Object.fromEntries(Object.entries(expected).map(([key, value]) => [key, resolveMatchers(value, source[key])]))
+}
@@ -0,0 +1,151 @@
+/**
+ * Snapshot serializers and redactors
+ * Serializers turn values JSON cannot represent (Map, Set, Date, Error) into plain data;
+ * redactors mask volatile or machine-specific text such as temp dirs, UUIDs and durations.
+ * Both apply recursively to strings, arrays and object keys and values.
+ */
+
+import { realpathSync } from 'node:fs'
+import { homedir, tmpdir } from 'node:os'
+import { stripAnsi } from './terminal.js'
+import { isAsymmetricMatcher } from './matchers.js'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const pathPrefixes = (path) => {
+  const prefixes = new Set([path])
+  try {
+    prefixes.add(realpathSync(path))
+  } catch {}
+  // Longest first so /private/var/... wins over /var/...
+  return [...prefixes].filter((prefix) => prefix && prefix !== '/').sort((a, b) => b.length - a.length)
+}
+
+/**
+ * Built-in redactors, applied in this order
+ */
+export const builtinRedactors = {
+  ansi: (text) => stripAnsi(text),
+  tempDir: (text) =>
+    pathPrefixes(tmpdir()).reduce(
+      // The first segment below tmpdir is usually a random mkdtemp name
+      (result, prefix) =>
+        result.replace(new RegExp(`${escapeRegExp(prefix)}(?![\\w.-])(?:[\\\\/][^\\s\\\\/'"\`:,;)\\]]+)?`, 'g'), '<TMP>'),
+      text
+    ),
+  paths: (text) =>
+    [...pathPrefixes(process.cwd()).map((prefix) => [prefix, '<CWD>']), ...pathPrefixes(homedir()).map((prefix) => [prefix, '<HOME>'])].reduce(
+      (result, [prefix, placeholder]) => result.replace(new RegExp(`${escapeRegExp(prefix)}(?![\\w.-])`, 'g'), placeholder),
+      text
+    ),
+  uuid: { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '[UUID]' },
+  // Timings only: "took 123ms", "1.42s"; whole seconds such as "default: 30s" are left alone
+  duration: { pattern: /\b\d+(?:\.\d+)?\s?ms\b|\b\d+\.\d+\s?s\b/g, replacement: '[DURATION]' },
+  semver: { pattern: /\bv?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?\b/g, replacement: '[VERSION]' },
+  pid: { pattern: /\b(pid\s*[:=#]?\s*)\d+/gi, replacement: '$1[PID]' },
+}
+
+/**
+ * Redactors on by default; `semver` and `ansi` are opt-in because they hide real regressions
+ */
+export const DEFAULT_REDACTORS = ['tempDir', 'paths', 'uuid', 'duration', 'pid']
+
+const builtinSerializers = [
+  { test: (value) => value instanceof Date, serialize: (value) => value.toISOString() },
+  { test: (value) => value instanceof Error, serialize: (value) => ({ name: value.name, message: value.message }) },
+  { test: (value) => value instanceof Map, serialize: (value) => Object.fromEntries(value) },
+  { test: (value) => value instanceof Set, serialize: (value) => [...value] },
+]
+
+const registry = { redactors: [], serializers: [] }
+
+/**
+ * Register a redaction rule for every snapshot
+ *
+ * @param {RegExp|Function|{ pattern: RegExp|string, replacement?: string }} rule - A RegExp
+ *   (replaced with `[REDACTED]`), a `(text) => text` function, or a pattern with its replacement
+ *
+ * @example
+ * registerSnapshotRedactor({ pattern: /token=\w+/g, replacement: 'token=[TOKEN]' })
+ */
+export function registerSnapshotRedactor(rule) {
+  registry.redactors.push(toRedactor(rule))
+}
+
+/**
+ * Register a serializer for every snapshot
+ *
+ * @param {{ test: (value: any) => boolean, serialize: (value: any) => any }} serializer
+ *
+ * @example
+ * registerSnapshotSerializer({ test: (v) => v instanceof URL, serialize: (v) => v.href })
+ */
+export function registerSnapshotSerializer(serializer) {
+  if (typeof serializer?.test !== 'function' || typeof serializer?.serialize !== 'function') {
+    throw new TypeError('A snapshot serializer needs test(value) and serialize(value) functions')
+  }
+  registry.serializers.push(serializer)
+}
+
+/**
+ * Remove all globally registered redactors and serializers
+ */
+export function resetSnapshotRegistry() {
+  registry.redactors.length = 0
+  registry.serializers.length = 0
+}
+
+function toRedactor(rule) {
+  if (typeof rule === 'function') return rule
+  const { pattern, replacement = '[REDACTED]' } = rule instanceof RegExp ? { pattern: rule } : rule || {}
+  if (typeof pattern === 'string') return (text) => text.split(pattern).join(replacement)
+  if (!(pattern instanceof RegExp)) {
+    throw new TypeError('A snapshot redactor must be a RegExp, a function or { pattern, replacement }')
+  }
+  const global = pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)
+  return (text) => text.replace(global, replacement)
+}
+
+/**
+ * Serialize and redact snapshot data
+ *
+ * @param {*} data - String or JSON-like snapshot data
+ * @param {Object} [options]
+ * @param {string[]|false} [options.builtins] - Built-in redactor names (default DEFAULT_REDACTORS)
+ * @param {Array} [options.redactors] - Extra redaction rules
+ * @param {Array} [options.serializers] - Extra serializers, tried before the global and built-in ones
+ * @returns {*} New data with every string redacted
+ */
+export function applySnapshotRules(data, { builtins = DEFAULT_REDACTORS, redactors = [], serializers = [] } = {}) {
+  const unknown = (builtins || []).find((name) => !builtinRedactors[name])
+  if (unknown) {
+    throw new Error(`Unknown snapshot redactor: "${unknown}"\nBuilt-in redactors: ${Object.keys(builtinRedactors).join(', ')}`)
+  }
+  const rules = [
+    ...Object.keys(builtinRedactors)
+      .filter((name) => (builtins || []).includes(name))
+      .map((name) => toRedactor(builtinRedactors[name])),
+    ...registry.redactors,
+    ...redactors.map(toRedactor),
+  ]
+  const allSerializers = [...serializers, ...registry.serializers, ...builtinSerializers]
+  const redact = (text) => rules.reduce((result, rule) => rule(result), text)
+  const seen = new WeakSet()
+
+  const visit = (value) => {
+    const serializer = allSerializers.find((candidate) => candidate.test(value))
+    if (serializer) value = serializer.serialize(value)
+
+    if (typeof value === 'string') return redact(value)
+    if (value === null || typeof value !== 'object' || isAsymmetricMatcher(value)) return value
+    if (seen.has(value)) return '[Circular]'
+    seen.add(value)
+    const result = Array.isArray(value)
+      ? value.map(visit)
+      : Object.fromEntries(Object.entries(value).map(([key, entry]) => [redact(key), visit(entry)]))
+    seen.delete(value)
+    return result
+  }
+
+  return visit(data)
+}
@@ -0,0 +1,233 @@
+/**
+ * Snapshot lifecycle: which snapshots exist, which ones the last test run touched,
+ * which are obsolete and which failed and are waiting for review.
+ *
+ * Every matchSnapshot() call appends an entry to a per-run ledger under
+ * `.ctu/snapshots/runs`, so the `ctu snapshot` commands can reason about the last run.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'node:fs'
+import { basename, dirname, join, relative, resolve } from 'pathe'
+import { destr } from 'destr'
+import { appendLedgerEntry, appendRunLedger, readRunLedger, testRunId } from '../utils/run-ledger.js'
+
+const LEDGER_DIR = '.ctu/snapshots/runs'
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.ctu', 'coverage', 'dist'])
+
+/**
+ * Identify the test run this process belongs to, see testRunId()
+ */
+export function snapshotRunId() {
+  return testRunId()
+}
+
+const ledgerDir = (cwd) => resolve(cwd, LEDGER_DIR)
+
+/**
+ * Append a matchSnapshot() outcome to the current run's ledger
+ *
+ * @param {Object} entry - `{ snapshotPath, testFile, snapshotName, status, received? }`;
+ *   status is 'matched', 'created', 'updated' or 'failed'
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project root holding `.ctu`
+ */
+export function recordSnapshotResult(entry, { cwd = process.cwd() } = {}) {
+  appendRunLedger(ledgerDir(cwd), entry)
+}
+
+/**
+ * Read the most recent run's ledger
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {string} [options.runId] - Read this run instead of the most recent one
+ * @returns {{ runId: string, file: string, entries: Map<string, Object> } | null} Last entry per snapshot path
+ */
+export function readLastSnapshotRun({ cwd = process.cwd(), runId } = {}) {
+  const run = readRunLedger(ledgerDir(cwd), { runId })
+  if (!run) return null
+  const entries = new Map()
+  for (const entry of run.entries) {
+    if (entry.snapshotPath) entries.set(entry.snapshotPath, entry)
+  }
+  return { ...run, entries }
+}
+
+const SUMMARY_GROUPS = { created: 'written', updated: 'updated', matched: 'matched', failed: 'failed', missing: 'failed', rejected: 'failed' }
+
+/**
+ * Group matchSnapshot() outcomes for a run summary
+ *
+ * @param {Iterable<Object>} results - Ledger entries (`{ snapshotPath, testFile, snapshotName, status }`)
+ * @returns {{ total: number, written: Object[], updated: Object[], matched: Object[], failed: Object[] }}
+ *   Failed entries keep their status: 'failed', 'missing' (not written in CI) or 'rejected' (in review)
+ */
+export function summarizeSnapshotResults(results) {
+  const summary = { total: 0, written: [], updated: [], matched: [], failed: [] }
+  for (const { snapshotPath, testFile, snapshotName, status } of results) {
+    const group = SUMMARY_GROUPS[status]
+    if (!group) continue
+    summary[group].push({ snapshotPath, testFile, snapshotName, status })
+    summary.total++
+  }
+  return summary
+}
+
+/**
+ * Summary of a run's ledger, across all test workers
+ *
+ * @param {Object} [options] - `cwd` holding `.ctu`, `runId` (default: the most recent run)
+ * @returns {Object|null} summarizeSnapshotResults() plus `runId`, or null when nothing was recorded
+ */
+export function readSnapshotRunSummary({ cwd = process.cwd(), runId } = {}) {
+  const run = readLastSnapshotRun({ cwd, runId })
+  return run && { runId: run.runId, ...summarizeSnapshotResults(run.entries.values()) }
+}
+
+/**
+ * Render a run summary for the terminal
+ *
+ * @param {Object} summary - From summarizeSnapshotResults() or readSnapshotRunSummary()
+ * @param {Object} [options] - `cwd` paths are shown relative to
+ * @returns {string} e.g. `📸 Snapshots: 1 written, 0 updated, 12 matched, 1 failed`
+ */
+export function formatSnapshotSummary(summary, { cwd = process.cwd() } = {}) {
+  const lines = [
+    `📸 Snapshots: ${summary.written.length} written, ${summary.updated.length} updated, ${summary.matched.length} matched, ${summary.failed.length} failed`,
+  ]
+  for (const group of ['written', 'updated', 'failed']) {
+    for (const entry of summary[group]) {
+      const label = group === 'failed' ? entry.status : group
+      lines.push(`  ${label.padEnd(8)} ${snapshotDisplayPath(entry.snapshotPath, cwd)}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Find every snapshot file below a directory
+ *
+ * @param {string} [rootDir='.']
+ * @param {Object} [options]
+ * @param {string} [options.snapshotDir='__snapshots__']
+ * @returns {Array<Object>} `{ path, name, testFile, snapshotName, size, modified, valid, data, metadata }`
+ */
+export function listSnapshots(rootDir = '.', { snapshotDir = '__snapshots__' } = {}) {
+  const snapshots = []
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || IGNORED_DIRS.has(entry.name)) continue
+      const fullPath = join(dir, entry.name)
+      if (entry.name === snapshotDir) {
+        for (const file of readdirSync(fullPath).filter((name) => name.endsWith('.snap')).sort()) {
+          snapshots.push(describeSnapshot(join(fullPath, file)))
+        }
+      } else {
+        walk(fullPath)
+      }
+    }
+  }
+  walk(resolve(rootDir))
+  return snapshots
+}
+
+function describeSnapshot(path) {
+  const stats = statSync(path)
+  const content = destr(readFileSync(path, 'utf8'))
+  const valid = Boolean(content && typeof content === 'object' && 'data' in content && content.metadata)
+  const metadata = valid ? content.metadata : {}
+  return {
+    path,
+    name: basename(path),
+    testFile: metadata.testFile ? locateTestFile(path, metadata.testFile) : null,
+    snapshotName: metadata.snapshotName || basename(path, '.snap'),
+    size: stats.size,
+    modified: stats.mtime,
+    valid,
+    data: valid ? content.data : undefined,
+    metadata,
+  }
+}
+
+// The recorded path is absolute; fall back to the file next to __snapshots__ when the project moved
+function locateTestFile(snapshotPath, recorded) {
+  if (existsSync(recorded)) return recorded
+  const sibling = join(dirname(dirname(snapshotPath)), basename(recorded))
+  return existsSync(sibling) ? sibling : recorded
+}
+
+/**
+ * Find snapshots that no test uses any more
+ *
+ * A snapshot is obsolete when its test file was deleted, or when its test file ran in the
+ * last run without touching it. Snapshots of test files that did not run are left alone.
+ *
+ * @param {string} [rootDir='.']
+ * @param {Object} [options] - `cwd` holding `.ctu`, `snapshotDir`
+ * @returns {Array<Object>} Snapshots from listSnapshots() with a `reason`
+ */
+export function findObsoleteSnapshots(rootDir = '.', { cwd = process.cwd(), snapshotDir } = {}) {
+  const run = readLastSnapshotRun({ cwd })
+  const testFilesInRun = new Set(run ? [...run.entries.values()].map((entry) => entry.testFile) : [])
+
+  return listSnapshots(rootDir, { snapshotDir }).flatMap((snapshot) => {
+    if (!snapshot.valid) return [{ ...snapshot, reason: 'unreadable snapshot file' }]
+    if (snapshot.testFile && !existsSync(snapshot.testFile)) return [{ ...snapshot, reason: 'test file deleted' }]
+    if (testFilesInRun.has(snapshot.metadata.testFile) && !run.entries.has(snapshot.path)) {
+      return [{ ...snapshot, reason: 'not used in the last run' }]
+    }
+    return []
+  })
+}
+
+/**
+ * Delete snapshot files
+ * @param {Array<{ path: string }>} snapshots
+ * @returns {string[]} Deleted paths
+ */
+export function pruneSnapshots(snapshots) {
+  return snapshots.filter(({ path }) => existsSync(path)).map(({ path }) => (unlinkSync(path), path))
+}
+
+/**
+ * Snapshots that failed in the last run, with the stored and the received data
+ *
+ * @param {Object} [options] - `cwd` holding `.ctu`
+ * @returns {Array<Object>} `{ snapshotPath, testFile, snapshotName, expected, received }`
+ */
+export function getPendingSnapshotReviews({ cwd = process.cwd() } = {}) {
+  const run = readLastSnapshotRun({ cwd })
+  if (!run) return []
+  return [...run.entries.values()]
+    .filter((entry) => entry.status === 'failed' && entry.received !== undefined && existsSync(entry.snapshotPath))
+    .map((entry) => ({ ...entry, expected: destr(readFileSync(entry.snapshotPath, 'utf8'))?.data }))
+}
+
+/**
+ * Settle a failed snapshot: 'accept' rewrites the file with the received data,
+ * 'reject' keeps the stored snapshot; both remove it from the pending reviews
+ *
+ * @param {Object} review - Entry from getPendingSnapshotReviews()
+ * @param {'accept'|'reject'} decision
+ * @param {Object} [options] - `cwd` holding `.ctu`
+ */
+export function resolveSnapshotReview(review, decision, { cwd = process.cwd() } = {}) {
+  if (decision === 'accept') {
+    const stored = destr(readFileSync(review.snapshotPath, 'utf8'))
+    const metadata = { ...stored?.metadata, updated: new Date().toISOString() }
+    writeFileSync(review.snapshotPath, JSON.stringify({ data: review.received, metadata }, null, 2), 'utf8')
+  } else if (decision !== 'reject') {
+    throw new Error(`Unknown review decision: "${decision}"\nExpected "accept" or "reject"`)
+  }
+
+  const run = readLastSnapshotRun({ cwd })
+  if (!run) return
+  appendLedgerEntry(run.file, { ...review, status: decision === 'accept' ? 'updated' : 'rejected', received: undefined, expected: undefined })
+}
+
+/**
+ * Path of a snapshot relative to a directory, for display
+ */
+export function snapshotDisplayPath(path, from = process.cwd()) {
+  return relative(from, path) || path
+}
@@ -0,0 +1,49 @@
+/**
+ * Vitest reporter printing the snapshot run summary
+ * Test workers record snapshot outcomes in the run ledger; the reporter runs in the
+ * main process and summarizes that ledger once all tests finished.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { formatSnapshotSummary, readSnapshotRunSummary } from './snapshot-lifecycle.js'
+
+/**
+ * Create a vitest reporter that prints written, updated, matched and failed snapshots
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Project root holding `.ctu` (default: the vitest root)
+ * @param {(summary: Object) => void} [options.onSummary] - Receives the summary instead of printing it
+ * @returns {Object} Reporter with vitest's onInit, onWatcherRerun and onFinished hooks
+ *
+ * @example
+ * // vitest.config.mjs
+ * import { snapshotSummaryReporter } from '@un-test/core'
+ * export default { test: { reporters: ['default', snapshotSummaryReporter()] } }
+ */
+export function snapshotSummaryReporter({ cwd, onSummary } = {}) {
+  let root = cwd
+  // Workers inherit the run id, so every test file of one run shares a ledger
+  let ownsRunId = false
+  const startRun = () => {
+    if (ownsRunId || !process.env.CTU_RUN_ID) {
+      process.env.CTU_RUN_ID = `vitest-${randomUUID()}`
+      ownsRunId = true
+    }
+  }
+
+  return {
+    onInit(ctx) {
+      root ??= ctx?.config?.root ?? process.cwd()
+      startRun()
+    },
+    onWatcherRerun() {
+      startRun()
+    },
+    onFinished() {
+      const summary = readSnapshotRunSummary({ cwd: root ?? process.cwd(), runId: process.env.CTU_RUN_ID })
+      if (!summary || summary.total === 0) return
+      if (onSummary) onSummary(summary)
+      else console.log(`\n${formatSnapshotSummary(summary, { cwd: root })}`)
+    },
+  }
+}
@@ -3,6 +3,10 @@ import { destr } from 'destr'
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'node:fs'
 import { join, dirname, basename, extname } from 'pathe'
 import { createHash } from 'node:crypto'
+import { unifiedDiff } from './diff.js'
+import { applySnapshotRules, DEFAULT_REDACTORS } from './serializers.js'
+import { recordSnapshotResult, summarizeSnapshotResults } from './snapshot-lifecycle.js'
+import { compareStructures, isAsymmetricMatcher, mergePropertyMatchers, resolveMatchers, reviveMatchers } from './matchers.js'
 
 /**
  * Snapshot testing utilities for CLI output validation
@@ -12,6 +16,12 @@ import { createHash } from 'node:crypto'
 // Default snapshot directory
 const DEFAULT_SNAPSHOT_DIR = '__snapshots__'
 
+// CI providers set CI to 'true', '1' or their own name; 'false' and '0' turn it off
+function isCIEnvironment() {
+  const ci = typeof process !== 'undefined' ? process.env.CI : undefined
+  return Boolean(ci) && ci !== 'false' && ci !== '0'
+}
+
 /**
  * Configuration for snapshot testing
  */
@@ -19,11 +29,21 @@ export class SnapshotConfig {
   constructor(options = {}) {
     this.snapshotDir = options.snapshotDir || DEFAULT_SNAPSHOT_DIR
     this.updateSnapshots = options.updateSnapshots || (typeof process !== 'undefined' && (process.argv.includes('--update-snapshots') || process.argv.includes('-u') || process.env.UPDATE_SNAPSHOTS === 'true')) || false
-    this.ciMode = options.ciMode || process.env.CI === 'true'
+    this.ciMode = options.ciMode ?? isCIEnvironment()
+    this.forceUpdate = options.forceUpdate || process.env.CTU_FORCE_UPDATE_SNAPSHOTS === 'true'
     this.ignoreWhitespace = options.ignoreWhitespace !== false // default true
     this.ignoreTimestamps = options.ignoreTimestamps !== false // default true
     this.maxDiffSize = options.maxDiffSize || 1000
+    this.diffContext = options.diffContext ?? 3 // unchanged lines around each change
+    this.diffColor = options.diffColor // default: terminal color support
     this.customMatchers = options.customMatchers || []
+    // Redaction rules for every snapshot; customMatchers is the older name
+    this.redactors = [...(options.redactors || []), ...this.customMatchers]
+    this.serializers = options.serializers || []
+    this.builtinRedactors = options.builtinRedactors ?? DEFAULT_REDACTORS
+    // Record outcomes in .ctu/snapshots/runs for `ctu snapshot obsolete` and `ctu snapshot review`
+    this.recordRuns = options.recordRuns !== false
+    this.rootDir = options.rootDir || process.cwd() // project root holding .ctu
   }
 }
 
@@ -35,6 +55,7 @@ export class SnapshotManager {
     this.config = config
     this.snapshots = new Map()
     this.createdSnapshots = new Set()
+    this.results = new Map() // snapshot path -> last matchSnapshot() outcome
   }
 
   /**
@@ -107,6 +128,17 @@ export class SnapshotManager {
     }
   }
 
+  /**
+   * Apply serializers and redactors: built-in, registered globally, from the config and per snapshot
+   */
+  prepareData(data, options = {}) {
+    return applySnapshotRules(data, {
+      builtins: options.builtinRedactors ?? this.config.builtinRedactors,
+      redactors: [...this.config.redactors, ...[].concat(options.redact || [])],
+      serializers: [...[].concat(options.serializers || []), ...this.config.serializers],
+    })
+  }
+
   /**
    * Normalize data for comparison (remove timestamps, normalize whitespace, etc.)
    */
@@ -135,19 +167,23 @@ export class SnapshotManager {
       return normalized
     }
 
-    if (typeof data === 'object' && data !== null) {
-      const normalized = { ...data }
+    if (Array.isArray(data)) {
+      return data.map((item) => this.normalizeData(item, options))
+    }
+
+    if (typeof data === 'object' && data !== null && !isAsymmetricMatcher(data)) {
+      const normalized = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, this.normalizeData(value, { nested: true })]))
 
       // Always exclude cwd to avoid temporary directory path mismatches
-      if (normalized.cwd) {
+      if (normalized.cwd && !options.nested) {
         delete normalized.cwd
       }
 
       if (this.config.ignoreTimestamps) {
-        // Remove timestamp fields
+        // Remove timestamp fields at any depth
         const timestampFields = ['timestamp', 'createdAt', 'updatedAt', 'date', 'time']
         timestampFields.forEach((field) => {
-          if (normalized[field]) {
+          if (normalized[field] && !isAsymmetricMatcher(normalized[field])) {
             normalized[field] = '[TIMESTAMP]'
           }
         })
@@ -160,9 +196,10 @@ export class SnapshotManager {
   }
 
   /**
-   * Compare two data structures
+   * Compare two data structures; objects and arrays are compared deeply, path by path,
+   * and the expected side may contain asymmetric matchers
    */
-  compareData(current, expected, path = '') {
+  compareData(current, expected, path = '$') {
     const currentNormalized = this.normalizeData(current)
     const expectedNormalized = this.normalizeData(expected)
 
@@ -170,7 +207,11 @@ export class SnapshotManager {
       return { match: true }
     }
 
-    if (typeof currentNormalized !== typeof expectedNormalized) {
+    if (typeof currentNormalized === 'string' && typeof expectedNormalized === 'string') {
+      return this.compareStrings(currentNormalized, expectedNormalized, path)
+    }
+
+    if (typeof currentNormalized !== typeof expectedNormalized && !isAsymmetricMatcher(expectedNormalized)) {
       return {
         match: false,
         error: `Type mismatch at ${path}: expected ${typeof expectedNormalized}, got ${typeof currentNormalized}`,
@@ -178,19 +219,7 @@ export class SnapshotManager {
       }
     }
 
-    if (typeof currentNormalized === 'string') {
-      return this.compareStrings(currentNormalized, expectedNormalized, path)
-    }
-
-    if (typeof currentNormalized === 'object') {
-      return this.compareObjects(currentNormalized, expectedNormalized, path)
-    }
-
-    return {
-      match: false,
-      error: `Value mismatch at ${path}: expected ${expectedNormalized}, got ${currentNormalized}`,
-      diff: this.generateDiff(currentNormalized, expectedNormalized),
-    }
+    return this.compareObjects(currentNormalized, expectedNormalized, path)
   }
 
   /**
@@ -201,11 +230,10 @@ export class SnapshotManager {
       return { match: true }
     }
 
-    const diff = this.generateStringDiff(current, expected)
     return {
       match: false,
       error: `String mismatch at ${path}`,
-      diff,
+      diff: this.generateDiff(current, expected),
       current:
         current.length > this.config.maxDiffSize
           ? current.substring(0, this.config.maxDiffSize) + '...'
@@ -218,43 +246,10 @@ export class SnapshotManager {
   }
 
   /**
-   * Compare objects recursively
+   * Compare objects recursively, reporting every differing path
    */
-  compareObjects(current, expected, path) {
-    const currentKeys = Object.keys(current || {})
-    const expectedKeys = Object.keys(expected || {})
-    const allKeys = new Set([...currentKeys, ...expectedKeys])
-
-    const differences = []
-
-    for (const key of allKeys) {
-      const currentPath = path ? `${path}.${key}` : key
-      const currentValue = current[key]
-      const expectedValue = expected[key]
-
-      if (!(key in current)) {
-        differences.push({
-          path: currentPath,
-          type: 'missing',
-          expected: expectedValue,
-        })
-      } else if (!(key in expected)) {
-        differences.push({
-          path: currentPath,
-          type: 'extra',
-          current: currentValue,
-        })
-      } else {
-        const comparison = this.compareData(currentValue, expectedValue, currentPath)
-        if (!comparison.match) {
-          differences.push({
-            path: currentPath,
-            type: 'mismatch',
-            ...comparison,
-          })
-        }
-      }
-    }
+  compareObjects(current, expected, path = '$') {
+    const differences = compareStructures(current, expected, path)
 
     if (differences.length === 0) {
       return { match: true }
@@ -262,42 +257,30 @@ export class SnapshotManager {
 
     return {
       match: false,
-      error: `Object mismatch at ${path}`,
+      error: `${differences.length} difference${differences.length === 1 ? '' : 's'} at ${path}`,
       differences,
-      diff: this.generateDiff(current, expected),
+      // Matchers the data satisfies show as the received value, so the diff holds only real changes
+      diff: this.generateDiff(current, resolveMatchers(expected, current)),
     }
   }
 
   /**
-   * Generate string diff
+   * Generate a unified line diff from the stored snapshot to the current output
    */
   generateStringDiff(current, expected) {
-    const currentLines = current.split('\n')
-    const expectedLines = expected.split('\n')
-    const maxLines = Math.max(currentLines.length, expectedLines.length)
-
-    const diff = []
-    for (let i = 0; i < maxLines; i++) {
-      const currentLine = currentLines[i] || ''
-      const expectedLine = expectedLines[i] || ''
-
-      if (currentLine !== expectedLine) {
-        diff.push({
-          line: i + 1,
-          current: currentLine,
-          expected: expectedLine,
-        })
-      }
-    }
-
-    return diff.slice(0, 10) // Limit diff size
+    return unifiedDiff(expected, current, {
+      context: this.config.diffContext,
+      ...(this.config.diffColor !== undefined && { color: this.config.diffColor }),
+    })
   }
 
   /**
    * Generate general diff
    */
   generateDiff(current, expected) {
+    const toText = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2) ?? String(value))
     return {
+      unified: this.generateStringDiff(toText(current), toText(expected)),
       current:
         typeof current === 'string' && current.length > this.config.maxDiffSize
           ? current.substring(0, this.config.maxDiffSize) + '...'
@@ -309,27 +292,83 @@ export class SnapshotManager {
     }
   }
 
+  /**
+   * Append a matchSnapshot() outcome to the run ledger; never fails the assertion
+   */
+  recordResult(snapshotPath, testFile, snapshotName, status, received) {
+    this.results.set(snapshotPath, { snapshotPath, testFile, snapshotName, status })
+    if (!this.config.recordRuns) return
+    try {
+      recordSnapshotResult({ snapshotPath, testFile, snapshotName, status, received }, { cwd: this.config.rootDir })
+    } catch (error) {
+      consola.debug(`Failed to record snapshot result for ${snapshotPath}: ${error.message}`)
+    }
+  }
+
   /**
    * Match snapshot - main comparison function
    */
   matchSnapshot(currentData, testFile, snapshotName, options = {}) {
     const snapshotPath = this.getSnapshotPath(testFile, snapshotName)
     const existingSnapshot = this.loadSnapshot(snapshotPath)
+    // Rules are functions and RegExps, so they are not recorded in the snapshot metadata
+    const { redact, serializers, builtinRedactors, propertyMatchers, ...metadataOptions } = options
+    const snapshotValue = this.prepareData(currentData, options)
+    // Property matchers are stored in place of the volatile values they describe
+    const storedValue = propertyMatchers ? mergePropertyMatchers(snapshotValue, propertyMatchers) : snapshotValue
+
+    // Snapshots rewritten in CI are never reviewed, so CI only ever compares
+    if (this.config.ciMode && this.config.updateSnapshots && !this.config.forceUpdate) {
+      return {
+        match: false,
+        error:
+          `❌ Refusing to update snapshot in CI: ${snapshotName}\n` +
+          `📁 Snapshot file: ${snapshotPath}\n` +
+          `\n💡 Update snapshots locally and commit them, or set forceUpdate: true (CTU_FORCE_UPDATE_SNAPSHOTS=true)`,
+        snapshotPath,
+      }
+    }
+
+    if (!existingSnapshot && this.config.ciMode && !this.config.updateSnapshots) {
+      this.recordResult(snapshotPath, testFile, snapshotName, 'missing')
+      return {
+        match: false,
+        missing: true,
+        error:
+          `❌ Missing snapshot: ${snapshotName}\n` +
+          `📁 Snapshot file: ${snapshotPath}\n` +
+          `\n💡 Snapshots are not written in CI. Run the test locally and commit the snapshot file`,
+        snapshotPath,
+      }
+    }
+
+    // Data that breaks its own property matchers is never written
+    const matcherComparison = propertyMatchers && this.compareObjects(snapshotValue, storedValue)
+    if (matcherComparison && !matcherComparison.match) {
+      this.recordResult(snapshotPath, testFile, snapshotName, 'failed')
+      return {
+        match: false,
+        error: this.generateErrorMessage({ ...matcherComparison, error: 'Property matchers do not match' }, snapshotName, snapshotPath),
+        snapshotPath,
+        comparison: matcherComparison,
+      }
+    }
 
     // If updating snapshots or no existing snapshot, save current data
     if (this.config.updateSnapshots || !existingSnapshot) {
       const snapshotData = {
-        data: currentData,
+        data: storedValue,
         metadata: {
           created: new Date().toISOString(),
           testFile,
           snapshotName,
-          options,
+          options: metadataOptions,
           version: '1.0.0',
         },
       }
 
       this.saveSnapshot(snapshotPath, snapshotData)
+      this.recordResult(snapshotPath, testFile, snapshotName, existingSnapshot ? 'updated' : 'created')
 
       if (!existingSnapshot) {
         return {
@@ -347,15 +386,21 @@ export class SnapshotManager {
     }
 
     // Compare with existing snapshot
-    const comparison = this.compareData(currentData, existingSnapshot.data)
+    // Snapshots written before a rule existed are redacted on read, so adding a rule never breaks them
+    let expectedValue = this.prepareData(reviveMatchers(existingSnapshot.data), options)
+    if (propertyMatchers) expectedValue = mergePropertyMatchers(expectedValue, propertyMatchers)
+    const comparison = this.compareData(snapshotValue, expectedValue)
 
     if (comparison.match) {
+      this.recordResult(snapshotPath, testFile, snapshotName, 'matched')
       return {
         match: true,
         message: `✅ Snapshot matches: ${snapshotName}`,
       }
     }
 
+    this.recordResult(snapshotPath, testFile, snapshotName, 'failed', storedValue)
+
     // Generate detailed error message
     const errorMessage = this.generateErrorMessage(comparison, snapshotName, snapshotPath)
 
@@ -378,7 +423,9 @@ export class SnapshotManager {
       message += `🔍 Error: ${comparison.error}\n`
     }
 
-    if (comparison.diff) {
+    if (comparison.diff?.unified) {
+      message += `📊 Diff:\n${comparison.diff.unified}\n`
+    } else if (comparison.diff) {
       message += `📊 Diff:\n`
       if (comparison.diff.current !== undefined) {
         message += `Current: ${JSON.stringify(comparison.diff.current)}\n`
@@ -391,7 +438,7 @@ export class SnapshotManager {
     if (comparison.differences) {
       message += `🔍 Differences:\n`
       comparison.differences.forEach((diff) => {
-        message += `  ${diff.path}: ${diff.type}\n`
+        message += `  ${diff.message || `${diff.path}: ${diff.type}`}\n`
       })
     }
 
@@ -427,6 +474,14 @@ export class SnapshotManager {
       config: this.config,
     }
   }
+
+  /**
+   * Snapshots written, updated, matched and failed through this manager
+   * @returns {Object} See summarizeSnapshotResults()
+   */
+  getSummary() {
+    return summarizeSnapshotResults(this.results.values())
+  }
 }
 
 // Global snapshot manager instance
@@ -0,0 +1,73 @@
+/**
+ * Soft assertions: run every expectation on a result and report all failures at once
+ * instead of stopping at the first one.
+ */
+
+const describeArgs = (args) =>
+  args
+    .map((arg) => (arg instanceof RegExp ? String(arg) : typeof arg === 'function' ? 'fn' : JSON.stringify(arg) ?? String(arg)))
+    .join(', ')
+
+/**
+ * Build one error out of collected assertion failures
+ *
+ * @param {Array<{ assertion: string, error: Error }>} failures
+ * @param {Object} [options]
+ * @param {string} [options.subject] - What was asserted on, e.g. 'Command: demo --help'
+ * @param {number} [options.total] - Expectations run, for the header line
+ * @param {string} [options.noun='expectation'] - What failed, for the header line
+ * @returns {Error} Error with the original errors in `errors`
+ */
+export function aggregateFailures(failures, { subject, total, noun = 'expectation' } = {}) {
+  const count = total === undefined ? `${failures.length}` : `${failures.length} of ${total}`
+  const sections = failures.map(({ assertion, error }, index) => {
+    const [first, ...rest] = String(error?.message ?? error).split('\n')
+    return [`${index + 1}) ${assertion}: ${first}`, ...rest.map((line) => `   ${line}`)].join('\n')
+  })
+  const error = new Error(
+    `${count} ${noun}${failures.length === 1 && total === undefined ? '' : 's'} failed` +
+      `${subject ? `\n${subject}` : ''}\n\n${sections.join('\n\n')}`
+  )
+  error.errors = failures.map((failure) => failure.error)
+  return error
+}
+
+/**
+ * Wrap a wrapExpectation() chain so failed expectations are recorded instead of thrown
+ *
+ * @param {Object} expectation - Chain from wrapExpectation()
+ * @returns {Object} Same chain where every `expect*` method records failures, plus
+ *   `failures` and `assertAll()`, which throws them as one error
+ *
+ * @example
+ * result.soft().expectExit(0).expectOutput(/USAGE/).expectNoStderr().assertAll()
+ */
+export function softExpectation(expectation) {
+  const failures = []
+  let total = 0
+  const { then, ...chain } = expectation // a thenable chain would be unwrapped by await
+  const soft = { ...chain }
+
+  for (const [key, method] of Object.entries(chain)) {
+    if (typeof method !== 'function' || !key.startsWith('expect')) continue
+    soft[key] = (...args) => {
+      total++
+      try {
+        // Run on the original chain, so nested calls like expectSuccess() -> expectExit(0) fail once
+        method.apply(expectation, args)
+      } catch (error) {
+        failures.push({ assertion: `${key}(${describeArgs(args)})`, error })
+      }
+      return soft
+    }
+  }
+
+  soft.failures = failures
+  soft.assertAll = () => {
+    if (failures.length > 0) {
+      throw aggregateFailures(failures, { subject: expectation.command && `Command: ${expectation.command}`, total })
+    }
+    return expectation
+  }
+  return soft
+}
@@ -0,0 +1,347 @@
+/**
+ * ANSI-aware terminal rendering and assertions
+ * Replays raw TTY output (colors, cursor movement, line erasing) into a virtual
+ * screen so tests can assert on what a user would actually see.
+ */
+
+// Built from a string so the control characters stay escapes
+const ANSI_PATTERN = new RegExp(
+  '[\\u001B\\u009B](?:\\][^\\u0007\\u001B]*(?:\\u0007|\\u001B\\\\)|[[\\]()#;?]*(?:\\d{1,4}(?:[;:]\\d{0,4})*)?[\\dA-PR-TZcf-nq-uy=><~])',
+  'g'
+)
+
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white']
+
+/**
+ * Remove all ANSI escape sequences from a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripAnsi(text = '') {
+  return String(text).replace(ANSI_PATTERN, '')
+}
+
+/**
+ * Check whether a string contains ANSI escape sequences
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasAnsi(text = '') {
+  ANSI_PATTERN.lastIndex = 0
+  const found = ANSI_PATTERN.test(String(text))
+  ANSI_PATTERN.lastIndex = 0
+  return found
+}
+
+function defaultStyle() {
+  return { color: null, background: null, bold: false, dim: false, italic: false, underline: false, inverse: false }
+}
+
+function paletteColor(index) {
+  if (index < 8) return COLOR_NAMES[index]
+  if (index < 16) return `${COLOR_NAMES[index - 8]}Bright`
+  return index
+}
+
+function applySgr(style, params) {
+  const codes = params.length === 0 ? [0] : params
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i]
+    if (code === 0) Object.assign(style, defaultStyle())
+    else if (code === 1) style.bold = true
+    else if (code === 2) style.dim = true
+    else if (code === 3) style.italic = true
+    else if (code === 4) style.underline = true
+    else if (code === 7) style.inverse = true
+    else if (code === 22) style.bold = style.dim = false
+    else if (code === 23) style.italic = false
+    else if (code === 24) style.underline = false
+    else if (code === 27) style.inverse = false
+    else if (code >= 30 && code <= 37) style.color = COLOR_NAMES[code - 30]
+    else if (code === 39) style.color = null
+    else if (code >= 40 && code <= 47) style.background = COLOR_NAMES[code - 40]
+    else if (code === 49) style.background = null
+    else if (code >= 90 && code <= 97) style.color = `${COLOR_NAMES[code - 90]}Bright`
+    else if (code >= 100 && code <= 107) style.background = `${COLOR_NAMES[code - 100]}Bright`
+    else if (code === 38 || code === 48) {
+      const key = code === 38 ? 'color' : 'background'
+      if (codes[i + 1] === 5) {
+        style[key] = paletteColor(codes[i + 2])
+        i += 2
+      } else if (codes[i + 1] === 2) {
+        const hex = codes.slice(i + 2, i + 5).map((c) => (c || 0).toString(16).padStart(2, '0')).join('')
+        style[key] = `#${hex}`
+        i += 4
+      }
+    }
+  }
+}
+
+/**
+ * Render raw terminal output into a virtual screen
+ *
+ * @param {string} output - Raw output including ANSI escape sequences
+ * @param {Object} [options]
+ * @param {number} [options.columns=80] - Terminal width
+ * @param {number} [options.rows=24] - Terminal height (visible screen)
+ * @returns {{ lines: string[], text: string, buffer: Array, cursor: Object, find: Function }}
+ */
+export function renderTerminal(output = '', { columns = 80, rows = 24 } = {}) {
+  const buffer = [[]]
+  const cursor = { row: 0, col: 0 }
+  let saved = { row: 0, col: 0 }
+  const style = defaultStyle()
+  const input = String(output)
+
+  const ensureRow = (row) => {
+    while (buffer.length <= row) buffer.push([])
+  }
+  const screenTop = () => Math.max(0, buffer.length - rows)
+  const put = (char) => {
+    if (cursor.col >= columns) {
+      cursor.row++
+      cursor.col = 0
+    }
+    ensureRow(cursor.row)
+    const line = buffer[cursor.row]
+    while (line.length < cursor.col) line.push({ char: ' ', style: defaultStyle() })
+    line[cursor.col] = { char, style: { ...style } }
+    cursor.col++
+  }
+  const eraseLine = (row, from, to) => {
+    ensureRow(row)
+    const line = buffer[row]
+    if (to === undefined) line.length = Math.min(line.length, from)
+    else for (let c = from; c <= to && c < line.length; c++) line[c] = { char: ' ', style: defaultStyle() }
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (char === '\u001B') {
+      const next = input[i + 1]
+      if (next === '[') {
+        const match = /^\[([?>=]?)([\d;:]*)([@-~])/.exec(input.slice(i + 1))
+        if (!match) continue
+        i += match[0].length
+        const [, privateMode, rawParams, command] = match
+        if (privateMode) continue
+        const params = rawParams === '' ? [] : rawParams.split(/[;:]/).map((p) => (p === '' ? 0 : Number(p)))
+        const n = params[0] || 1
+
+        switch (command) {
+          case 'm':
+            applySgr(style, params)
+            break
+          case 'A':
+            cursor.row = Math.max(screenTop(), cursor.row - n)
+            break
+          case 'B':
+            cursor.row += n
+            ensureRow(cursor.row)
+            break
+          case 'C':
+            cursor.col = Math.min(columns - 1, cursor.col + n)
+            break
+          case 'D':
+            cursor.col = Math.max(0, cursor.col - n)
+            break
+          case 'E':
+            cursor.row += n
+            cursor.col = 0
+            ensureRow(cursor.row)
+            break
+          case 'F':
+            cursor.row = Math.max(screenTop(), cursor.row - n)
+            cursor.col = 0
+            break
+          case 'G':
+            cursor.col = Math.min(columns - 1, n - 1)
+            break
+          case 'H':
+          case 'f':
+            cursor.row = screenTop() + (params[0] || 1) - 1
+            cursor.col = Math.min(columns - 1, (params[1] || 1) - 1)
+            ensureRow(cursor.row)
+            break
+          case 'K': {
+            const mode = params[0] || 0
+            if (mode === 0) eraseLine(cursor.row, cursor.col)
+            else if (mode === 1) eraseLine(cursor.row, 0, cursor.col)
+            else eraseLine(cursor.row, 0)
+            break
+          }
+          case 'J': {
+            const mode = params[0] || 0
+            if (mode === 0) {
+              eraseLine(cursor.row, cursor.col)
+              buffer.length = cursor.row + 1
+            } else if (mode === 1) {
+              for (let r = screenTop(); r < cursor.row; r++) eraseLine(r, 0)
+              eraseLine(cursor.row, 0, cursor.col)
+            } else {
+              for (let r = screenTop(); r < buffer.length; r++) eraseLine(r, 0)
+            }
+            break
+          }
+          case 's':
+            saved = { ...cursor }
+            break
+          case 'u':
+            Object.assign(cursor, saved)
+            break
+          default:
+            break
+        }
+      } else if (next === ']') {
+        // OSC sequences (titles, hyperlinks) end with BEL or ST and render nothing
+        const end = input.slice(i).search(/\u0007|\u001B\\/)
+        if (end === -1) break
+        i += end + (input[i + end] === '\u0007' ? 0 : 1)
+      } else if (next === '7') {
+        saved = { ...cursor }
+        i++
+      } else if (next === '8') {
+        Object.assign(cursor, saved)
+        i++
+      } else {
+        i++
+      }
+      continue
+    }
+
+    if (char === '\r') cursor.col = 0
+    else if (char === '\n') {
+      cursor.row++
+      cursor.col = 0
+      ensureRow(cursor.row)
+    } else if (char === '\b') cursor.col = Math.max(0, cursor.col - 1)
+    else if (char === '\t') cursor.col = Math.min(columns - 1, (Math.floor(cursor.col / 8) + 1) * 8)
+    else if (char >= ' ' && char !== '\u007F') put(char)
+  }
+
+  const toText = (line) => line.map((cell) => cell.char).join('').trimEnd()
+  const allLines = buffer.map(toText)
+  while (allLines.length > 1 && allLines[allLines.length - 1] === '') allLines.pop()
+  const lines = allLines.slice(-rows)
+
+  return {
+    lines,
+    text: lines.join('\n'),
+    buffer,
+    cursor: { ...cursor },
+    /**
+     * Find every rendered occurrence of a string, including scrolled-off lines
+     * @returns {Array<{ row: number, col: number, styles: Object[] }>}
+     */
+    find(text) {
+      const matches = []
+      buffer.forEach((line, row) => {
+        const rendered = line.map((cell) => cell.char).join('')
+        let col = rendered.indexOf(text)
+        while (col !== -1) {
+          matches.push({ row, col, styles: line.slice(col, col + text.length).map((cell) => cell.style) })
+          col = rendered.indexOf(text, col + 1)
+        }
+      })
+      return matches
+    },
+  }
+}
+
+function describeStyle(style) {
+  const parts = []
+  if (style.color) parts.push(style.color)
+  if (style.background) parts.push(`on ${style.background}`)
+  for (const flag of ['bold', 'dim', 'italic', 'underline', 'inverse']) if (style[flag]) parts.push(flag)
+  return parts.length > 0 ? parts.join(' ') : 'default'
+}
+
+/**
+ * ANSI-aware assertions layered on top of wrapExpectation
+ * Uses `result.rawOutput` (PTY runs) and falls back to stdout.
+ *
+ * @param {Object} result - Raw runner result
+ * @returns {Object} Assertion methods to mix into an expectation chain
+ */
+export function terminalAssertions(result) {
+  const actualCommand = result.command || 'node src/cli.mjs'
+  const render = () =>
+    renderTerminal(result.rawOutput ?? result.stdout ?? '', {
+      columns: result.columns || 80,
+      rows: result.rows || 24,
+    })
+
+  return {
+    /**
+     * Assert on the final rendered screen (string = exact, RegExp = pattern)
+     */
+    expectScreen(match) {
+      const screen = render()
+      const ok = typeof match === 'string' ? screen.text === match.trimEnd() : match.test(screen.text)
+      if (!ok) {
+        throw new Error(
+          `Expected rendered screen to match ${typeof match === 'string' ? JSON.stringify(match) : match}\n` +
+            `Screen:\n${screen.text}\n` +
+            `Command: ${actualCommand}`
+        )
+      }
+      return this
+    },
+
+    expectScreenContains(text) {
+      const screen = render()
+      if (!screen.text.includes(text)) {
+        throw new Error(
+          `Expected rendered screen to contain "${text}"\n` + `Screen:\n${screen.text}\n` + `Command: ${actualCommand}`
+        )
+      }
+      return this
+    },
+
+    /**
+     * Assert that a substring was rendered with the given style
+     * @param {string} text - Rendered text to look for
+     * @param {Object} expected - Any of color, background, bold, dim, italic, underline, inverse
+     */
+    expectStyle(text, expected = {}) {
+      const occurrences = render().find(text)
+      if (occurrences.length === 0) {
+        throw new Error(`Expected "${text}" to be rendered, but it never appeared\nCommand: ${actualCommand}`)
+      }
+      const matches = (style) => Object.entries(expected).every(([key, value]) => style[key] === value)
+      if (!occurrences.some((occurrence) => occurrence.styles.every(matches))) {
+        const seen = occurrences
+          .map((occurrence) => `  line ${occurrence.row + 1}: ${describeStyle(occurrence.styles[0])}`)
+          .join('\n')
+        throw new Error(
+          `Expected "${text}" to be rendered as ${describeStyle({ ...defaultStyle(), ...expected })}, got:\n` +
+            `${seen}\n` +
+            `Command: ${actualCommand}`
+        )
+      }
+      return this
+    },
+
+    expectColor(text, color) {
+      return this.expectStyle(text, { color })
+    },
+
+    expectAnsi() {
+      if (!hasAnsi(result.rawOutput ?? result.stdout)) {
+        throw new Error(`Expected output to contain ANSI escape sequences\nCommand: ${actualCommand}`)
+      }
+      return this
+    },
+
+    expectNoAnsi() {
+      if (hasAnsi(result.rawOutput ?? result.stdout)) {
+        throw new Error(
+          `Expected output without ANSI escape sequences, got: ${JSON.stringify(result.rawOutput ?? result.stdout)}\n` +
+            `Command: ${actualCommand}`
+        )
+      }
+      return this
+    },
+  }
+}
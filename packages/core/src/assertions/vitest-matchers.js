@@ -0,0 +1,147 @@
+/**
+ * Vitest matchers for CLI results: `expect(result).toHaveExitCode(0)`
+ * Each matcher runs the same check as its wrapExpectation() counterpart, so messages match the
+ * chain, and hands vitest the actual and expected values so it renders its own diff. Matchers
+ * work with `.not`, `expect.soft` and (vitest 2+) `expect.poll`. Install them with the setup file:
+ *
+ *   // vitest.config.mjs
+ *   export default defineConfig({ test: { setupFiles: ['@un-test/core/vitest-setup'] } })
+ */
+
+import { wrapExpectation } from './assertions.js'
+import { getSnapshotManager, snapshotUtils } from './snapshot.js'
+import { resolveMatchers, reviveMatchers } from './matchers.js'
+
+// Calls per test attempt, so several default-named snapshots in one test get numbered names
+const snapshotCounters = new Map()
+
+/**
+ * Restart the numbering of default-named snapshots; like vitest's own snapshot counters,
+ * the setup file does this before every test, retry and watch-mode rerun
+ */
+export function resetCliSnapshotCounters() {
+  snapshotCounters.clear()
+}
+
+function assertCliResult(received, matcherName) {
+  if (!received || typeof received !== 'object' || !('exitCode' in received)) {
+    throw new TypeError(`${matcherName}() expects a CLI result from runLocalCitty() or runCitty(), got ${typeof received}`)
+  }
+}
+
+// Run a wrapExpectation() assertion and turn its outcome into a matcher result
+function check(received, matcherName, assert, negatedMessage, diff = {}) {
+  assertCliResult(received, matcherName)
+  let error
+  try {
+    assert(wrapExpectation(received))
+  } catch (caught) {
+    error = caught
+  }
+  const command = received.command || (received.args || []).join(' ')
+  return {
+    pass: !error,
+    message: () => (error ? error.message : `${negatedMessage}\nCommand: ${command}`),
+    ...diff,
+  }
+}
+
+export const cliMatchers = {
+  /**
+   * @param {Object} received - CLI result
+   * @param {number} code
+   */
+  toHaveExitCode(received, code) {
+    return check(received, 'toHaveExitCode', (result) => result.expectExit(code), `Expected exit code not to be ${code}`, {
+      actual: received?.exitCode,
+      expected: code,
+    })
+  },
+
+  /**
+   * @param {Object} received - CLI result
+   * @param {string|RegExp} match - Substring or pattern
+   */
+  toHaveStdout(received, match) {
+    return check(received, 'toHaveStdout', (result) => result.expectOutput(match), `Expected stdout not to match ${match}, got: ${received?.stdout}`)
+  },
+
+  /**
+   * @param {Object} received - CLI result
+   * @param {string|RegExp} match - Substring or pattern
+   */
+  toHaveStderr(received, match) {
+    return check(received, 'toHaveStderr', (result) => result.expectStderr(match), `Expected stderr not to match ${match}, got: ${received?.stderr}`)
+  },
+
+  /**
+   * Assert stdout is JSON, optionally matching a zod schema, a JSON Schema or a callback
+   *
+   * @param {Object} received - CLI result
+   * @param {Object|Function} [schema] - Schema for expectJsonSchema(), or a callback for expectJson()
+   * @param {Object} [options] - `ndjson: true` to validate each line
+   */
+  toHaveJson(received, schema, options) {
+    const assert = (result) =>
+      schema === undefined || typeof schema === 'function' ? result.expectJson(schema) : result.expectJsonSchema(schema, options)
+    return check(received, 'toHaveJson', assert, `Expected stdout not to be ${schema === undefined ? 'JSON' : 'JSON matching the schema'}`)
+  },
+
+  /**
+   * Snapshot a CLI result next to the test file
+   *
+   * @param {Object} received - CLI result
+   * @param {string|Object} [name] - Snapshot name (defaults to the test name), or options
+   * @param {Object} [options] - expectSnapshot() options: `type` ('stdout' by default), `redact`, ...
+   */
+  toMatchCliSnapshot(received, name, options = {}) {
+    assertCliResult(received, 'toMatchCliSnapshot')
+    if (this.isNot) {
+      throw new Error('toMatchCliSnapshot() cannot be used with .not')
+    }
+    if (name && typeof name === 'object') {
+      options = name
+      name = undefined
+    }
+    const testFile = options.testFile || this.testPath
+    let snapshotName = name
+    if (!snapshotName) {
+      // Some vitest versions start the test name with the test file path
+      const parts = (this.currentTestName || 'snapshot').split(' > ')
+      if (parts.length > 1 && this.testPath?.endsWith(parts[0])) parts.shift()
+      const testName = parts.join(' > ')
+      const key = `${testFile}:${testName}`
+      const count = (snapshotCounters.get(key) || 0) + 1
+      snapshotCounters.set(key, count)
+      snapshotName = `${testName.replace(/[^\w.-]+/g, '-')}-${count}`
+    }
+
+    const { type = 'stdout', ...snapshotOptions } = options
+    const manager = getSnapshotManager()
+    const data = snapshotUtils.createSnapshotFromResult(received, type)
+    const snapshotResult = manager.matchSnapshot(data, testFile, snapshotName, {
+      args: received.args,
+      cwd: received.cwd,
+      ...snapshotOptions,
+    })
+
+    if (snapshotResult.match || !snapshotResult.comparison) {
+      return { pass: snapshotResult.match, message: () => snapshotResult.error }
+    }
+
+    // vitest renders the diff, so the message keeps only the snapshot file and the differing paths
+    const actual = manager.prepareData(data, snapshotOptions)
+    const stored = reviveMatchers(manager.loadSnapshot(snapshotResult.snapshotPath).data)
+    const { differences = [] } = snapshotResult.comparison
+    return {
+      pass: false,
+      message: () =>
+        `❌ Snapshot mismatch: ${snapshotName}\n` +
+        `📁 Snapshot file: ${snapshotResult.snapshotPath}\n` +
+        differences.map((difference) => `  ${difference.message}\n`).join('') +
+        `\n💡 To update snapshots, run with --update-snapshots flag`,
+      actual,
+      expected: resolveMatchers(manager.prepareData(stored, snapshotOptions), actual),
+    }
+  },
+}
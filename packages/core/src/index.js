@@ -1,10 +1,24 @@
 export * from './assertions/assertions.js'
 export * from './assertions/snapshot.js'
+export * from './assertions/diff.js'
+export * from './assertions/matchers.js'
+export * from './assertions/serializers.js'
+export * from './assertions/snapshot-lifecycle.js'
+export * from './assertions/snapshot-reporter.js'
+export * from './assertions/inline-snapshot.js'
+export * from './assertions/directory-snapshot.js'
+export * from './assertions/json-schema.js'
+export * from './assertions/soft.js'
+export * from './assertions/vitest-matchers.js'
+export * from './assertions/terminal.js'
 export * from './utils/logging.js'
 export * from './utils/cli-entry-resolver.js'
 export * from './utils/environment-detection.js'
 export * from './utils/analysis-report-utils.js'
 export * from './utils/file-utils.js'
+export * from './utils/signals.js'
+export * from './utils/run-ledger.js'
+export * from './utils/invocation-ledger.js'
 export * from './utils/context-manager.js'
 export * from './utils/state-maximalist.js'
 export * from './utils/storage-maximalist.js'
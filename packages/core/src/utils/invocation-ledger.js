@@ -0,0 +1,93 @@
+/**
+ * Runtime invocation coverage: with CTU_COVERAGE set, the runners append every CLI invocation
+ * (args, flags, exit code and the calling test) to the run's ledger under `.ctu/coverage`,
+ * which `ctu analysis coverage --runtime` merges with the discovered command tree.
+ */
+
+import { resolve } from 'pathe'
+import { getCallerLocation } from '../assertions/inline-snapshot.js'
+import { consola } from './logging.js'
+import { appendRunLedger, readRunLedger } from './run-ledger.js'
+
+const LEDGER_DIR = '.ctu/coverage'
+
+/**
+ * Directory holding the invocation ledgers
+ * @param {string} [cwd=process.cwd()] - Project root holding `.ctu`
+ */
+export function invocationLedgerDir(cwd = process.cwd()) {
+  return resolve(cwd, LEDGER_DIR)
+}
+
+/**
+ * Whether runners record invocations: CTU_COVERAGE is set to anything but '0' or 'false'
+ */
+export function isInvocationRecordingEnabled(env = process.env) {
+  const value = env.CTU_COVERAGE
+  return !!value && value !== '0' && value !== 'false'
+}
+
+/**
+ * The test making a runner call: file and name from vitest's expect state, otherwise the
+ * first test file on the stack
+ *
+ * @returns {{ testFile: string|null, testName: string|null, line: number|null }}
+ */
+export function invocationCaller() {
+  const state = globalThis[Symbol.for('expect-global')]?.getState?.()
+  const location = getCallerLocation()
+  const testFile = state?.testPath || location?.file || null
+
+  // Some vitest versions start the test name with the test file path
+  const parts = (state?.currentTestName || '').split(' > ')
+  if (parts.length > 1 && testFile?.endsWith(parts[0])) parts.shift()
+
+  return { testFile, testName: parts.join(' > ') || null, line: location && location.file === testFile ? location.line : null }
+}
+
+/**
+ * Flags an argv passes, without their values; arguments after `--` are positional
+ *
+ * @param {string[]} args
+ * @returns {string[]} e.g. `['--format', '-m']` for `['build', '--format=json', '-m']`
+ */
+export function invocationFlags(args) {
+  const end = args.indexOf('--')
+  return (end < 0 ? args : args.slice(0, end))
+    .filter((arg) => typeof arg === 'string' && arg.startsWith('-') && arg !== '-')
+    .map((arg) => arg.split('=')[0])
+}
+
+/**
+ * Append a runner invocation to the current run's ledger when CTU_COVERAGE is set; never
+ * fails the run
+ *
+ * @param {Object} invocation - `{ runner, cliPath, args, exitCode, durationMs }`; the calling
+ *   test is looked up unless `testFile` is given
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project root holding `.ctu`
+ * @returns {boolean} Whether the invocation was recorded
+ */
+export function recordInvocation(invocation, { cwd = process.cwd() } = {}) {
+  if (!isInvocationRecordingEnabled()) return false
+  try {
+    const caller = invocation.testFile === undefined ? invocationCaller() : {}
+    appendRunLedger(invocationLedgerDir(cwd), { ...caller, ...invocation, flags: invocationFlags(invocation.args || []) })
+    return true
+  } catch (error) {
+    consola.debug(`Failed to record CLI invocation: ${error.message}`)
+    return false
+  }
+}
+
+/**
+ * Read the invocations recorded in a test run, across all test workers
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {string} [options.runId] - Read this run instead of the most recent one
+ * @returns {{ runId: string, file: string, entries: Object[] } | null} null when nothing was recorded
+ */
+export function readInvocationLedger({ cwd = process.cwd(), runId } = {}) {
+  return readRunLedger(invocationLedgerDir(cwd), { runId })
+}
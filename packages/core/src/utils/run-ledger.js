@@ -0,0 +1,90 @@
+/**
+ * Per-test-run JSONL ledgers under `.ctu`: every test worker of a run appends to the same
+ * `<run id>.jsonl`, the last few runs are kept and the newest one is marked as the latest.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'node:fs'
+import { isMainThread } from 'node:worker_threads'
+import { basename, join } from 'pathe'
+import { destr } from 'destr'
+
+const KEPT_RUNS = 5
+const LATEST_FILE = 'latest'
+
+// Ledgers this process recorded in; the first entry of a run marks it as the latest and drops old ledgers
+const recordingRuns = new Set()
+
+/**
+ * Identify the test run this process belongs to: CTU_RUN_ID when set, otherwise the
+ * test runner's main process, which worker threads share and forked workers have as parent
+ */
+export function testRunId() {
+  if (process.env.CTU_RUN_ID) return process.env.CTU_RUN_ID
+  return String(!isMainThread || !process.send ? process.pid : process.ppid)
+}
+
+/**
+ * Append an entry to the current run's ledger in a directory
+ *
+ * @param {string} dir - Ledger directory, e.g. `.ctu/snapshots/runs`
+ * @param {Object} entry - Written as one JSON line, with `time` added
+ */
+export function appendRunLedger(dir, entry) {
+  const runId = testRunId()
+  mkdirSync(dir, { recursive: true })
+  if (!recordingRuns.has(`${dir}:${runId}`)) {
+    recordingRuns.add(`${dir}:${runId}`)
+    for (const { file } of ledgerFiles(dir).filter(({ file }) => file !== `${runId}.jsonl`).slice(KEPT_RUNS - 1)) {
+      // The other workers of the run prune the same ledgers
+      try {
+        unlinkSync(join(dir, file))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+    writeFileSync(join(dir, LATEST_FILE), runId, 'utf8')
+  }
+  appendLedgerEntry(join(dir, `${runId}.jsonl`), entry)
+}
+
+/**
+ * Append an entry to a given ledger file
+ */
+export function appendLedgerEntry(file, entry) {
+  appendFileSync(file, `${JSON.stringify({ ...entry, time: Date.now() })}\n`)
+}
+
+// Run ledgers, newest first
+function ledgerFiles(dir) {
+  if (!existsSync(dir)) return []
+  return readdirSync(dir)
+    .filter((file) => file.endsWith('.jsonl'))
+    .map((file) => ({ file, stats: statSync(join(dir, file), { throwIfNoEntry: false }) }))
+    .filter(({ stats }) => stats)
+    .map(({ file, stats }) => ({ file, mtime: stats.mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+}
+
+/**
+ * Read a run's ledger from a directory
+ *
+ * @param {string} dir - Ledger directory
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Read this run instead of the most recent one
+ * @returns {{ runId: string, file: string, entries: Object[] } | null} Entries in the order they were written
+ */
+export function readRunLedger(dir, { runId } = {}) {
+  // File times can tie on coarse filesystems, so the run that started last names itself
+  const marked = runId ?? (existsSync(join(dir, LATEST_FILE)) ? readFileSync(join(dir, LATEST_FILE), 'utf8').trim() : null)
+  const latest = marked && existsSync(join(dir, `${marked}.jsonl`)) ? `${marked}.jsonl` : !runId && ledgerFiles(dir)[0]?.file
+  if (!latest) return null
+
+  const file = join(dir, latest)
+  const entries = []
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue
+    const entry = destr(line)
+    if (entry && typeof entry === 'object') entries.push(entry)
+  }
+  return { runId: basename(latest, '.jsonl'), file, entries }
+}
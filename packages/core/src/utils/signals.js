@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Signal helpers shared by the local and cleanroom runners
+ */
+
+import { constants } from 'node:os'
+
+/**
+ * Exit code a shell (or Docker) reports for a process killed by `name`, e.g. 130 for SIGINT
+ * @param {string} name - Signal name such as 'SIGINT'
+ * @returns {number|undefined}
+ */
+export function signalExitCode(name) {
+  const number = constants.signals[name]
+  return number === undefined ? undefined : 128 + number
+}
+
+/**
+ * Normalize the `sendSignal` run option into a list of `{ name, after }` deliveries
+ *
+ * @param {string|Object|Array} value - 'SIGINT', `{ name: 'SIGINT', after: 500 }` or a list of either
+ * @returns {Array<{ name: string, after: number }>}
+ */
+export function normalizeSignalSchedule(value) {
+  if (value === undefined || value === null) return []
+  return (Array.isArray(value) ? value : [value]).map((entry) => {
+    const { name, after = 0 } = typeof entry === 'string' ? { name: entry } : entry || {}
+    if (signalExitCode(name) === undefined) {
+      throw new Error(`Unknown signal: ${name}\nUse a name from os.constants.signals, e.g. 'SIGINT' or 'SIGTERM'`)
+    }
+    if (typeof after !== 'number' || after < 0) throw new Error(`sendSignal "after" must be a non-negative number, got ${after}`)
+    return { name, after }
+  })
+}
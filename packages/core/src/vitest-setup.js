@@ -0,0 +1,16 @@
+/**
+ * Vitest setup file registering the CLI result matchers and writing pending inline snapshots
+ * Add `'@un-test/core/vitest-setup'` to `test.setupFiles` in the vitest config.
+ */
+
+import { afterAll, beforeEach, expect } from 'vitest'
+import { cliMatchers, resetCliSnapshotCounters } from './assertions/vitest-matchers.js'
+// After the matchers, which load the package entry that snapshot.js imports back
+import { flushInlineSnapshots } from './assertions/inline-snapshot.js'
+
+expect.extend(cliMatchers)
+
+// beforeEach hooks run again for each retry
+beforeEach(() => resetCliSnapshotCounters())
+
+afterAll(flushInlineSnapshots)
@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Follows citty command references across modules
+ * @description Resolves `subCommands` values to the command definitions they point at: inline
+ * defineCommand() calls and plain objects, identifiers, ES imports and re-exports, namespace
+ * imports and lazy loaders such as `() => import('./x.js').then((m) => m.default)`.
+ */
+
+import { existsSync, readFileSync, statSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, relative, resolve } from 'pathe'
+import { hash } from 'ohash'
+
+const EXTENSIONS = ['', '.js', '.mjs', '.cjs', '/index.js', '/index.mjs']
+
+// References are followed at most this many steps deep, which also ends import cycles
+const MAX_DEPTH = 50
+
+const nameOf = (node) => node?.name ?? node?.value
+
+export const isFunction = (node) =>
+  node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression' || node?.type === 'FunctionDeclaration'
+
+export const isDefineCommand = (node) =>
+  node?.type === 'CallExpression' && (node.callee.name === 'defineCommand' || node.callee.property?.name === 'defineCommand')
+
+/**
+ * Find a property of an object literal by key
+ * @param {Object} node - ObjectExpression
+ * @param {string} key
+ */
+export function findProperty(node, key) {
+  return node?.properties?.find((p) => p.type === 'Property' && !p.computed && nameOf(p.key) === key)
+}
+
+/**
+ * Top-level bindings and exports of a module
+ */
+function collectBindings(ast) {
+  const locals = new Map() // local name -> value node
+  const imports = new Map() // local name -> { source, imported }
+  const exports = new Map() // exported name -> { local } | { node } | { source, imported }
+  const starExports = []
+
+  const declare = (declaration) => {
+    if (declaration.type === 'VariableDeclaration') {
+      const names = []
+      for (const d of declaration.declarations) {
+        if (d.id.type === 'Identifier' && d.init) {
+          locals.set(d.id.name, d.init)
+          names.push(d.id.name)
+        }
+      }
+      return names
+    }
+    if (declaration.id) {
+      locals.set(declaration.id.name, declaration)
+      return [declaration.id.name]
+    }
+    return []
+  }
+
+  for (const statement of ast.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        for (const s of statement.specifiers) {
+          const imported = s.type === 'ImportDefaultSpecifier' ? 'default' : s.type === 'ImportNamespaceSpecifier' ? '*' : nameOf(s.imported)
+          imports.set(s.local.name, { source: statement.source.value, imported })
+        }
+        break
+      case 'VariableDeclaration':
+      case 'FunctionDeclaration':
+        declare(statement)
+        break
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) {
+          for (const name of declare(statement.declaration)) exports.set(name, { local: name })
+        }
+        for (const s of statement.specifiers) {
+          exports.set(
+            nameOf(s.exported),
+            statement.source ? { source: statement.source.value, imported: nameOf(s.local) } : { local: nameOf(s.local) }
+          )
+        }
+        break
+      case 'ExportDefaultDeclaration': {
+        const { declaration } = statement
+        if (declaration.type === 'Identifier') exports.set('default', { local: declaration.name })
+        else {
+          declare(declaration)
+          exports.set('default', { node: declaration })
+        }
+        break
+      }
+      case 'ExportAllDeclaration':
+        if (statement.exported) exports.set(nameOf(statement.exported), { source: statement.source.value, imported: '*' })
+        else starExports.push(statement.source.value)
+        break
+    }
+  }
+  return { locals, imports, exports, starExports }
+}
+
+/**
+ * The expression a function returns, for loaders like `() => import('./x.js')`
+ */
+function returnedExpression(fn) {
+  if (fn.body.type !== 'BlockStatement') return fn.body
+  const statement = fn.body.body.find((s) => s.type === 'ReturnStatement')
+  return statement?.argument
+}
+
+export class CommandResolver {
+  /**
+   * @param {Object} options
+   * @param {Function} options.parse - `(content, file) => Program` with `locations`, or null when it does not parse
+   * @param {Function} [options.packages] - `(specifier) => boolean`, package imports to follow; none by default
+   */
+  constructor({ parse, packages = () => false }) {
+    this.parse = parse
+    this.packages = packages
+    this.modules = new Map()
+    this.keepFunctions = false
+  }
+
+  /**
+   * Files read while resolving, with content hashes, so cached results can be invalidated
+   * @returns {Object<string, string|null>}
+   */
+  get sources() {
+    return Object.fromEntries([...this.modules].map(([file, mod]) => [file, mod.hash]))
+  }
+
+  loadModule(file, content) {
+    if (this.modules.has(file)) return this.modules.get(file)
+    let mod = { file, hash: null, locals: new Map(), imports: new Map(), exports: new Map(), starExports: [] }
+    if (content !== undefined || existsSync(file)) {
+      const source = content ?? readFileSync(file, 'utf8')
+      const ast = this.parse(source, file)
+      mod = { ...mod, hash: hash(source), ...(ast && collectBindings(ast)) }
+    }
+    this.modules.set(file, mod)
+    return mod
+  }
+
+  /**
+   * Resolve a relative import specifier the way Node resolves it for ESM, plus extensionless
+   * and directory index forms; packages are only followed when `packages` accepts them
+   * @returns {string|null} Absolute file
+   */
+  resolveSpecifier(specifier, fromFile) {
+    if (typeof specifier !== 'string') return null
+    if (!/^\.{0,2}\//.test(specifier)) return this.packages(specifier) ? this.resolvePackage(specifier, fromFile) : null
+    const base = resolve(dirname(fromFile), specifier)
+    for (const extension of EXTENSIONS) {
+      const candidate = base + extension
+      if (existsSync(candidate) && statSync(candidate).isFile()) return candidate
+    }
+    return null
+  }
+
+  // From the importing file first, then from here for packages this one depends on
+  resolvePackage(specifier, fromFile) {
+    for (const base of [fromFile, import.meta.url]) {
+      try {
+        return createRequire(base).resolve(specifier)
+      } catch {}
+    }
+    return null
+  }
+
+  location(node, file) {
+    return { file: relative(process.cwd(), file), line: node.loc?.start.line, column: node.loc ? node.loc.start.column + 1 : undefined }
+  }
+
+  /**
+   * Follow a reference to the value it stands for
+   *
+   * @param {Object} node - AST node
+   * @param {string} file - Absolute path of the module the node is in
+   * @returns {{ node: Object, file: string } | { namespace: string } | { unresolved: string } | null}
+   *   `namespace` is a module imported as a whole, `unresolved` an import that cannot be followed
+   */
+  resolveValue(node, file, depth = 0, scope = null) {
+    if (!node || depth > MAX_DEPTH) return null
+    const next = (child, childFile = file, childScope = scope) => this.resolveValue(child, childFile, depth + 1, childScope)
+
+    switch (node.type) {
+      case 'Identifier': {
+        if (scope?.has(node.name)) return scope.get(node.name)
+        const mod = this.loadModule(file)
+        if (mod.locals.has(node.name)) return next(mod.locals.get(node.name), file, null)
+        const binding = mod.imports.get(node.name)
+        return binding ? this.resolveImport(binding.source, binding.imported, file, depth + 1) : null
+      }
+      case 'MemberExpression': {
+        const object = next(node.object)
+        const key = node.computed ? node.property.value : node.property.name
+        if (object?.namespace) return this.resolveExport(object.namespace, key, depth + 1)
+        if (object?.node?.type === 'ObjectExpression') {
+          const property = findProperty(object.node, key)
+          return property ? next(property.value, object.file, null) : null
+        }
+        return null
+      }
+      case 'ImportExpression':
+        return this.resolveImport(node.source.value, '*', file, depth + 1)
+      case 'AwaitExpression':
+      case 'ParenthesizedExpression':
+        return next(node.argument ?? node.expression)
+      case 'LogicalExpression':
+        // `m.default || m`
+        return next(node.left) || next(node.right)
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+      case 'FunctionDeclaration':
+        return this.keepFunctions ? { node, file } : next(returnedExpression(node))
+      case 'CallExpression': {
+        if (isDefineCommand(node)) return { node, file }
+        // import('./x.js').then((m) => m.default)
+        if (node.callee.type === 'MemberExpression' && node.callee.property.name === 'then') {
+          const loaded = next(node.callee.object)
+          const callback = node.arguments[0]
+          if (!callback?.params) return loaded
+          const [param] = callback.params
+          const callbackScope = new Map()
+          if (param?.type === 'Identifier') callbackScope.set(param.name, loaded)
+          else if (param?.type === 'ObjectPattern' && loaded?.namespace) {
+            for (const p of param.properties) {
+              if (p.type === 'Property' && p.value.type === 'Identifier') {
+                callbackScope.set(p.value.name, this.resolveExport(loaded.namespace, nameOf(p.key), depth + 1))
+              }
+            }
+          }
+          return next(returnedExpression(callback), file, callbackScope)
+        }
+        return null
+      }
+      default:
+        return { node, file }
+    }
+  }
+
+  /**
+   * Follow a reference to the function it names, e.g. an imported helper or `templates.help`
+   * @returns {{ node: Object, file: string } | null}
+   */
+  resolveFunction(node, file) {
+    this.keepFunctions = true
+    try {
+      const value = this.resolveValue(node, file)
+      return isFunction(value?.node) ? value : null
+    } finally {
+      this.keepFunctions = false
+    }
+  }
+
+  resolveImport(source, imported, fromFile, depth) {
+    const target = this.resolveSpecifier(source, fromFile)
+    if (!target) return { unresolved: source }
+    return imported === '*' ? { namespace: target } : this.resolveExport(target, imported, depth)
+  }
+
+  /**
+   * Resolve a named export (or 'default') of a module, through re-exports
+   */
+  resolveExport(file, name, depth = 0) {
+    if (depth > MAX_DEPTH) return null
+    const mod = this.loadModule(file)
+    const entry = mod.exports.get(name)
+    if (entry?.node) return this.resolveValue(entry.node, file, depth + 1)
+    if (entry?.local) return this.resolveValue({ type: 'Identifier', name: entry.local }, file, depth + 1)
+    if (entry) return this.resolveImport(entry.source, entry.imported, file, depth + 1)
+    if (name === 'default') return null
+    for (const source of mod.starExports) {
+      const target = this.resolveSpecifier(source, file)
+      const found = target && this.resolveExport(target, name, depth + 1)
+      if (found) return found
+    }
+    return null
+  }
+
+  /**
+   * Names a module exports, including `export * from` re-exports
+   */
+  exportNames(file, depth = 0) {
+    const mod = this.loadModule(file)
+    const names = new Set(mod.exports.keys())
+    if (depth < MAX_DEPTH) {
+      for (const source of mod.starExports) {
+        const target = this.resolveSpecifier(source, file)
+        if (target) for (const name of this.exportNames(target, depth + 1)) if (name !== 'default') names.add(name)
+      }
+    }
+    return [...names]
+  }
+
+  /**
+   * Turn a resolved value into a command: a defineCommand() call or a plain command object
+   *
+   * @param {Object} value - From resolveValue()
+   * @returns {{ def: Object, file: string, location: Object } | null} `def` is the definition
+   *   object and `file` the module it is in; `location` points at the definition
+   */
+  resolveCommand(value) {
+    if (!value?.node) return null
+    let def = value
+    if (isDefineCommand(value.node)) def = this.resolveValue(value.node.arguments[0], value.file)
+    if (def?.node?.type !== 'ObjectExpression') return null
+    return { def: def.node, file: def.file, location: this.location(value.node, value.file) }
+  }
+
+  /**
+   * Entries of a command's `subCommands`, whether an object literal (with spreads),
+   * an identifier, an imported object or a namespace import
+   *
+   * @param {Object} command - From resolveCommand()
+   * @returns {Array<{ name: string, value: Object, reference: Object|null }>}
+   */
+  subCommandEntries(command) {
+    const property = findProperty(command.def, 'subCommands')
+    return property ? this.objectEntries(this.resolveValue(property.value, command.file)) : []
+  }
+
+  objectEntries(value, depth = 0) {
+    if (!value || depth > MAX_DEPTH) return []
+    if (value.namespace) {
+      return this.exportNames(value.namespace).map((name) => ({ name, value: this.resolveExport(value.namespace, name), reference: null }))
+    }
+    if (value.node?.type !== 'ObjectExpression') return []
+
+    const entries = []
+    for (const p of value.node.properties) {
+      if (p.type === 'SpreadElement') {
+        entries.push(...this.objectEntries(this.resolveValue(p.argument, value.file), depth + 1))
+      } else if (!p.computed || p.key.type === 'Literal') {
+        entries.push({ name: String(nameOf(p.key)), value: this.resolveValue(p.value, value.file), reference: this.location(p, value.file) })
+      }
+    }
+    return entries
+  }
+
+  /**
+   * The value of a literal expression, following identifiers: strings, numbers, booleans,
+   * null and arrays of them
+   * @returns {*} undefined when the value is not known statically
+   */
+  literalValue(node, file) {
+    const resolved = this.resolveValue(node, file)
+    const value = resolved?.node
+    switch (value?.type) {
+      case 'Literal':
+        return value.regex ? undefined : value.value
+      case 'TemplateLiteral':
+        return value.expressions.length === 0 ? value.quasis[0].value.cooked : undefined
+      case 'UnaryExpression': {
+        const argument = this.literalValue(value.argument, resolved.file)
+        if (typeof argument !== 'number' && typeof argument !== 'boolean') return undefined
+        return value.operator === '-' ? -argument : value.operator === '!' ? !argument : undefined
+      }
+      case 'ArrayExpression':
+        return value.elements.map((element) => this.literalValue(element, resolved.file))
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * A string field of a command's `meta`, e.g. name or description
+   */
+  metaField(command, key) {
+    const meta = findProperty(command.def, 'meta')
+    const resolved = meta && this.resolveValue(meta.value, command.file)
+    const field = resolved?.node?.type === 'ObjectExpression' && findProperty(resolved.node, key)
+    const value = field && this.literalValue(field.value, resolved.file)
+    return typeof value === 'string' ? value : undefined
+  }
+
+  /**
+   * A command's `args` definitions, including spread and imported argument objects
+   *
+   * @param {Object} command - From resolveCommand()
+   * @returns {Array<Object>} `{ name, type, required, default, options, alias, description, location }`;
+   *   `type` defaults to 'string' as in citty, `options` are enum values and `alias` is always an array
+   */
+  argDefinitions(command) {
+    const property = findProperty(command.def, 'args')
+    if (!property) return []
+    return this.objectEntries(this.resolveValue(property.value, command.file)).map(({ name, value, reference }) => {
+      const def = value?.node?.type === 'ObjectExpression' ? value : null
+      const field = (key) => {
+        const p = def && findProperty(def.node, key)
+        return p ? this.literalValue(p.value, def.file) : undefined
+      }
+      const alias = field('alias')
+      return {
+        name,
+        type: field('type') ?? 'string',
+        required: field('required') === true,
+        default: field('default'),
+        options: Array.isArray(field('options')) ? field('options') : undefined,
+        alias: [alias].flat().filter((a) => typeof a === 'string'),
+        description: field('description') ?? '',
+        location: reference,
+      }
+    })
+  }
+}
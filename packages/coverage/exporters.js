@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Standard coverage formats for CLI coverage reports
+ * @description Maps each command, flag, option and positional of an ASTAnalyzer report to a
+ * line at its source location (LCOV, Cobertura XML) or to a test case (JUnit XML), so that
+ * existing coverage gates and CI dashboards work on CLI coverage.
+ */
+
+export const EXPORT_FORMATS = ['lcov', 'cobertura', 'junit']
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (ch) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch])
+
+const rate = (covered, total) => (total > 0 ? covered / total : 1).toFixed(4)
+
+/**
+ * Every command and argument of a report, in command order
+ *
+ * @param {Object} report - ASTAnalyzer report
+ * @returns {Array<{ command: string, name: string, kind: string, tested: boolean, location?: Object }>}
+ *   `name` is the command path for commands, `--name` for flags and options and `<name>` for positionals
+ */
+export function coverageItems(report) {
+  const items = []
+  for (const [path, command] of Object.entries(report.commands || {})) {
+    items.push({ command: path, name: path, kind: 'command', tested: !!command.tested, location: command.location })
+    for (const kind of ['flags', 'options', 'positionals']) {
+      for (const arg of Object.values(command[kind] || {})) {
+        const name = kind === 'positionals' ? `<${arg.name}>` : `--${arg.name}`
+        items.push({ command: path, name, kind: kind.slice(0, -1), tested: !!arg.tested, location: arg.location })
+      }
+    }
+  }
+  return items
+}
+
+// Located items by file, then by line; a line shared by several items is covered when all of them are
+function linesByFile(items) {
+  const files = new Map()
+  for (const item of items) {
+    if (!item.location?.file) continue
+    if (!files.has(item.location.file)) files.set(item.location.file, new Map())
+    const lines = files.get(item.location.file)
+    const hits = item.tested ? 1 : 0
+    lines.set(item.location.line, Math.min(lines.get(item.location.line) ?? 1, hits))
+  }
+  return files
+}
+
+/**
+ * LCOV tracefile: commands are functions (FN/FNDA) and every command and argument is a line (DA)
+ */
+export function toLcov(report) {
+  const items = coverageItems(report)
+  const records = []
+  for (const [file, lines] of linesByFile(items)) {
+    const commands = items.filter((item) => item.kind === 'command' && item.location?.file === file)
+    const covered = [...lines.values()].filter((hits) => hits > 0).length
+    records.push(
+      'TN:',
+      `SF:${file}`,
+      ...commands.map((item) => `FN:${item.location.line},${item.name}`),
+      ...commands.map((item) => `FNDA:${item.tested ? 1 : 0},${item.name}`),
+      `FNF:${commands.length}`,
+      `FNH:${commands.filter((item) => item.tested).length}`,
+      ...[...lines].sort(([a], [b]) => a - b).map(([line, hits]) => `DA:${line},${hits}`),
+      `LF:${lines.size}`,
+      `LH:${covered}`,
+      'end_of_record'
+    )
+  }
+  return records.length > 0 ? `${records.join('\n')}\n` : ''
+}
+
+/**
+ * Cobertura XML: one class per source file, with a method per command holding its lines
+ *
+ * @param {Object} report - ASTAnalyzer report
+ * @param {Object} [options]
+ * @param {string} [options.sourceRoot=process.cwd()] - Directory the source locations are relative to
+ */
+export function toCobertura(report, { sourceRoot = process.cwd() } = {}) {
+  const items = coverageItems(report)
+  const files = linesByFile(items)
+  const all = [...files.values()].flatMap((lines) => [...lines.values()])
+  const covered = all.filter((hits) => hits > 0).length
+  const name = Object.keys(report.commands || {})[0] || 'cli'
+  const timestamp = Date.parse(report.metadata?.analyzedAt) || Date.now()
+  const line = (number, hits) => `<line number="${number}" hits="${hits}" branch="false"/>`
+
+  const classes = [...files].map(([file, lines]) => {
+    const methods = items
+      .filter((item) => item.kind === 'command' && item.location?.file === file)
+      .map((command) => {
+        const own = [...new Set(items.filter((item) => item.command === command.command && item.location?.file === file).map((item) => item.location.line))]
+        const hits = own.map((number) => lines.get(number))
+        return [
+          `          <method name="${escapeXml(command.name)}" signature="" line-rate="${rate(hits.filter((h) => h > 0).length, hits.length)}" branch-rate="0" complexity="0">`,
+          '            <lines>',
+          ...own.map((number) => `              ${line(number, lines.get(number))}`),
+          '            </lines>',
+          '          </method>',
+        ]
+      })
+    const hits = [...lines.values()]
+    return [
+      `        <class name="${escapeXml(file)}" filename="${escapeXml(file)}" line-rate="${rate(hits.filter((h) => h > 0).length, hits.length)}" branch-rate="0" complexity="0">`,
+      '          <methods>',
+      ...methods.flat().map((text) => `  ${text}`),
+      '          </methods>',
+      '          <lines>',
+      ...[...lines].sort(([a], [b]) => a - b).map(([number, h]) => `            ${line(number, h)}`),
+      '          </lines>',
+      '        </class>',
+    ]
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">',
+    `<coverage line-rate="${rate(covered, all.length)}" branch-rate="0" lines-covered="${covered}" lines-valid="${all.length}" branches-covered="0" branches-valid="0" complexity="0" version="1" timestamp="${timestamp}">`,
+    '  <sources>',
+    `    <source>${escapeXml(sourceRoot)}</source>`,
+    '  </sources>',
+    '  <packages>',
+    `    <package name="${escapeXml(name)}" line-rate="${rate(covered, all.length)}" branch-rate="0" complexity="0">`,
+    '      <classes>',
+    ...classes.flat(),
+    '      </classes>',
+    '    </package>',
+    '  </packages>',
+    '</coverage>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * JUnit XML: a test suite per command, with a test case for the command and each of its
+ * arguments; one no test runs is a failure
+ */
+export function toJUnit(report) {
+  const items = coverageItems(report)
+  const failures = (list) => list.filter((item) => !item.tested).length
+  const name = Object.keys(report.commands || {})[0] || 'cli'
+
+  const suites = Object.keys(report.commands || {}).map((path) => {
+    const cases = items.filter((item) => item.command === path)
+    const testCases = cases.map((item) => {
+      const where = item.location ? ` file="${escapeXml(item.location.file)}" line="${item.location.line}"` : ''
+      const open = `    <testcase name="${escapeXml(item.name)}" classname="${escapeXml(path)}"${where} time="0"`
+      if (item.tested) return [`${open}/>`]
+      const message = item.kind === 'command' ? `${item.name} is not run by any test` : `${item.kind} ${item.name} of ${path} is not used by any test`
+      return [`${open}>`, `      <failure type="uncovered" message="${escapeXml(message)}"/>`, '    </testcase>']
+    })
+    return [
+      `  <testsuite name="${escapeXml(path)}" tests="${cases.length}" failures="${failures(cases)}" errors="0" skipped="0" time="0">`,
+      ...testCases.flat(),
+      '  </testsuite>',
+    ]
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`${name} CLI coverage`)}" tests="${items.length}" failures="${failures(items)}" errors="0" time="0">`,
+    ...suites.flat(),
+    '</testsuites>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * Format a report in one of EXPORT_FORMATS
+ *
+ * @param {Object} report - ASTAnalyzer report
+ * @param {string} format - `lcov`, `cobertura` or `junit`
+ * @param {Object} [options] - Passed to the exporter
+ */
+export function exportCoverage(report, format, options = {}) {
+  switch (format.toLowerCase()) {
+    case 'lcov':
+      return toLcov(report)
+    case 'cobertura':
+      return toCobertura(report, options)
+    case 'junit':
+      return toJUnit(report)
+    default:
+      throw new Error(
+        `Unknown coverage export format: ${format}\n` +
+          `Supported formats: ${EXPORT_FORMATS.join(', ')}`
+      )
+  }
+}
@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Consolidated AST-Based CLI Coverage Analyzer with Caching
+ */
+
+import { readFileSync, existsSync, readdirSync, statSync } from 'node:fs'
+import { join, relative, resolve } from 'pathe'
+import { parse } from 'acorn'
+import { simple as walk } from 'acorn-walk'
+import { consola, readInvocationLedger } from '@un-test/core'
+import { hash } from 'ohash'
+import { createStorage } from 'unstorage'
+import fsDriver from 'unstorage/drivers/fs'
+import { defu } from 'defu'
+import { CommandResolver } from './command-resolver.js'
+import { TestInvocations } from './test-invocations.js'
+import { EXPORT_FORMATS, exportCoverage } from './exporters.js'
+
+export class ASTAnalyzer {
+  constructor(options = {}) {
+    this.options = defu(options, { cliPath: 'src/cli.mjs', testDir: 'test', cacheDir: '.ctu/cache/ast', includePatterns: ['.test.mjs', '.test.js', '.spec.mjs', '.spec.js'], excludePatterns: ['node_modules', '.git', 'coverage'], runners: [], runtime: false, verbose: false })
+    this.storage = createStorage({ driver: fsDriver({ base: this.options.cacheDir }) })
+  }
+
+  async analyze(options = {}) {
+    const opts = defu(options, this.options)
+    try {
+      const cliHierarchy = await this.getCachedCLIHierarchy(opts)
+      const testPatterns = opts.runtime ? this.getRuntimePatterns(opts, cliHierarchy) : await this.getCachedTestPatterns(opts, cliHierarchy)
+      const coverage = this.calculateCoverage(cliHierarchy, testPatterns)
+      return this.generateReport(cliHierarchy, testPatterns, coverage, opts)
+    } catch (error) {
+      consola.error(`AST analysis failed: ${error.message}`)
+      throw error
+    }
+  }
+
+  async getCachedCLIHierarchy(opts) {
+    const cliPath = resolve(opts.cliPath)
+    if (!existsSync(cliPath)) throw new Error(`CLI not found: ${cliPath}`)
+    const content = readFileSync(cliPath, 'utf8')
+    const key = `hierarchy:${hash(content)}`
+    const cached = await this.storage.getItem(key)
+    // Subcommands live in other files, so a hit is only valid while none of them changed
+    if (cached && this.sourcesUnchanged(cached.sources)) return cached
+    const hierarchy = this.discoverCLIStructure(content, cliPath)
+    await this.storage.setItem(key, hierarchy)
+    return hierarchy
+  }
+
+  async getCachedTestPatterns(opts, cliHierarchy) {
+    const testFiles = this.findTestFiles(opts.testDir, opts)
+    if (testFiles.length === 0) return {}
+    const key = `test-patterns:${hash(testFiles.join(','))}:${hash(cliHierarchy)}:${hash(opts.runners || [])}`
+    const cached = await this.storage.getItem(key)
+    // Helpers and scenario templates live in other files, which invalidate the entry too
+    if (cached && this.sourcesUnchanged(cached.sources)) return cached.patterns
+    const patterns = await this.discoverTestPatterns(testFiles, cliHierarchy, opts)
+    await this.storage.setItem(key, { patterns, sources: this.invocations.sources })
+    return patterns
+  }
+
+  discoverCLIStructure(content, cliPath) {
+    const ast = this.parseSafe(content, cliPath)
+    if (!ast) throw new Error(`Could not parse: ${cliPath}`)
+    const file = resolve(cliPath)
+    this.resolver = new CommandResolver({ parse: (c, p) => this.parseSafe(c, p) })
+    this.resolver.loadModule(file, content)
+    const h = { mainCommand: { name: 'ctu', description: '', options: [] }, subcommands: {} }
+    const node = this.findRunMainTarget(ast) || this.findMainCLIVariable(ast) || this.findLargestCommand(ast) || this.findDefaultExport(ast)
+    const command = node && this.resolver.resolveCommand(this.resolver.resolveValue(node, file))
+    if (command) {
+      h.mainCommand.name = this.extractCommandName(command) || 'ctu'
+      h.mainCommand.description = this.extractDescription(command) || ''
+      h.mainCommand.location = command.location
+      h.mainCommand.args = this.resolver.argDefinitions(command)
+      this.buildSubcommandTree(command, h, h.mainCommand.name)
+    }
+    h.sources = this.resolver.sources
+    return h
+  }
+
+  sourcesUnchanged(sources) {
+    if (!sources) return false
+    return Object.entries(sources).every(([file, digest]) => (existsSync(file) ? hash(readFileSync(file, 'utf8')) : null) === digest)
+  }
+
+  // Commands the recorded test run invoked, in the same shape as the statically discovered patterns
+  getRuntimePatterns(opts, cliHierarchy) {
+    const ledger = readInvocationLedger({ cwd: opts.cwd, runId: opts.runId })
+    if (!ledger) {
+      throw new Error(
+        `No runtime invocation ledger found${opts.runId ? ` for run ${opts.runId}` : ''} in ${join(resolve(opts.cwd || '.'), '.ctu/coverage')}\n` +
+          'Record one by running the tests with CTU_COVERAGE=1, e.g. CTU_COVERAGE=1 npx vitest run'
+      )
+    }
+    this.ledger = ledger
+    return this.runtimePatterns(ledger.entries, cliHierarchy, opts)
+  }
+
+  // Ledger entries grouped by the command they ran. Local runs of another CLI are skipped;
+  // cleanroom paths are inside the container, so those always count
+  runtimePatterns(entries, h, opts = this.options) {
+    const cliPath = resolve(opts.cwd || '.', opts.cliPath)
+    const patterns = {}
+    for (const entry of entries) {
+      if (!Array.isArray(entry.args) || (entry.runner === 'local' && entry.cliPath && resolve(entry.cliPath) !== cliPath)) continue
+      const args = entry.args.map(String)
+      const path = this.commandLevels(args, h).at(-1).path
+      patterns[path] ||= { testFiles: [], invocations: [], exitCodes: {} }
+      const file = entry.testFile ? relative(resolve(opts.cwd || '.'), entry.testFile) : null
+      if (file && !patterns[path].testFiles.includes(file)) patterns[path].testFiles.push(file)
+      patterns[path].invocations.push(args)
+      patterns[path].exitCodes[entry.exitCode] = (patterns[path].exitCodes[entry.exitCode] || 0) + 1
+    }
+    return patterns
+  }
+
+  calculateCoverage(h, p) {
+    const name = h?.mainCommand?.name || 'ctu'
+    const subs = h?.subcommands || {}
+    const stats = {
+      mainCommand: { tested: !!p[name], total: 1, percentage: 0 },
+      subcommands: { tested: 0, total: Object.keys(subs).length, percentage: 0 },
+      overall: { tested: 0, total: 0, percentage: 0 },
+      flags: { tested: 0, total: 0, percentage: 0 },
+      options: { tested: 0, total: 0, percentage: 0 },
+      positionals: { tested: 0, total: 0, percentage: 0 },
+      enumValues: { tested: 0, total: 0, percentage: 0 }
+    }
+    for (const path of Object.keys(subs)) if (p[path]) stats.subcommands.tested++
+    const details = { untestedSubcommands: Object.keys(subs).filter(x => !p[x]), untestedCommands: [], untestedFlags: [], untestedOptions: [], untestedPositionals: [], untestedEnumValues: [], args: {} }
+
+    // Arguments each command received across all test invocations: path -> arg name -> values
+    const used = new Map()
+    for (const argv of Object.values(p).flatMap(x => x.invocations || [])) {
+      for (const level of this.commandLevels(argv, h)) {
+        const defs = (level.path === name ? h?.mainCommand : subs[level.path])?.args || []
+        if (!used.has(level.path)) used.set(level.path, new Map())
+        for (const [arg, values] of this.matchArguments(level.argv, defs)) used.get(level.path).set(arg, [...(used.get(level.path).get(arg) || []), ...values])
+      }
+    }
+    for (const [path, command] of [[name, h?.mainCommand], ...Object.entries(subs)]) {
+      details.args[path] = {}
+      for (const arg of command?.args || []) {
+        const values = used.get(path)?.get(arg.name)
+        const kind = arg.type === 'boolean' ? 'flags' : arg.type === 'positional' ? 'positionals' : 'options'
+        const entry = { command: path, name: arg.name, description: arg.description, type: arg.type, location: arg.location, global: path === name }
+        stats[kind].total++
+        if (values) stats[kind].tested++
+        else details[`untested${kind[0].toUpperCase()}${kind.slice(1)}`].push(entry)
+        const untestedValues = (arg.options || []).filter(v => !values?.includes(String(v)))
+        stats.enumValues.total += arg.options?.length || 0
+        stats.enumValues.tested += (arg.options?.length || 0) - untestedValues.length
+        for (const value of untestedValues) details.untestedEnumValues.push({ ...entry, value })
+        details.args[path][arg.name] = { tested: !!values, ...(arg.options && { untestedValues }) }
+      }
+    }
+
+    const c = (m) => { if (m) m.percentage = m.total > 0 ? (m.tested / m.total) * 100 : 0; return m }
+    c(stats.mainCommand); c(stats.subcommands); c(stats.flags); c(stats.options); c(stats.positionals); c(stats.enumValues)
+    stats.overall.total = stats.mainCommand.total + stats.subcommands.total
+    stats.overall.tested = stats.mainCommand.tested + stats.subcommands.tested
+    c(stats.overall)
+    return { summary: stats, details }
+  }
+
+  // Commands an invocation passes through and the argv each one parses: like citty, the first
+  // non-flag argument names a subcommand, which receives the arguments after it
+  commandLevels(argv, h) {
+    let path = h?.mainCommand?.name || 'ctu', rest = argv
+    const levels = [{ path, argv: rest }]
+    for (;;) {
+      const i = rest.findIndex(a => a === null || !a.startsWith('-'))
+      if (i < 0 || rest[i] === null || !h?.subcommands?.[`${path} ${rest[i]}`]) return levels
+      path = `${path} ${rest[i]}`
+      rest = rest.slice(i + 1)
+      levels.push({ path, argv: rest })
+    }
+  }
+
+  // Args an argv sets, parsed the way citty does: `--name value`, `--name=value`, `--no-flag`,
+  // kebab or camel case, short aliases (also grouped as `-abc`) and positionals in order
+  matchArguments(argv, defs) {
+    const camel = (x) => x.replace(/-(\w)/g, (_, ch) => ch.toUpperCase())
+    const find = (key) => defs.find(d => d.type !== 'positional' && [d.name, ...d.alias].some(x => camel(x) === camel(key)))
+    const used = new Map()
+    // Values not known statically (null) still mark the arg as used
+    const set = (def, value) => used.set(def.name, [...(used.get(def.name) || []), ...(value === undefined || value === null ? [] : [value])])
+    const positionals = []
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i]
+      if (token === '--') { positionals.push(...argv.slice(i + 1)); break }
+      if (token === null || !token.startsWith('-') || token === '-') { positionals.push(token); continue }
+      const long = token.startsWith('--'), eq = token.indexOf('=')
+      const body = eq < 0 ? token : token.slice(0, eq), inline = eq < 0 ? undefined : token.slice(eq + 1)
+      const keys = long ? [body.slice(2)] : [...body.slice(1)]
+      keys.forEach((key, k) => {
+        const negated = long && !find(key) && key.startsWith('no-') ? find(key.slice(3)) : null
+        if (negated) return set(negated, inline)
+        const def = find(key), last = k === keys.length - 1
+        let value = last ? inline : undefined
+        // Flags without a definition take a value, as in citty
+        if (last && value === undefined && def?.type !== 'boolean' && i + 1 < argv.length && !argv[i + 1]?.startsWith('-')) value = argv[++i]
+        if (def) set(def, def.type === 'boolean' ? undefined : value)
+      })
+    }
+    defs.filter(d => d.type === 'positional').forEach((d, k) => { if (k < positionals.length) set(d, positionals[k]) })
+    return used
+  }
+
+  generateReport(h, p, coverage, opts) {
+    const runtime = opts.runtime && this.ledger ? { runId: this.ledger.runId, totalInvocations: Object.values(p).reduce((n, x) => n + x.invocations.length, 0) } : {}
+    const totalTestFiles = opts.runtime ? new Set(Object.values(p).flatMap(x => x.testFiles)).size : this.findTestFiles(opts.testDir, opts).length
+    return {
+      metadata: { analyzedAt: new Date().toISOString(), cliPath: opts.cliPath, testDir: opts.testDir, analysisMethod: opts.runtime ? 'Runtime invocation ledger' : 'Optimized AST with Caching', ...runtime, totalTestFiles, totalCommands: 1, totalSubcommands: Object.keys(h?.subcommands || {}).length, totalFlags: coverage.summary.flags.total, totalOptions: coverage.summary.options.total, totalPositionals: coverage.summary.positionals.total },
+      coverage, recommendations: [], commands: this.reportCommands(h, p, coverage)
+    }
+  }
+
+  // Commands keyed by path, with their args split into flags, options and positionals
+  reportCommands(h, p, coverage) {
+    const name = h?.mainCommand?.name || 'ctu'
+    const commands = {}
+    for (const [path, command] of [[name, h?.mainCommand], ...Object.entries(h?.subcommands || {})]) {
+      if (!command) continue
+      const args = (filter) => Object.fromEntries((command.args || []).filter(filter).map(arg => [arg.name, { ...arg, ...coverage.details.args?.[path]?.[arg.name] }]))
+      commands[path] = {
+        ...command,
+        tested: !!p[path],
+        ...(p[path]?.exitCodes && { exitCodes: p[path].exitCodes }),
+        flags: args(a => a.type === 'boolean'),
+        options: args(a => a.type !== 'boolean' && a.type !== 'positional'),
+        positionals: args(a => a.type === 'positional')
+      }
+    }
+    return commands
+  }
+
+  generateTextReport(report) {
+    const s = report.coverage.summary
+    return [
+      '🚀 Optimized AST-Based CLI Test Coverage Analysis',
+      '='.repeat(50),
+      '',
+      '📈 Summary:',
+      `  Main Command: ${s.mainCommand.tested ? '✅' : '❌'} (${s.mainCommand.percentage.toFixed(1)}%)`,
+      `  Subcommands:  ${s.subcommands.tested}/${s.subcommands.total} (${s.subcommands.percentage.toFixed(1)}%)`,
+      `  Flags:        ${s.flags.tested}/${s.flags.total} (${s.flags.percentage.toFixed(1)}%)`,
+      `  Options:      ${s.options.tested}/${s.options.total} (${s.options.percentage.toFixed(1)}%)`,
+      `  Positionals:  ${s.positionals.tested}/${s.positionals.total} (${s.positionals.percentage.toFixed(1)}%)`,
+      `  Enum values:  ${s.enumValues.tested}/${s.enumValues.total} (${s.enumValues.percentage.toFixed(1)}%)`,
+      `  Overall:      ${s.overall.tested}/${s.overall.total} (${s.overall.percentage.toFixed(1)}%)`,
+      '',
+      'ℹ️  Analysis Info:',
+      `  CLI Path: ${report.metadata.cliPath}`,
+      `  Test Dir: ${report.metadata.testDir}`,
+      ...(report.metadata.runId ? [`  Test Run: ${report.metadata.runId} (${report.metadata.totalInvocations} invocations)`] : [])
+    ].join('\n')
+  }
+
+  async formatReport(report, opts = {}) {
+    if (EXPORT_FORMATS.includes(opts.format)) return exportCoverage(report, opts.format, opts)
+    return opts.format === 'json' ? JSON.stringify(report, null, 2) : this.generateTextReport(report)
+  }
+
+  parseSafe(c, p) { try { return parse(c, { ecmaVersion: 2022, sourceType: 'module', locations: true, allowHashBang: true, allowReturnOutsideFunction: true, allowImportExportEverywhere: true, allowAwaitOutsideFunction: true }) } catch { return null } }
+  findTestFiles(d, o) {
+    if (!existsSync(d)) return []
+    let res = []
+    try { for (const f of readdirSync(d)) { const p = join(d, f), s = statSync(p); if (s.isDirectory()) { if (!o.excludePatterns.some(x => p.includes(x))) res = res.concat(this.findTestFiles(p, o)) } else if (o.includePatterns.some(x => f.endsWith(x))) res.push(p) } } catch {}
+    return res
+  }
+
+  async discoverTestPatterns(files, h, opts = this.options) {
+    this.invocations = new TestInvocations({ parse: (c, p) => this.parseSafe(c, p), runners: opts.runners })
+    const patterns = new Map()
+    for (const f of files) {
+      try {
+        for (const { args } of this.invocations.collect(resolve(f))) {
+          const path = this.commandLevels(args, h).at(-1).path
+          if (!patterns.has(path)) patterns.set(path, { testFiles: new Set(), invocations: [] })
+          patterns.get(path).testFiles.add(f)
+          patterns.get(path).invocations.push(args)
+        }
+      } catch {}
+    }
+    const res = {}
+    for (const [p, d] of patterns) res[p] = { testFiles: Array.from(d.testFiles), invocations: d.invocations }
+    return res
+  }
+
+  // Command a single runner call or scenario step runs, or null when it runs none or its arguments are unknown
+  recognizeTestPattern(n, h, file) {
+    this.invocations ||= new TestInvocations({ parse: (c, p) => this.parseSafe(c, p), runners: this.options.runners })
+    const args = this.invocations.callArguments(n, file)
+    return args ? { commandPath: this.commandLevels(args, h).at(-1).path, args } : null
+  }
+
+  getPropertyKey(p) { return p.key?.name || p.key?.value }
+  isDefineCommand(n) { return n?.type === 'CallExpression' && n.callee.name === 'defineCommand' }
+  findRunMainTarget(a) { let node = null; walk(a, { CallExpression: (n) => { if ((n.callee.name || n.callee.property?.name) === 'runMain' && n.arguments[0]) node = n.arguments[0] } }); return node }
+  findMainCLIVariable(a) { let node = null; walk(a, { VariableDeclaration: (n) => { for (const d of n.declarations) if (d.init && this.isDefineCommand(d.init)) node = d.init } }); return node }
+  findLargestCommand(a) { let node = null, max = -1; walk(a, { CallExpression: (n) => { if (this.isDefineCommand(n)) { const sub = n.arguments?.[0]?.properties?.find(p => this.getPropertyKey(p) === 'subCommands'); const c = sub?.value?.properties?.length || 0; if (c > max) { max = c; node = n } } } }); return node }
+  findDefaultExport(a) { let node = null; walk(a, { ExportDefaultDeclaration: (d) => { if (this.isDefineCommand(d.declaration)) node = d.declaration } }); return node }
+  // Commands come from CommandResolver.resolveCommand(); a defineCommand() node is read in place
+  commandDef(n) { return n?.def ? n : { def: n?.type === 'ObjectExpression' ? n : n?.arguments?.[0], file: null } }
+  extractCommandName(n) { return this.metaField(this.commandDef(n), 'name') }
+  extractDescription(n) { return this.metaField(this.commandDef(n), 'description') }
+  metaField(c, key) { return c.file && this.resolver ? this.resolver.metaField(c, key) : c.def?.properties?.find(p => this.getPropertyKey(p) === 'meta')?.value?.properties?.find(p => this.getPropertyKey(p) === key)?.value?.value }
+  buildSubcommandTree(command, h, parent, ancestors = new Set()) {
+    const lineage = new Set(ancestors).add(command.def)
+    for (const { name, value, reference } of this.resolver.subCommandEntries(command)) {
+      const path = `${parent} ${name}`
+      const sub = this.resolver.resolveCommand(value)
+      if (!sub) {
+        // Kept in the tree so coverage still counts it, with the reason it could not be read
+        h.subcommands[path] = { name, description: '', location: reference, args: [], unresolved: value?.unresolved ? `import "${value.unresolved}" is not followed` : 'not a command definition' }
+        continue
+      }
+      h.subcommands[path] = { name, description: this.extractDescription(sub) || '', location: sub.location, args: this.resolver.argDefinitions(sub) }
+      if (!lineage.has(sub.def)) this.buildSubcommandTree(sub, h, path, lineage)
+    }
+  }
+}
+
+/**
+ * AST Cache Layer with content-based invalidation (Unstorage version)
+ */
+export class ASTCacheLayer {
+  constructor(options = {}) {
+    this.options = defu(options, {
+      cacheDir: '.ctu/cache/ast',
+      ttl: 3600000,
+      enabled: true,
+      maxSize: 100,
+      verbose: false
+    })
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      size: 0,
+      evictions: 0
+    }
+
+    if (this.options.enabled) {
+      this.storage = createStorage({
+        driver: fsDriver({ base: this.options.cacheDir })
+      })
+    }
+  }
+
+  getCacheKey(filePath, content) {
+    if (filePath === null || content === null) {
+       throw new Error('Invalid input')
+    }
+    const contentHash = hash(content).slice(0, 16)
+    const normalizedPath = String(filePath).replace(/[^a-z0-9]/gi, '_')
+    return `${normalizedPath}_${contentHash}`
+  }
+
+  async get(filePath, content) {
+    if (!this.options.enabled) return null
+    const key = this.getCacheKey(filePath, content)
+    
+    try {
+      const cached = await this.storage.getItem(key)
+      if (cached) {
+        if (Date.now() - cached.timestamp < this.options.ttl) {
+          this.stats.hits++
+          return cached.ast
+        } else {
+          await this.storage.removeItem(key)
+          this.stats.size--
+        }
+      }
+    } catch (error) {
+       // Corrupted or other error
+    }
+    
+    this.stats.misses++
+    return null
+  }
+
+  async set(filePath, content, ast) {
+    if (!this.options.enabled) return
+    const key = this.getCacheKey(filePath, content)
+    
+    const cacheData = {
+      timestamp: Date.now(),
+      filePath,
+      ast
+    }
+    
+    const alreadyExists = await this.storage.hasItem(key)
+    if (!alreadyExists) {
+      await this.enforceMaxSize()
+    }
+    
+    await this.storage.setItem(key, cacheData)
+    if (!alreadyExists) {
+      this.stats.size++
+    }
+  }
+
+  async enforceMaxSize() {
+    const keys = await this.storage.getKeys()
+    if (keys.length >= this.options.maxSize) {
+      const items = await Promise.all(keys.map(async k => {
+        try {
+          const item = await this.storage.getItem(k)
+          return { key: k, timestamp: item?.timestamp || 0 }
+        } catch {
+          return { key: k, timestamp: 0 }
+        }
+      }))
+      
+      items.sort((a, b) => a.timestamp - b.timestamp)
+      
+      while (items.length >= this.options.maxSize) {
+        const oldest = items.shift()
+        await this.storage.removeItem(oldest.key)
+        this.stats.evictions++
+        this.stats.size--
+      }
+    }
+  }
+
+  async clear() {
+    if (this.storage) {
+      await this.storage.clear()
+    }
+    this.stats = { hits: 0, misses: 0, size: 0, evictions: 0 }
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses
+    const hitRate = total > 0
+      ? (this.stats.hits / total * 100).toFixed(1)
+      : "0.0"
+
+    return {
+      ...this.stats,
+      hitRate: `${hitRate}%`,
+      enabled: this.options.enabled
+    }
+  }
+
+  printStats() {
+    const stats = this.getStats()
+    console.log('\n📊 AST Cache Statistics:')
+    console.log(`   Hits: ${stats.hits}`)
+    console.log(`   Misses: ${stats.misses}`)
+    console.log(`   Hit Rate: ${stats.hitRate}`)
+    console.log(`   Cached ASTs: ${stats.size}`)
+    console.log(`   Enabled: ${stats.enabled}`)
+    console.log('')
+  }
+}
+
+export * from './helpers.js'
+export * from './exporters.js'
+export { CLCoverageAnalyzer } from './cli-coverage-analyzer.js'
+
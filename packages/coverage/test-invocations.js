@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Finds the CLI invocations a test file makes
+ * @description Recognizes runner calls (runCitty, runLocalCitty, runLocalCittySafe and configured
+ * names), scenario DSL steps, scenarioTemplates and helper functions that wrap any of them.
+ * Arguments are evaluated statically from literals, template literals, constants and the
+ * parameters a helper was called with; parts that cannot be known stay `null`.
+ */
+
+import { readFileSync } from 'node:fs'
+import { ancestor as walkAncestors, simple as walk } from 'acorn-walk'
+import { hash } from 'ohash'
+import { CommandResolver, findProperty, isFunction } from './command-resolver.js'
+
+export const DEFAULT_RUNNERS = ['runCitty', 'runLocalCitty', 'runLocalCittySafe']
+
+// Functions from @un-test/scenario that start a builder; they are never followed as helpers
+export const SCENARIO_FACTORIES = ['scenario', 'concurrentScenario', 'cleanroomScenario', 'localScenario']
+
+// Packages whose exports (scenarioTemplates) are read; other package imports are not followed
+const SCENARIO_PACKAGES = ['@un-test/scenario', 'un-test-utils', 'citty-test-utils']
+
+// Helpers calling helpers are followed this many levels deep, which also ends recursion
+const MAX_HELPER_DEPTH = 5
+
+// The call or identifier a method chain starts from: `scenario('x').step(...).run(...)` -> `scenario('x')`
+function chainRoot(node) {
+  while (node?.type === 'CallExpression' && node.callee.type === 'MemberExpression') node = node.callee.object
+  return node
+}
+
+export class TestInvocations {
+  /**
+   * @param {Object} options
+   * @param {Function} options.parse - `(content, file) => Program`, or null when it does not parse
+   * @param {string[]} [options.runners] - Function names that run the CLI, besides DEFAULT_RUNNERS
+   */
+  constructor({ parse, runners = [] }) {
+    this.parse = parse
+    this.runners = new Set([...DEFAULT_RUNNERS, ...runners])
+    this.resolver = new CommandResolver({ parse, packages: (specifier) => SCENARIO_PACKAGES.includes(specifier) })
+    this.files = new Map()
+  }
+
+  /**
+   * Files read so far, with content hashes, so cached results can be invalidated
+   * @returns {Object<string, string|null>}
+   */
+  get sources() {
+    const files = Object.fromEntries([...this.files].map(([file, context]) => [file, context.hash]))
+    return { ...this.resolver.sources, ...files }
+  }
+
+  /**
+   * Every CLI invocation in a test file, including those made through helpers
+   *
+   * @param {string} file - Absolute path
+   * @returns {Array<{ args: Array<string|null>, line: number }>}
+   */
+  collect(file) {
+    const { ast, functions } = this.context(file)
+    if (!ast) return []
+    const helpers = new Set(functions.values())
+    const invocations = []
+    walkAncestors(ast, {
+      CallExpression: (node, ancestors) => {
+        // Calls inside helpers are counted where the helper is called, with its arguments
+        if (ancestors.some((ancestor) => helpers.has(ancestor))) return
+        for (const args of this.invocationsOf(node, file, new Map(), 0)) invocations.push({ args, line: node.loc?.start.line })
+      },
+    })
+    return invocations
+  }
+
+  // Parsed file with its helper functions and the variables holding scenario builders
+  context(file) {
+    if (this.files.has(file)) return this.files.get(file)
+    let content = null
+    try {
+      content = readFileSync(file, 'utf8')
+    } catch {}
+    const ast = content === null ? null : this.parse(content, file)
+    const context = { ast, hash: content === null ? null : hash(content), functions: new Map(), builders: new Set() }
+    if (ast) {
+      // By name, whatever the scope: helpers are often declared inside describe() callbacks
+      walk(ast, {
+        FunctionDeclaration: (node) => node.id && context.functions.set(node.id.name, node),
+        VariableDeclarator: (node) => {
+          if (node.id.type !== 'Identifier') return
+          if (isFunction(node.init)) context.functions.set(node.id.name, node.init)
+          const root = chainRoot(node.init)
+          const isBuilder =
+            (root?.type === 'CallExpression' && SCENARIO_FACTORIES.includes(root.callee.name)) ||
+            (root?.type === 'Identifier' && context.builders.has(root.name))
+          if (isBuilder) context.builders.add(node.id.name)
+        },
+      })
+    }
+    this.files.set(file, context)
+    return context
+  }
+
+  isScenarioChain(node, file) {
+    const root = chainRoot(node)
+    if (root?.type === 'CallExpression') return root.callee.type === 'Identifier' && SCENARIO_FACTORIES.includes(root.callee.name)
+    return root?.type === 'Identifier' && this.context(file).builders.has(root.name)
+  }
+
+  /**
+   * Arguments of a runner call or scenario step
+   *
+   * @param {Object} call - CallExpression
+   * @param {string} file - File the call is in
+   * @param {Map} [scope] - Values of the enclosing helper's parameters
+   * @returns {Array<string|null>|undefined|null} null when the call runs nothing,
+   *   undefined when it does but its arguments are not known
+   */
+  callArguments(call, file, scope = new Map()) {
+    const { callee } = call
+    const name = callee.type === 'Identifier' ? callee.name : callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null
+
+    if (callee.type === 'MemberExpression' && (name === 'step' || name === 'run') && this.isScenarioChain(callee.object, file)) {
+      // .step(name, args, options) and .run(args, options); a function step is an action
+      const source = call.arguments[name === 'step' ? 1 : 0]
+      return source && !isFunction(source) ? this.argv(source, file, scope) : null
+    }
+    if (!this.runners.has(name)) return null
+    const [first] = call.arguments
+    return this.argv(first?.type === 'ObjectExpression' ? findProperty(first, 'args')?.value : first, file, scope)
+  }
+
+  invocationsOf(call, file, scope, depth) {
+    const args = this.callArguments(call, file, scope)
+    if (args !== null) return args ? [args] : []
+    if (depth >= MAX_HELPER_DEPTH || SCENARIO_FACTORIES.includes(call.callee.name)) return []
+
+    const helper = this.resolveHelper(call.callee, file)
+    if (!helper) return []
+    const helperScope = this.bind(helper.node, call.arguments, file, scope, helper.file)
+    const invocations = []
+    walk(helper.node.body, {
+      CallExpression: (node) => invocations.push(...this.invocationsOf(node, helper.file, helperScope, depth + 1)),
+    })
+    return invocations
+  }
+
+  resolveHelper(callee, file) {
+    if (callee.type === 'Identifier') {
+      const local = this.context(file).functions.get(callee.name)
+      if (local) return { node: local, file }
+    }
+    if (callee.type !== 'Identifier' && callee.type !== 'MemberExpression') return null
+    const helper = this.resolver.resolveFunction(callee, file)
+    if (helper) this.context(helper.file)
+    return helper
+  }
+
+  // Parameter values for a helper call, then the helper's own top-level constants
+  bind(fn, args, file, scope, fnFile) {
+    const values = []
+    for (const arg of args) {
+      if (arg.type !== 'SpreadElement') values.push(this.evaluate(arg, file, scope))
+      else {
+        const spread = this.evaluate(arg.argument, file, scope)
+        if (Array.isArray(spread)) values.push(...spread)
+        else values.push(undefined)
+      }
+    }
+
+    const helperScope = new Map()
+    fn.params.forEach((param, index) => {
+      if (param.type === 'Identifier') helperScope.set(param.name, values[index])
+      else if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+        helperScope.set(param.left.name, index < values.length ? values[index] : this.evaluate(param.right, fnFile, helperScope))
+      } else if (param.type === 'RestElement' && param.argument.type === 'Identifier') {
+        helperScope.set(param.argument.name, values.slice(index).map((value) => value ?? null))
+      }
+    })
+    for (const statement of fn.body.type === 'BlockStatement' ? fn.body.body : []) {
+      if (statement.type !== 'VariableDeclaration') continue
+      for (const d of statement.declarations) {
+        if (d.id.type === 'Identifier') helperScope.set(d.id.name, this.evaluate(d.init, fnFile, helperScope))
+      }
+    }
+    return helperScope
+  }
+
+  /**
+   * Static value of an expression: a string, number, boolean, array or undefined when unknown
+   */
+  evaluate(node, file, scope) {
+    if (!node) return undefined
+    switch (node.type) {
+      case 'Identifier':
+        return scope.has(node.name) ? scope.get(node.name) : this.resolver.literalValue(node, file)
+      case 'TemplateLiteral': {
+        let text = node.quasis[0].value.cooked
+        for (const [index, expression] of node.expressions.entries()) {
+          const value = this.evaluate(expression, file, scope)
+          if (value === undefined || value === null || typeof value === 'object') return undefined
+          text += value + node.quasis[index + 1].value.cooked
+        }
+        return text
+      }
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return undefined
+        const left = this.evaluate(node.left, file, scope)
+        const right = this.evaluate(node.right, file, scope)
+        const primitive = (value) => typeof value === 'string' || typeof value === 'number'
+        return primitive(left) && primitive(right) ? left + right : undefined
+      }
+      case 'ArrayExpression': {
+        const elements = []
+        for (const element of node.elements) {
+          const spread = element?.type === 'SpreadElement'
+          const value = this.evaluate(spread ? element.argument : element, file, scope)
+          if (spread && Array.isArray(value)) elements.push(...value)
+          else elements.push(value ?? null)
+        }
+        return elements
+      }
+      default:
+        return this.resolver.literalValue(node, file)
+    }
+  }
+
+  // argv a runner receives: strings are split on whitespace, as runLocalCitty() and step() do
+  argv(node, file, scope) {
+    const value = this.evaluate(node, file, scope)
+    if (typeof value === 'string') return value.trim() === '' ? [] : value.trim().split(/\s+/)
+    if (Array.isArray(value)) return value.map((arg) => (arg === null || arg === undefined || typeof arg === 'object' ? null : String(arg)))
+    return undefined
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview File transfer and filesystem assertions for cleanroom containers
+ */
+
+import { existsSync, mkdirSync, statSync, writeFileSync } from 'node:fs'
+import { dirname, join, posix, resolve } from 'pathe'
+
+const DEFAULT_TREE_IGNORE = ['node_modules', '.git']
+
+/**
+ * Filesystem helpers bound to one running container
+ *
+ * Reads go through `container.exec` with base64 so binary files survive the
+ * round trip; only POSIX shell tools (busybox is enough) are needed in the image.
+ *
+ * @param {Object} container - Started testcontainers container
+ * @returns {Object} Transfer helpers and async filesystem assertions
+ */
+export function cleanroomFilesystem(container) {
+  const sh = async (script, ...args) => {
+    const { exitCode, output } = await container.exec(['sh', '-c', script, 'sh', ...args])
+    return { exitCode, output }
+  }
+
+  const fail = (message, path) => {
+    throw new Error(`${message}\nPath: ${path}\nContainer: ${container.getId?.() ?? 'cleanroom'}`)
+  }
+
+  return {
+    /**
+     * Copy a host file or directory into the container
+     * @param {string} source - Host path
+     * @param {string} target - Absolute container path
+     */
+    async copyIn(source, target) {
+      const hostPath = resolve(source)
+      if (!existsSync(hostPath)) {
+        throw new Error(`Cannot copy into cleanroom: ${hostPath} does not exist`)
+      }
+      if (statSync(hostPath).isDirectory()) {
+        await container.copyDirectoriesToContainer([{ source: hostPath, target }])
+      } else {
+        await container.copyFilesToContainer([{ source: hostPath, target }])
+      }
+      return this
+    },
+
+    /**
+     * Write content straight into a container file
+     * @param {string} target - Absolute container path
+     * @param {string|Buffer} content
+     * @param {Object} [options] - `mode` as a number, e.g. 0o755
+     */
+    async writeFile(target, content, { mode } = {}) {
+      await container.copyContentToContainer([{ content, target, ...(mode !== undefined && { mode }) }])
+      return this
+    },
+
+    /**
+     * Read a container file
+     * @param {string} path - Container path
+     * @param {Object} [options] - `encoding` ('utf8' by default, null for a Buffer)
+     * @returns {Promise<string|Buffer>}
+     */
+    async readFile(path, { encoding = 'utf8' } = {}) {
+      const { exitCode, output } = await sh('base64 "$1"', path)
+      if (exitCode !== 0) fail('Cannot read file from cleanroom', path)
+      const buffer = Buffer.from(output.replace(/\s+/g, ''), 'base64')
+      return encoding ? buffer.toString(encoding) : buffer
+    },
+
+    /**
+     * Copy a container file or directory out to the host
+     * @param {string} path - Container path
+     * @param {string} hostPath - Destination on the host
+     * @returns {Promise<string[]>} Host paths of the copied files
+     */
+    async copyOut(path, hostPath) {
+      const info = await this.stat(path)
+      if (!info) fail('Cannot copy out of cleanroom: path does not exist', path)
+
+      const destination = resolve(hostPath)
+      let files = ['']
+      if (info.type === 'directory') {
+        mkdirSync(destination, { recursive: true })
+        files = (await this.tree(path, { ignore: [] })).filter((entry) => !entry.endsWith('/'))
+      }
+
+      const written = []
+      for (const file of files) {
+        const target = file ? join(destination, file) : destination
+        mkdirSync(dirname(target), { recursive: true })
+        writeFileSync(target, await this.readFile(file ? posix.join(path, file) : path, { encoding: null }))
+        written.push(target)
+      }
+      return written
+    },
+
+    /**
+     * @param {string} path - Container path
+     * @returns {Promise<boolean>}
+     */
+    async exists(path) {
+      return (await sh('[ -e "$1" ]', path)).exitCode === 0
+    },
+
+    /**
+     * @param {string} path - Container path
+     * @returns {Promise<{ type: string, mode: string, size: number }|null>} null when missing
+     */
+    async stat(path) {
+      const { exitCode, output } = await sh('stat -c "%F|%a|%s" "$1"', path)
+      if (exitCode !== 0) return null
+      const [kind, mode, size] = output.trim().split('|')
+      const type = kind.startsWith('regular') ? 'file' : kind === 'directory' ? 'directory' : kind.replace(/ /g, '-')
+      return { type, mode: mode.padStart(3, '0'), size: Number(size) }
+    },
+
+    /**
+     * List a directory recursively (directories end with '/'), sorted
+     * @param {string} path - Container directory
+     * @param {Object} [options] - `ignore` path segments (default node_modules, .git)
+     * @returns {Promise<string[]>}
+     */
+    async tree(path, { ignore = DEFAULT_TREE_IGNORE } = {}) {
+      const { exitCode, output } = await sh(
+        'cd "$1" && find . ! -path . -type d | sed "s|\\$|/|" && find . ! -path . ! -type d',
+        path
+      )
+      if (exitCode !== 0) fail('Cannot list directory in cleanroom', path)
+      return output
+        .split('\n')
+        .map((line) => line.trim().replace(/^\.\//, ''))
+        .filter((line) => line && !line.split('/').some((segment) => ignore.includes(segment)))
+        .sort()
+    },
+
+    /**
+     * Assert a container file exists and optionally matches content and mode
+     * @param {string} path - Container path
+     * @param {Object} [expected] - `contains`, `equals`, `matches` (RegExp), `mode` ('755')
+     */
+    async expectFile(path, { contains, equals, matches, mode } = {}) {
+      const info = await this.stat(path)
+      if (!info) fail('Expected file to exist in cleanroom', path)
+      if (info.type !== 'file') fail(`Expected a file, found a ${info.type}`, path)
+
+      if (contains !== undefined || equals !== undefined || matches !== undefined) {
+        const content = await this.readFile(path)
+        if (contains !== undefined && !content.includes(contains)) {
+          fail(`Expected file to contain "${contains}", got:\n${content}`, path)
+        }
+        if (equals !== undefined && content !== equals) {
+          fail(`Expected file content to equal ${JSON.stringify(equals)}, got:\n${content}`, path)
+        }
+        if (matches !== undefined && !matches.test(content)) {
+          fail(`Expected file content to match ${matches}, got:\n${content}`, path)
+        }
+      }
+      if (mode !== undefined) await this.expectMode(path, mode)
+      return this
+    },
+
+    async expectNoFile(path) {
+      if (await this.exists(path)) fail('Expected path not to exist in cleanroom', path)
+      return this
+    },
+
+    async expectDirectory(path) {
+      const info = await this.stat(path)
+      if (!info) fail('Expected directory to exist in cleanroom', path)
+      if (info.type !== 'directory') fail(`Expected a directory, found a ${info.type}`, path)
+      return this
+    },
+
+    /**
+     * @param {string} path - Container path
+     * @param {string|number} mode - Permission bits, '755' or 0o755
+     */
+    async expectMode(path, mode) {
+      const expected = typeof mode === 'number' ? mode.toString(8) : String(mode).replace(/^0o?/, '')
+      const info = await this.stat(path)
+      if (!info) fail('Expected path to exist in cleanroom', path)
+      if (info.mode !== expected.padStart(3, '0')) fail(`Expected mode ${expected}, got ${info.mode}`, path)
+      return this
+    },
+
+    /**
+     * Snapshot a container directory tree
+     * @param {string} path - Container directory
+     * @param {string} snapshotName
+     * @param {Object} [options] - `ignore` segments plus snapshot options (`testFile`, ...)
+     */
+    async expectTreeSnapshot(path, snapshotName, { ignore, ...options } = {}) {
+      // Before the first await, while the calling test is still on the stack
+      const testFile = options.testFile || getCallerFile()
+      const { matchSnapshot } = await import('@un-test/core')
+      const entries = await this.tree(path, { ignore })
+      const snapshotResult = matchSnapshot(entries.join('\n'), testFile, snapshotName, {
+        args: ['tree', path],
+        ...options,
+      })
+      if (!snapshotResult.match) {
+        throw new Error(snapshotResult.error || `Snapshot mismatch: ${snapshotName}`)
+      }
+      return this
+    },
+  }
+}
+
+// Helper function to get caller file for snapshot testing
+function getCallerFile() {
+  const stack = new Error().stack
+  if (!stack) return process.cwd()
+  const lines = stack.split('\n')
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    if (line.includes('.test.') || line.includes('.spec.')) {
+      const match = line.match(/(?:\(|at\s+|❯\s+)(.*?):\d+:\d+/)
+      if (match) {
+        return resolve(match[1].trim())
+      }
+    }
+  }
+
+  return process.cwd()
+}
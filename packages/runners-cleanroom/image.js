@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Build (or reuse) cleanroom images from a project's own Dockerfile
+ */
+
+import { createHash } from 'node:crypto'
+import { existsSync, readFileSync, readdirSync } from 'node:fs'
+import { basename, relative, resolve } from 'pathe'
+
+// Never part of the image's identity, whatever .dockerignore says
+const ALWAYS_EXCLUDED = new Set(['node_modules', '.git'])
+
+const globToRegex = (glob) =>
+  glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+
+/**
+ * Compile .dockerignore lines into a path matcher
+ * Supports `*`, `**` (zero or more directories), `?`, trailing slashes and `!` re-includes.
+ *
+ * @param {string[]} patterns
+ * @returns {(path: string) => boolean} true when the context-relative path is ignored
+ */
+export function dockerignoreMatcher(patterns) {
+  const rules = patterns
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const negate = line.startsWith('!')
+      const pattern = (negate ? line.slice(1) : line).replace(/^\/+|\/+$/g, '').replace(/^\.\//, '')
+      // `**/` may match no directory at all, so `**/foo` also ignores a top-level foo
+      const source = pattern
+        .split('**/')
+        .map((segment) => segment.split('**').map(globToRegex).join('.*'))
+        .join('(?:.*/)?')
+      // A pattern also ignores everything below a matching directory
+      return { negate, regex: new RegExp(`^${source}(?:/.*)?$`) }
+    })
+
+  return (path) => {
+    let ignored = false
+    for (const rule of rules) {
+      if (rule.regex.test(path)) ignored = !rule.negate
+    }
+    return ignored
+  }
+}
+
+/**
+ * Hash a Docker build context: the Dockerfile plus every file Docker would send
+ * node_modules and .git directories are always skipped.
+ *
+ * @param {string} contextDir - Build context directory
+ * @param {string} dockerfile - Dockerfile path relative to the context
+ * @returns {string} sha256 hex digest
+ */
+export function hashBuildContext(contextDir, dockerfile = 'Dockerfile') {
+  const ignorePath = resolve(contextDir, '.dockerignore')
+  const isIgnored = dockerignoreMatcher(existsSync(ignorePath) ? readFileSync(ignorePath, 'utf8').split('\n') : [])
+  const hash = createHash('sha256')
+  hash.update(`dockerfile:${dockerfile}\0`)
+  hash.update(readFileSync(resolve(contextDir, dockerfile)))
+
+  const walk = (dir) => {
+    const entries = readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))
+    for (const entry of entries) {
+      const fullPath = resolve(dir, entry.name)
+      const path = relative(contextDir, fullPath)
+      if (isIgnored(path)) continue
+      if (entry.isDirectory()) {
+        if (ALWAYS_EXCLUDED.has(entry.name)) continue
+        walk(fullPath)
+      } else if (entry.isFile()) {
+        hash.update(`\0${path}\0`)
+        hash.update(readFileSync(fullPath))
+      }
+    }
+  }
+  walk(contextDir)
+
+  return hash.digest('hex')
+}
+
+/**
+ * Image tag for a build context, e.g. `ctu-cleanroom-my-cli:3f2a9c1b7d04`
+ * @param {string} contextDir
+ * @param {string} digest - Content hash from hashBuildContext()
+ */
+export function cleanroomImageTag(contextDir, digest) {
+  const name = basename(resolve(contextDir))
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '')
+  return `ctu-cleanroom-${name || 'project'}:${digest.slice(0, 12)}`
+}
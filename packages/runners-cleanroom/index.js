@@ -1,21 +1,31 @@
 import { destr } from 'destr'
+import { invocationCaller, isInvocationRecordingEnabled } from '@un-test/core'
 import { GenericContainer } from 'testcontainers'
 import { exec } from 'node:child_process'
 import { promisify } from 'node:util'
+import { randomUUID } from 'node:crypto'
+import { cleanroomFilesystem } from './filesystem.js'
+import { cleanroomImageTag, hashBuildContext } from './image.js'
 
 const execAsync = promisify(exec)
-let singleton
-let execMutex = Promise.resolve()
+let defaultCleanroom
+// The shared cleanroom being started: concurrent setupCleanroom() calls wait on the same container
+let defaultCleanroomSetup
+let cleanroomCounter = 0
 
-async function acquireLock() {
-  let release
-  const nextLock = new Promise((resolve) => {
-    release = resolve
-  })
-  const currentLock = execMutex
-  execMutex = nextLock
-  await currentLock
-  return release
+// Each cleanroom serializes its own commands; separate cleanrooms never wait on each other
+function createLock() {
+  let mutex = Promise.resolve()
+  return async function acquireLock() {
+    let release
+    const nextLock = new Promise((resolve) => {
+      release = resolve
+    })
+    const currentLock = mutex
+    mutex = nextLock
+    await currentLock
+    return release
+  }
 }
 
 // Docker availability check - let it crash if Docker is not available
@@ -39,183 +49,744 @@ async function verifyContainerHealth(container) {
   return exitCode === 0
 }
 
-export async function setupCleanroom({
+const NETWORK_MODES = ['none', 'bridge']
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+
+/**
+ * Parse a Docker-style memory limit ('512m', '1g', '268435456') into bytes
+ * @param {string|number} limit
+ * @returns {number}
+ */
+export function parseMemoryLimit(limit) {
+  if (typeof limit === 'number' && limit > 0) return Math.floor(limit)
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/i.exec(String(limit).trim())
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(
+      `Invalid memoryLimit: ${JSON.stringify(limit)}\n` + `Use a Docker-style size such as '256m' or '1g'`
+    )
+  }
+  return Math.floor(Number(match[1]) * MEMORY_UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+function parseCpuLimit(limit) {
+  const cpus = Number(limit)
+  if (!Number.isFinite(cpus) || cpus <= 0) {
+    throw new Error(`Invalid cpuLimit: ${JSON.stringify(limit)}\n` + `Use a number of CPUs such as '0.5' or '2'`)
+  }
+  return cpus
+}
+
+/**
+ * Set container HostConfig fields that GenericContainer has no builder method for
+ * It keeps them in the non-public `hostConfig`, present throughout the testcontainers
+ * range pinned in package.json; fail loudly rather than start an unlimited container.
+ */
+function setHostConfig(containerBuilder, fields) {
+  if (!containerBuilder.hostConfig || typeof containerBuilder.hostConfig !== 'object') {
+    throw new Error(
+      `Cannot set ${Object.keys(fields).join(', ')} on the cleanroom container: GenericContainer has no hostConfig\n` +
+        'Install the testcontainers version @un-test/runners-cleanroom pins (~10.28.0)'
+    )
+  }
+  Object.assign(containerBuilder.hostConfig, fields)
+}
+
+// Read the cgroup OOM-kill counter (cgroup v2 first, then v1); null when unavailable
+async function readOomKillCount(container) {
+  const { exitCode, output } = await container.exec([
+    'sh',
+    '-c',
+    'cat /sys/fs/cgroup/memory.events 2>/dev/null || cat /sys/fs/cgroup/memory/memory.oom_control 2>/dev/null',
+  ])
+  const match = exitCode === 0 ? /oom_kill\s+(\d+)/.exec(output) : null
+  return match ? Number(match[1]) : null
+}
+
+function normalizeCleanroomOptions({
   rootDir = '.',
   nodeImage = 'node:20-alpine',
   memoryLimit = '512m',
   cpuLimit = '1.0',
   timeout = 60000,
+  network = 'bridge',
+  readOnly = false,
+  dockerfile,
 } = {}) {
-  if (!singleton) {
-    // Check Docker availability first - throws instantly if RUN_CLEANROOM!=1
-    await checkDockerAvailable()
-
-    const fs = await import('node:fs')
-    const path = await import('pathe')
-    const pkgPath = path.resolve(rootDir, 'package.json')
-    let isCittyTestUtilsRoot = false
-    try {
-      if (fs.existsSync(pkgPath)) {
-        const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
-        if (pkg.name === 'citty-test-utils') {
-          isCittyTestUtilsRoot = true
-        }
-      }
-    } catch (e) {}
+  if (!NETWORK_MODES.includes(network)) {
+    throw new Error(`Invalid network: ${JSON.stringify(network)}\n` + `Expected one of: ${NETWORK_MODES.join(', ')}`)
+  }
+  parseMemoryLimit(memoryLimit)
+  parseCpuLimit(cpuLimit)
+  return {
+    rootDir,
+    nodeImage,
+    memoryLimit,
+    cpuLimit,
+    timeout,
+    network,
+    readOnly,
+    dockerfile: dockerfile === true ? 'Dockerfile' : dockerfile || undefined,
+  }
+}
 
-    const dirs = []
-    const files = []
+async function imageExists(tag) {
+  try {
+    await execAsync(`docker image inspect ${tag}`)
+    return true
+  } catch {
+    return false
+  }
+}
 
-    if (isCittyTestUtilsRoot) {
-      if (fs.existsSync(path.resolve(rootDir, 'src'))) {
-        dirs.push({ source: path.resolve(rootDir, 'src'), target: '/app/src' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'packages'))) {
-        dirs.push({ source: path.resolve(rootDir, 'packages'), target: '/app/packages' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'templates'))) {
-        dirs.push({ source: path.resolve(rootDir, 'templates'), target: '/app/templates' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'playground'))) {
-        dirs.push({ source: path.resolve(rootDir, 'playground'), target: '/app/playground' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'projects'))) {
-        dirs.push({ source: path.resolve(rootDir, 'projects'), target: '/app/projects' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'node_modules'))) {
-        dirs.push({ source: path.resolve(rootDir, 'node_modules'), target: '/app/node_modules' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'package.json'))) {
-        files.push({ source: path.resolve(rootDir, 'package.json'), target: '/app/package.json' })
-      }
-      if (fs.existsSync(path.resolve(rootDir, 'index.js'))) {
-        files.push({ source: path.resolve(rootDir, 'index.js'), target: '/app/index.js' })
+/**
+ * Build the project's Dockerfile into a content-addressed image, or reuse it
+ * when the Dockerfile and build context are unchanged.
+ * @returns {Promise<string>} Image tag
+ */
+async function resolveDockerfileImage(rootDir, dockerfile) {
+  const path = await import('pathe')
+  const contextDir = path.resolve(rootDir)
+  const dockerfilePath = path.resolve(contextDir, dockerfile)
+  const fs = await import('node:fs')
+  if (!fs.existsSync(dockerfilePath)) {
+    throw new Error(
+      `Dockerfile not found: ${dockerfilePath}\n` +
+        `Run \`ctu auto isolate\` to generate one, or pass its path via { dockerfile }`
+    )
+  }
+
+  const relativeDockerfile = path.relative(contextDir, dockerfilePath)
+  const tag = cleanroomImageTag(contextDir, hashBuildContext(contextDir, relativeDockerfile))
+  if (await imageExists(tag)) return tag
+
+  await GenericContainer.fromDockerfile(contextDir, relativeDockerfile)
+    .withCache(true)
+    .build(tag, { deleteOnExit: false })
+  return tag
+}
+
+async function startContainer({
+  rootDir,
+  nodeImage,
+  memoryLimit,
+  cpuLimit,
+  timeout,
+  network,
+  readOnly,
+  dockerfile,
+}) {
+  const memoryBytes = parseMemoryLimit(memoryLimit)
+  const cpus = parseCpuLimit(cpuLimit)
+
+  // Check Docker availability first - throws instantly if RUN_CLEANROOM!=1
+  await checkDockerAvailable()
+
+  const image = dockerfile ? await resolveDockerfileImage(rootDir, dockerfile) : nodeImage
+
+  const fs = await import('node:fs')
+  const path = await import('pathe')
+  const pkgPath = path.resolve(rootDir, 'package.json')
+  let isCittyTestUtilsRoot = false
+  try {
+    if (fs.existsSync(pkgPath)) {
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+      if (pkg.name === 'citty-test-utils') {
+        isCittyTestUtilsRoot = true
       }
-    } else {
-      dirs.push({ source: rootDir, target: '/app' })
     }
+  } catch (e) {}
 
-    let containerBuilder = new GenericContainer(nodeImage)
-      .withWorkingDir('/app')
-      .withCommand(['sleep', 'infinity'])
-      .withStartupTimeout(timeout)
+  const dirs = []
+  const files = []
 
+  if (dockerfile) {
+    // The Dockerfile already installed the project inside the image
+  } else if (isCittyTestUtilsRoot) {
+    if (fs.existsSync(path.resolve(rootDir, 'src'))) {
+      dirs.push({ source: path.resolve(rootDir, 'src'), target: '/app/src' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'packages'))) {
+      dirs.push({ source: path.resolve(rootDir, 'packages'), target: '/app/packages' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'templates'))) {
+      dirs.push({ source: path.resolve(rootDir, 'templates'), target: '/app/templates' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'playground'))) {
+      dirs.push({ source: path.resolve(rootDir, 'playground'), target: '/app/playground' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'projects'))) {
+      dirs.push({ source: path.resolve(rootDir, 'projects'), target: '/app/projects' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'node_modules'))) {
+      dirs.push({ source: path.resolve(rootDir, 'node_modules'), target: '/app/node_modules' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'package.json'))) {
+      files.push({ source: path.resolve(rootDir, 'package.json'), target: '/app/package.json' })
+    }
+    if (fs.existsSync(path.resolve(rootDir, 'index.js'))) {
+      files.push({ source: path.resolve(rootDir, 'index.js'), target: '/app/index.js' })
+    }
+  } else {
+    dirs.push({ source: rootDir, target: '/app' })
+  }
+
+  let containerBuilder = new GenericContainer(image)
+    .withWorkingDir('/app')
+    .withCommand(['sleep', 'infinity'])
+    .withStartupTimeout(timeout)
+    .withNetworkMode(network)
+
+  // Swap is capped at the memory limit so an over-allocating CLI is OOM-killed
+  // instead of silently paging. withResourcesQuota() takes GiB and CPUs; NanoCpus is
+  // rounded after it because Docker rejects the fraction `cpu * 1e9` can leave (1.001 CPUs).
+  setHostConfig(containerBuilder, { MemorySwap: memoryBytes })
+  containerBuilder = containerBuilder.withResourcesQuota({ memory: memoryBytes / 1024 ** 3, cpu: cpus })
+  setHostConfig(containerBuilder, { NanoCpus: Math.round(cpus * 1e9) })
+
+  if (readOnly) {
+    // Docker refuses to copy into a read-only rootfs, so sources are bind-mounted
+    // read-only instead and /tmp stays writable as a tmpfs.
+    setHostConfig(containerBuilder, { ReadonlyRootfs: true })
+    const mounts = [...dirs, ...files].map(({ source, target }) => ({
+      source: path.resolve(source),
+      target,
+      mode: 'ro',
+    }))
+    containerBuilder = containerBuilder
+      .withBindMounts(mounts)
+      .withTmpFs({ '/tmp': 'rw,exec,size=64m' })
+  } else {
     if (dirs.length > 0) {
       containerBuilder = containerBuilder.withCopyDirectoriesToContainer(dirs)
     }
     if (files.length > 0) {
       containerBuilder = containerBuilder.withCopyFilesToContainer(files)
     }
+  }
 
-    const container = await containerBuilder.start()
+  const container = await containerBuilder.start()
 
-    // Verify container health - let it crash if unhealthy
-    const isHealthy = await verifyContainerHealth(container)
-    if (!isHealthy) {
-      await container.stop()
-      throw new Error('Container failed health check after startup')
-    }
+  // Verify container health - let it crash if unhealthy
+  const isHealthy = await verifyContainerHealth(container)
+  if (!isHealthy) {
+    await container.stop()
+    throw new Error('Container failed health check after startup')
+  }
 
-    singleton = {
-      container,
-      memoryLimit,
-      cpuLimit,
-      timeout,
-      createdAt: Date.now(),
+  return { container, image }
+}
+
+// Where checkpoint() keeps the pristine /app that reset() restores
+const WORKDIR_CHECKPOINT = '/.ctu-checkpoint'
+
+// Kills every process but init and this shell, then restores the workdir from its checkpoint
+// (when there is one) and empties /tmp. Paths are arguments so the script touches nothing else.
+const RESET_WORKDIR = `
+proc="$1"; workdir="$2"; checkpoint="$3"; tmp="$4"
+for dir in "$proc"/[0-9]*; do
+  pid=\${dir##*/}
+  [ "$pid" = 1 ] || [ "$pid" = $$ ] || kill -9 "$pid" 2>/dev/null
+done
+if [ -n "$checkpoint" ]; then
+  [ -d "$checkpoint" ] || exit 1
+  rm -rf "$workdir" && cp -a "$checkpoint" "$workdir" || exit 1
+fi
+find "$tmp" -mindepth 1 -delete 2>/dev/null
+exit 0
+`
+
+/**
+ * Create an independent cleanroom container
+ *
+ * Every handle owns its container and command queue, so suites can run
+ * several images side by side without sharing the legacy global cleanroom.
+ *
+ * @param {Object} [options] - Same options as setupCleanroom
+ * @returns {Promise<Object>} Handle with `run(args, options)` and `teardown()`
+ *
+ * @example
+ * const node18 = await createCleanroom({ nodeImage: 'node:18-alpine' })
+ * const node22 = await createCleanroom({ nodeImage: 'node:22-alpine' })
+ * await Promise.all([node18.run(['--version']), node22.run(['--version'])])
+ * await Promise.all([node18.teardown(), node22.teardown()])
+ */
+export async function createCleanroom(options = {}) {
+  const config = normalizeCleanroomOptions(options)
+  const { container, image } = await startContainer(config)
+  const acquireLock = createLock()
+
+  const state = {
+    container,
+    oomKillCount: await readOomKillCount(container),
+  }
+  let active = true
+
+  return {
+    id: `cleanroom-${++cleanroomCounter}`,
+    image,
+    container,
+    ...config,
+    createdAt: Date.now(),
+
+    // copyIn, copyOut, readFile, writeFile, exists, stat, tree and expectFile-style assertions
+    ...cleanroomFilesystem(container),
+
+    get active() {
+      return active
+    },
+
+    /**
+     * Run the CLI inside this cleanroom
+     * @param {string[]} args
+     * @param {Object} [runOptions] - `json`, `cwd`, `timeout`, `env`, `cliPath`
+     */
+    async run(args, runOptions = {}) {
+      if (!active) throw new Error(`Cleanroom ${this.id} (${image}) has been torn down`)
+      // Before the first await, while the calling test is still on the stack
+      const caller = isInvocationRecordingEnabled() ? invocationCaller() : null
+      const release = await acquireLock()
+      try {
+        return await execInContainer(state, args, runOptions, caller)
+      } finally {
+        release()
+      }
+    },
+
+    /**
+     * Remember the current /app as the state reset() goes back to
+     * Read-only cleanrooms need no checkpoint: their /app cannot change.
+     */
+    async checkpoint() {
+      if (config.readOnly) return
+      const { exitCode, stderr } = await container.exec(['sh', '-c', 'rm -rf "$2" && cp -a "$1" "$2"', 'sh', '/app', WORKDIR_CHECKPOINT])
+      if (exitCode !== 0) {
+        throw new Error(`Could not checkpoint /app in cleanroom ${this.id} (${image})\n${stderr || ''}`.trim())
+      }
+    },
+
+    /**
+     * Stop leftover processes, restore /app from checkpoint() and empty /tmp
+     * @returns {Promise<boolean>} false when the container could not be reset
+     */
+    async reset() {
+      if (!active) return false
+      const release = await acquireLock()
+      try {
+        const checkpoint = config.readOnly ? '' : WORKDIR_CHECKPOINT
+        const { exitCode } = await container.exec(['sh', '-c', RESET_WORKDIR, 'sh', '/proc', '/app', checkpoint, '/tmp'])
+        return exitCode === 0
+      } catch {
+        return false
+      } finally {
+        release()
+      }
+    },
+
+    async teardown() {
+      if (!active) return
+      // Verify container is still running before stopping - let it crash if unhealthy
+      const isHealthy = await verifyContainerHealth(container)
+      active = false
+
+      if (isHealthy) {
+        await container.stop()
+      } else {
+        throw new Error('Container was already unhealthy during teardown')
+      }
+    },
+  }
+}
+
+/**
+ * Start the shared cleanroom used by runCitty() (created once per process)
+ *
+ * Later calls return the same cleanroom; passing options that differ from the
+ * ones it was started with throws instead of silently ignoring them.
+ *
+ * @param {Object} [options]
+ * @returns {Promise<Object>} The shared cleanroom handle
+ */
+export async function setupCleanroom(options = {}) {
+  const key = JSON.stringify(normalizeCleanroomOptions(options))
+  if (defaultCleanroomSetup) {
+    if (Object.keys(options).length > 0 && key !== defaultCleanroomSetup.key) {
+      throw new Error(
+        'setupCleanroom() was already called with different options\n' +
+          `Shared cleanroom: ${defaultCleanroomSetup.key}\n` +
+          `Requested: ${key}\n` +
+          'Call teardownCleanroom() first, or use createCleanroom() for a separate container'
+      )
     }
+    return defaultCleanroomSetup.promise
+  }
+
+  const setup = { key, promise: createCleanroom(options) }
+  defaultCleanroomSetup = setup
+  try {
+    const cleanroom = await setup.promise
+    // teardownCleanroom() may have run while the container was starting
+    if (defaultCleanroomSetup === setup) defaultCleanroom = cleanroom
+    return cleanroom
+  } catch (error) {
+    if (defaultCleanroomSetup === setup) defaultCleanroomSetup = null
+    throw error
   }
-  return singleton
+}
+
+/**
+ * Create a pool of warm cleanrooms keyed by their options (image, limits, network)
+ *
+ * Released handles stay running and are handed to the next `acquire()` with the
+ * same options, so repeated suites skip container startup. Releasing resets the
+ * container (processes, /app and /tmp); a handle that cannot be reset is torn down.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxIdle=2] - Warm containers kept per option set
+ * @returns {Object} Pool with `acquire`, `release`, `use`, `drain` and `stats`
+ */
+export function createCleanroomPool({ maxIdle = 2 } = {}) {
+  const idle = new Map()
+  const inUse = new Set()
+
+  const keyOf = (options) => JSON.stringify(normalizeCleanroomOptions(options))
+
+  return {
+    async acquire(options = {}) {
+      const key = keyOf(options)
+      const warm = idle.get(key) || []
+      while (warm.length > 0) {
+        const handle = warm.pop()
+        if (await verifyContainerHealth(handle.container).catch(() => false)) {
+          inUse.add(handle)
+          return handle
+        }
+        await handle.teardown().catch(() => {})
+      }
+
+      const handle = await createCleanroom(options)
+      handle.poolKey = key
+      try {
+        await handle.checkpoint()
+      } catch (error) {
+        await handle.teardown().catch(() => {})
+        throw error
+      }
+      inUse.add(handle)
+      return handle
+    },
+
+    async release(handle) {
+      inUse.delete(handle)
+      if (!handle.active) return
+      const warm = idle.get(handle.poolKey) || []
+      // The next user must not see this one's files or processes
+      if (warm.length >= maxIdle || !(await handle.reset())) {
+        await handle.teardown()
+        return
+      }
+      warm.push(handle)
+      idle.set(handle.poolKey, warm)
+    },
+
+    /**
+     * Acquire a cleanroom for the duration of `fn` and release it afterwards
+     */
+    async use(options, fn) {
+      const handle = await this.acquire(options)
+      try {
+        return await fn(handle)
+      } finally {
+        await this.release(handle)
+      }
+    },
+
+    async drain() {
+      const handles = [...inUse, ...[...idle.values()].flat()]
+      inUse.clear()
+      idle.clear()
+      await Promise.all(handles.map((handle) => handle.teardown()))
+    },
+
+    stats() {
+      const warm = [...idle.values()].reduce((count, handles) => count + handles.length, 0)
+      return { inUse: inUse.size, idle: warm }
+    },
+  }
+}
+
+// Shared pool used by runCleanroomMatrix unless another pool is passed
+export const cleanroomPool = createCleanroomPool()
+
+/**
+ * Run one scenario (or test function) against several images in parallel
+ *
+ * @param {string[]} images - Docker images, e.g. ['node:18-alpine', 'node:22-alpine']
+ * @param {Object|Function} target - A scenario() builder, or `async (cleanroom, image) => {}`
+ * @param {Object} [options] - Cleanroom options shared by every image, plus:
+ * @param {Object} [options.pool=cleanroomPool] - Pool the containers come from
+ * @param {boolean} [options.throwOnFailure=true] - Throw when any image fails
+ * @returns {Promise<{ success: boolean, results: Array }>} One entry per image
+ *
+ * @example
+ * await runCleanroomMatrix(
+ *   ['node:18-alpine', 'node:20-alpine', 'node:22-alpine'],
+ *   scenario('Help works').step('Show help', ['--help']).expectSuccess()
+ * )
+ */
+export async function runCleanroomMatrix(images, target, options = {}) {
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new Error('runCleanroomMatrix() expects a non-empty array of images')
+  }
+  if (typeof target !== 'function' && typeof target?.execute !== 'function') {
+    throw new Error('runCleanroomMatrix() expects a scenario builder or a function')
+  }
+
+  const { pool = cleanroomPool, throwOnFailure = true, ...cleanroomOptions } = options
+
+  const results = await Promise.all(
+    images.map(async (image) => {
+      const startTime = Date.now()
+      try {
+        const result = await pool.use({ ...cleanroomOptions, nodeImage: image }, (cleanroom) =>
+          typeof target === 'function' ? target(cleanroom, image) : target.execute(undefined, { cleanroom })
+        )
+        return { image, success: true, result, durationMs: Date.now() - startTime }
+      } catch (error) {
+        return { image, success: false, error, durationMs: Date.now() - startTime }
+      }
+    })
+  )
+
+  const failures = results.filter((entry) => !entry.success)
+  if (failures.length > 0 && throwOnFailure) {
+    const error = new Error(
+      `Cleanroom matrix failed on ${failures.length} of ${images.length} images:\n` +
+        failures.map((entry) => `  ${entry.image}: ${entry.error.message.split('\n')[0]}`).join('\n')
+    )
+    error.results = results
+    throw error
+  }
+
+  return { success: failures.length === 0, results }
 }
 
 export function isCleanroomActive() {
-  return !!singleton
+  return !!defaultCleanroom
+}
+
+/**
+ * The shared cleanroom handle created by setupCleanroom(), or null
+ */
+export function getCleanroom() {
+  return defaultCleanroom || null
+}
+
+export async function runCitty(args, options = {}) {
+  if (!defaultCleanroom) throw new Error('Cleanroom not initialized. Call setupCleanroom first.')
+  return defaultCleanroom.run(args, options)
 }
 
-export async function runCitty(
+// Records the wrapper shell's PID so a timed-out or aborted run can be found and killed
+const RUN_WRAPPER = 'echo $$ > "$0"; "$@"; code=$?; rm -f "$0"; exit $code'
+
+// Signals the recorded PID, all of its descendants and any PIDs passed after the signal name,
+// then prints what it signalled. Walks /proc so only sh and awk are needed in the image.
+const KILL_TREE = `
+for i in 1 2 3 4 5 6 7 8 9 10; do [ -s "$1" ] && break; sleep 0.1; done
+root=$(cat "$1" 2>/dev/null) || exit 0
+pids=$(cat /proc/[0-9]*/stat 2>/dev/null | awk -v root="$root" '
+  { pid = $1; sub(/^.*\\) /, ""); parent[pid] = $2 }
+  END {
+    found[root] = 1
+    for (changed = 1; changed; ) {
+      changed = 0
+      for (pid in parent) if (!(pid in found) && (parent[pid] in found)) { found[pid] = 1; changed = 1 }
+    }
+    for (pid in found) printf "%s ", pid
+  }')
+signal="$2"; shift 2
+kill -s "$signal" $pids "$@" 2>/dev/null
+echo $pids "$@"
+exit 0
+`
+
+async function killProcessTree(container, pidFile, signal, knownPids = []) {
+  const name = signal.replace(/^SIG/, '')
+  const { output } = await container.exec(['sh', '-c', KILL_TREE, 'sh', pidFile, name, ...knownPids])
+  return output.split(/\s+/).filter(Boolean)
+}
+
+// Signals the wrapper's direct children, i.e. the CLI itself, and prints their PIDs
+const SIGNAL_CLI = `
+for i in 1 2 3 4 5 6 7 8 9 10; do [ -s "$1" ] && break; sleep 0.1; done
+root=$(cat "$1" 2>/dev/null) || exit 0
+pids=$(cat /proc/[0-9]*/stat 2>/dev/null | awk -v root="$root" '
+  { pid = $1; sub(/^.*\\) /, ""); if ($2 == root) printf "%s ", pid }')
+[ -n "$pids" ] && kill -s "$2" $pids 2>/dev/null && echo $pids
+exit 0
+`
+
+async function signalCli(container, pidFile, signal) {
+  const { output } = await container.exec(['sh', '-c', SIGNAL_CLI, 'sh', pidFile, signal.replace(/^SIG/, '')])
+  return output.split(/\s+/).filter(Boolean)
+}
+
+async function execInContainer(
+  state,
   args,
-  { json = false, cwd = '/app', timeout = 10000, env = {}, cliPath } = {}
+  {
+    json = false,
+    cwd = '/app',
+    timeout = 10000,
+    env = {},
+    cliPath,
+    signal: abortSignal,
+    gracePeriod = 3000,
+    sendSignal,
+  } = {},
+  caller = null
 ) {
-  if (!singleton) throw new Error('Cleanroom not initialized. Call setupCleanroom first.')
+  const { normalizeSignalSchedule, signalExitCode, wrapExpectation, recordInvocation } = await import('@un-test/core')
+  const signalSchedule = normalizeSignalSchedule(sendSignal)
 
-  const release = await acquireLock()
-  try {
-    // Verify container is still healthy - let it crash if unhealthy
-    const containerHealthy = await verifyContainerHealth(singleton.container)
-    if (!containerHealthy) {
-      throw new Error('Container is no longer healthy. Please restart cleanroom.')
-    }
+  // Verify container is still healthy - let it crash if unhealthy
+  const containerHealthy = await verifyContainerHealth(state.container)
+  if (!containerHealthy) {
+    throw new Error('Container is no longer healthy. Please restart cleanroom.')
+  }
 
-    // Execute command directly - let it crash if it fails
-    const startTime = Date.now()
-
-    // Check if we should use the test CLI
-    const useTestCli = env.TEST_CLI === 'true'
-    let finalCliPath = cliPath
-    if (!finalCliPath) {
-      if (useTestCli) {
-        finalCliPath = 'src/cli.mjs'
-      } else if (process.env.TEST_CLI_PATH) {
-        const path = await import('pathe')
-        finalCliPath = path.relative(process.cwd(), path.resolve(process.env.TEST_CLI_PATH))
-      } else {
-        finalCliPath = 'src/cli.mjs'
-      }
+  // Execute command directly - let it crash if it fails
+  const startTime = Date.now()
+
+  // Check if we should use the test CLI
+  const useTestCli = env.TEST_CLI === 'true'
+  let finalCliPath = cliPath
+  if (!finalCliPath) {
+    if (useTestCli) {
+      finalCliPath = 'src/cli.mjs'
+    } else if (process.env.TEST_CLI_PATH) {
+      const path = await import('pathe')
+      finalCliPath = path.relative(process.cwd(), path.resolve(process.env.TEST_CLI_PATH))
+    } else {
+      finalCliPath = 'src/cli.mjs'
     }
+  }
 
-    // Create timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`Command timed out after ${timeout}ms`)), timeout)
-    })
+  if (abortSignal?.aborted) {
+    throw new Error(`Command aborted before it started: node ${finalCliPath} ${args.join(' ')}`)
+  }
 
-    // Execute command with timeout
-    const execPromise = singleton.container.exec(['node', finalCliPath, ...args], {
-      workdir: cwd,
-      env: {
-        ...env,
-        CITTY_DISABLE_DOMAIN_DISCOVERY: 'true',
-      },
-    })
+  const pidFile = `/tmp/ctu-run-${randomUUID()}.pid`
+  const execPromise = state.container.exec(['sh', '-c', RUN_WRAPPER, pidFile, 'node', finalCliPath, ...args], {
+    workdir: cwd,
+    env: {
+      ...env,
+      CITTY_DISABLE_DOMAIN_DISCOVERY: 'true',
+    },
+  })
 
-    const { exitCode, output, stderr } = await Promise.race([execPromise, timeoutPromise])
-    const durationMs = Date.now() - startTime
+  // On timeout or abort: SIGTERM the process tree, then SIGKILL whatever is left after the grace period
+  let settled = false
+  let timedOut = false
+  let aborted = false
+  let killSignal = null
+  let graceTimer
 
-    const result = {
-      exitCode,
-      stdout: output.trim(),
-      stderr: stderr.trim(),
-      args,
-      cwd,
-      durationMs,
-      json: json
-        ? safeJsonParse(output)
-        : args.includes('--json')
-        ? safeJsonParse(output)
-        : undefined,
-    }
+  const cancel = async () => {
+    if (settled || killSignal) return
+    killSignal = 'SIGTERM'
+    // Orphans are re-parented once their parent dies, so SIGKILL also targets every PID seen here
+    const signalled = await killProcessTree(state.container, pidFile, 'SIGTERM').catch(() => [])
+    graceTimer = setTimeout(() => {
+      if (settled) return
+      killSignal = 'SIGKILL'
+      killProcessTree(state.container, pidFile, 'SIGKILL', signalled).catch(() => {})
+    }, gracePeriod)
+  }
+  const timer = setTimeout(() => {
+    timedOut = true
+    cancel()
+  }, timeout)
+  const onAbort = () => {
+    aborted = true
+    cancel()
+  }
+  abortSignal?.addEventListener('abort', onAbort, { once: true })
 
-    // Wrap in expectations layer
-    const { wrapExpectation } = await import('@un-test/core')
-    const wrapped = wrapExpectation(result)
-    wrapped.result = result
-    return wrapped
+  const signalsSent = []
+  const signalTimers = signalSchedule.map(({ name, after }) =>
+    setTimeout(async () => {
+      if (settled || killSignal) return
+      // Recorded up front: a CLI that exits on the signal can settle before the helper returns
+      const sent = { name, atMs: Date.now() - startTime }
+      signalsSent.push(sent)
+      const signalled = await signalCli(state.container, pidFile, name).catch(() => [])
+      if (!signalled.length) signalsSent.splice(signalsSent.indexOf(sent), 1)
+    }, after)
+  )
+
+  let execResult
+  try {
+    execResult = await execPromise
   } finally {
-    release()
+    settled = true
+    clearTimeout(timer)
+    clearTimeout(graceTimer)
+    signalTimers.forEach(clearTimeout)
+    abortSignal?.removeEventListener('abort', onAbort)
+  }
+  if (killSignal) {
+    // The wrapper never got to clean up after itself
+    await state.container.exec(['rm', '-f', pidFile]).catch(() => {})
   }
-}
 
-export async function teardownCleanroom() {
-  if (singleton) {
-    // Verify container is still running before stopping - let it crash if unhealthy
-    const isHealthy = await verifyContainerHealth(singleton.container)
+  const { exitCode, output, stderr } = execResult
+  const durationMs = Date.now() - startTime
 
-    if (isHealthy) {
-      await singleton.container.stop()
-    } else {
-      throw new Error('Container was already unhealthy during teardown')
-    }
+  // 137 is SIGKILL; the cgroup counter tells the OOM killer apart from other kills
+  let oomKilled = false
+  if (exitCode === 137 && killSignal !== 'SIGKILL') {
+    const oomKillCount = await readOomKillCount(state.container)
+    oomKilled = oomKillCount === null || oomKillCount > (state.oomKillCount ?? 0)
+    state.oomKillCount = oomKillCount
+  }
+
+  const reason = timedOut ? `Command timed out after ${timeout}ms` : aborted ? 'Command aborted' : null
 
-    singleton = null
+  const result = {
+    exitCode,
+    stdout: output.trim(),
+    stderr: [stderr.trim(), reason].filter(Boolean).join('\n'),
+    args,
+    cwd,
+    durationMs,
+    oomKilled,
+    timedOut,
+    aborted,
+    // The wrapper shell reports a signal death as 128 + signal number
+    signal: killSignal ?? signalsSent.findLast((sent) => signalExitCode(sent.name) === exitCode)?.name ?? null,
+    signalsSent,
+    json: json
+      ? safeJsonParse(output)
+      : args.includes('--json')
+      ? safeJsonParse(output)
+      : undefined,
   }
+  if (caller) recordInvocation({ runner: 'cleanroom', cliPath: finalCliPath, args, exitCode, durationMs, ...caller })
+
+  // Wrap in expectations layer
+  const wrapped = wrapExpectation(result)
+  wrapped.result = result
+  return wrapped
+}
+
+export async function teardownCleanroom() {
+  const setup = defaultCleanroomSetup
+  defaultCleanroomSetup = null
+  defaultCleanroom = null
+  if (!setup) return
+  const cleanroom = await setup.promise.catch(() => null)
+  if (cleanroom) await cleanroom.teardown()
 }
 
 function safeJsonParse(str) {
@@ -15,20 +15,42 @@ export default defineUntypedSchema({
       type: 'string'
     }
   },
+  dockerfile: {
+    $default: undefined,
+    $schema: {
+      description: 'Dockerfile (relative to rootDir) to build the cleanroom image from. Images are tagged by a hash of the Dockerfile and build context, so unchanged projects reuse them. Overrides nodeImage.',
+      type: 'string'
+    }
+  },
   memoryLimit: {
     $default: '512m',
     $schema: {
-      description: 'Memory limit for the cleanroom container.',
+      description: "Memory limit for the cleanroom container (Docker size such as '512m' or '1g'). Swap is capped at the same value.",
       type: 'string'
     }
   },
   cpuLimit: {
     $default: '1.0',
     $schema: {
-      description: 'CPU limit for the cleanroom container.',
+      description: "CPU limit for the cleanroom container as a number of CPUs (e.g. '0.5').",
       type: 'string'
     }
   },
+  network: {
+    $default: 'bridge',
+    $schema: {
+      description: "Container network mode. Use 'none' to prove the CLI works offline.",
+      type: 'string',
+      enum: ['none', 'bridge']
+    }
+  },
+  readOnly: {
+    $default: false,
+    $schema: {
+      description: 'Mount the root filesystem read-only; sources are bind-mounted read-only and /tmp is a tmpfs.',
+      type: 'boolean'
+    }
+  },
   timeout: {
     $default: 60000,
     $schema: {
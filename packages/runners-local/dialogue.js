@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Scripted stdin dialogues for interactive CLI prompts
+ */
+
+/**
+ * Create an expect-style dialogue script
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeout=5000] - Default per-prompt timeout in milliseconds
+ * @returns {Object} Chainable dialogue builder
+ *
+ * @example
+ * const script = dialogue()
+ *   .waitFor(/Project name/).send('demo\n')
+ *   .waitFor('Template', { timeout: 10000 }).sendLine('minimal')
+ *
+ * await runLocalCittyAsync(['gen', 'project'], { dialogue: script })
+ */
+export function dialogue({ timeout = 5000 } = {}) {
+  const steps = []
+
+  return {
+    get steps() {
+      return steps
+    },
+
+    /**
+     * Wait until the output matches a prompt
+     * @param {string|RegExp} match - Prompt text or pattern
+     * @param {Object} [options] - `timeout` in ms, `stream` ('stdout' | 'stderr')
+     */
+    waitFor(match, options = {}) {
+      if (typeof match !== 'string' && !(match instanceof RegExp)) {
+        throw new TypeError('waitFor() expects a string or a RegExp')
+      }
+      steps.push({
+        type: 'waitFor',
+        match,
+        timeout: options.timeout ?? timeout,
+        stream: options.stream || 'stdout',
+      })
+      return this
+    },
+
+    /**
+     * Write raw text to stdin
+     */
+    send(text) {
+      steps.push({ type: 'send', text: String(text) })
+      return this
+    },
+
+    /**
+     * Write a line to stdin
+     */
+    sendLine(text = '') {
+      return this.send(`${text}\n`)
+    },
+
+    /**
+     * Close stdin (the CLI sees EOF)
+     */
+    end() {
+      steps.push({ type: 'end' })
+      return this
+    },
+  }
+}
+
+/**
+ * Normalize a dialogue builder or a plain array of `{ waitFor, send, timeout }` entries
+ * @param {Object|Array} script
+ * @returns {Array} Dialogue steps
+ */
+export function normalizeDialogue(script) {
+  if (script && Array.isArray(script.steps)) return script.steps
+  if (!Array.isArray(script)) {
+    throw new TypeError('dialogue must be a dialogue() builder or an array of { waitFor, send } entries')
+  }
+
+  const builder = dialogue()
+  for (const entry of script) {
+    if (entry.waitFor !== undefined) builder.waitFor(entry.waitFor, entry)
+    if (entry.send !== undefined) builder.send(entry.send)
+    if (entry.end) builder.end()
+  }
+  return builder.steps
+}
+
+/**
+ * Play a dialogue against a running process
+ *
+ * @param {Object|Array} script - Dialogue builder or array of entries
+ * @param {Object} io - `{ events, output, write, end, kill }` of the live process
+ * @param {Array} [transcript=[]] - Filled with the conversation as it happens
+ * @returns {Promise<Array>} Transcript of the conversation; rejects with the
+ * transcript attached when a prompt times out or the process exits early
+ */
+export async function playDialogue(script, io, transcript = []) {
+  const steps = normalizeDialogue(script)
+  const startTime = Date.now()
+  const record = (type, data) => transcript.push({ type, data, at: Date.now() - startTime })
+
+  const onStdout = (chunk) => record('stdout', chunk)
+  const onStderr = (chunk) => record('stderr', chunk)
+  const detach = () => {
+    io.events.off('stdout', onStdout)
+    io.events.off('stderr', onStderr)
+    io.events.off('exit', detach)
+  }
+  io.events.on('stdout', onStdout)
+  io.events.on('stderr', onStderr)
+
+  // Prompts are matched after the previous match so repeated prompts are not satisfied twice
+  const cursors = { stdout: 0, stderr: 0 }
+  const prompts = steps.filter((step) => step.type === 'waitFor').length
+  let prompt = 0
+
+  try {
+    for (const step of steps) {
+      if (step.type === 'waitFor') {
+        prompt++
+        await waitForPrompt(io, step, cursors, `prompt ${prompt} of ${prompts}`)
+        record('matched', String(step.match))
+      } else if (step.type === 'send') {
+        record('send', step.text)
+        io.write(step.text)
+      } else if (step.type === 'end') {
+        record('end', '')
+        io.end()
+      }
+    }
+  } catch (error) {
+    detach()
+    io.kill()
+    error.transcript = transcript
+    error.message += `\n\nTranscript:\n${formatTranscript(transcript)}`
+    throw error
+  }
+
+  // Close stdin once the script is exhausted so the CLI does not wait forever;
+  // what the CLI prints until it exits still belongs to the transcript
+  io.end()
+  if (io.output.exited) detach()
+  else io.events.on('exit', detach)
+  return transcript
+}
+
+/**
+ * Render a transcript as readable text
+ * @param {Array} transcript
+ * @returns {string}
+ */
+export function formatTranscript(transcript = []) {
+  if (transcript.length === 0) return '  (empty)'
+  return transcript
+    .map((entry) => `  ${`${entry.at}ms`.padStart(7)}  ${entry.type.padEnd(7)} ${JSON.stringify(entry.data)}`)
+    .join('\n')
+}
+
+function waitForPrompt(io, step, cursors, label) {
+  const { stream, match, timeout } = step
+  const pattern = match instanceof RegExp ? new RegExp(match.source, match.flags.replace('g', '')) : null
+
+  const tryMatch = () => {
+    const pending = io.output[stream].slice(cursors[stream])
+    if (pattern) {
+      const found = pattern.exec(pending)
+      if (!found) return false
+      cursors[stream] += found.index + found[0].length
+      return true
+    }
+    const index = pending.indexOf(match)
+    if (index === -1) return false
+    cursors[stream] += index + match.length
+    return true
+  }
+
+  if (tryMatch()) return Promise.resolve()
+  if (io.output.exited) {
+    return Promise.reject(new Error(`Process exited before ${stream} matched ${match} (${label})`))
+  }
+
+  return new Promise((resolvePromise, rejectPromise) => {
+    const cleanup = () => {
+      clearTimeout(timer)
+      io.events.off(stream, onChunk)
+      io.events.off('exit', onExit)
+    }
+    const onChunk = () => {
+      if (tryMatch()) {
+        cleanup()
+        resolvePromise()
+      }
+    }
+    const onExit = () => {
+      cleanup()
+      rejectPromise(new Error(`Process exited before ${stream} matched ${match} (${label})`))
+    }
+    const timer = setTimeout(() => {
+      cleanup()
+      rejectPromise(new Error(`Timed out after ${timeout}ms waiting for ${stream} to match ${match} (${label})`))
+    }, timeout)
+    io.events.on(stream, onChunk)
+    io.events.on('exit', onExit)
+  })
+}
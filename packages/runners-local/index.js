@@ -2,19 +2,37 @@
  * @fileoverview Local Runner for Citty Testing
  */
 
-import { spawnSync, execSync } from 'node:child_process'
+import { spawn, spawnSync, execSync } from 'node:child_process'
+import { EventEmitter } from 'node:events'
+import { createRequire } from 'node:module'
+import { constants as osConstants } from 'node:os'
 import { existsSync, statSync } from 'node:fs'
 import { resolve, dirname } from 'pathe'
 import { destr } from 'destr'
-import { consola, monitorPerformance } from '@un-test/core'
+import {
+  consola,
+  monitorPerformance,
+  stripAnsi,
+  normalizeSignalSchedule,
+  signalExitCode,
+  isInvocationRecordingEnabled,
+  invocationCaller,
+  recordInvocation,
+} from '@un-test/core'
 import { fileURLToPath } from 'node:url'
 import { wrapExpectation } from '@un-test/core'
 import { loadConfig } from 'c12'
 import { defu } from 'defu'
 import { z } from 'zod'
 import { setupCleanroom, runCitty as executeCleanroom, teardownCleanroom, isCleanroomActive } from '@un-test/runners-cleanroom'
+import { playDialogue, formatTranscript } from './dialogue.js'
+import { resolveSandbox } from './sandbox.js'
+
+export { dialogue, formatTranscript } from './dialogue.js'
+export { createSandbox, cleanupSandboxes } from './sandbox.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
+const require = createRequire(import.meta.url)
 const defaultCliPath = resolve(__dirname, '../../packages/cli/index.mjs')
 
 /**
@@ -79,17 +97,18 @@ function reportCommandFailure(result) {
 }
 
 /**
- * Core runner function for local execution
+ * Resolves options, CLI path and environment for a local invocation.
+ * Returns `{ failure }` when a positional call should resolve to an error result
+ * instead of throwing.
  */
-export function runLocalCitty(firstArg, secondArg) {
+function prepareLocalRun(firstArg, secondArg) {
   const isPositional = Array.isArray(firstArg) || typeof firstArg === 'string'
   let options
   try {
     options = normalizeOptions(firstArg, secondArg)
   } catch (err) {
     if (isPositional) {
-      const res = { success: false, exitCode: 1, stdout: '', stderr: err.message, args: [], cliPath: '', cwd: process.cwd(), durationMs: 0, duration: 0, command: 'unknown' }
-      return wrapWithAssertions(res)
+      return { failure: { success: false, exitCode: 1, stdout: '', stderr: err.message, args: [], cliPath: '', cwd: process.cwd(), durationMs: 0, duration: 0, command: 'unknown' } }
     }
     throw err
   }
@@ -114,56 +133,80 @@ export function runLocalCitty(firstArg, secondArg) {
   }
 
   const finalCliPath = targetCliPath || defaultCliPath
-  const cwd = options.cwd || process.cwd()
+  const hostCwd = options.cwd || process.cwd()
   const env = options.env || {}
   const timeout = options.timeout || 30000
   const args = options.args || []
   const failFast = options.failFast || false
+  const signalSchedule = normalizeSignalSchedule(options.sendSignal)
 
-  const resolvedCliPath = resolve(cwd, finalCliPath)
+  const resolvedCliPath = resolve(hostCwd, finalCliPath)
+  const command = `node "${resolvedCliPath}" ${args.join(' ')}`
 
   if (!existsSync(resolvedCliPath)) {
-    const errorMsg = `CLI file not found: ${resolvedCliPath}\nPossible fixes:\n1. Ensure the file exists at the specified path.\n2. Check the working directory.\nExpected path: ${resolvedCliPath}\nWorking directory: ${cwd}`
-    const res = { success: false, exitCode: 1, stdout: '', stderr: errorMsg, args, cliPath: resolvedCliPath, cwd, durationMs: 0, duration: 0, command: `node "${resolvedCliPath}" ${args.join(' ')}` }
-    if (isPositional) return wrapWithAssertions(res)
+    const errorMsg = `CLI file not found: ${resolvedCliPath}\nPossible fixes:\n1. Ensure the file exists at the specified path.\n2. Check the working directory.\nExpected path: ${resolvedCliPath}\nWorking directory: ${hostCwd}`
+    if (isPositional) return { failure: { success: false, exitCode: 1, stdout: '', stderr: errorMsg, args, cliPath: resolvedCliPath, cwd: hostCwd, durationMs: 0, duration: 0, command } }
     throw new Error(errorMsg)
   }
 
-  const cleanEnv = { ...process.env, ...env }
+  // Before the sandbox is created, so a missing node-pty does not leave one behind
+  const pty = options.pty ? loadNodePty() : null
+
+  // A sandboxed CLI runs in its own cwd with HOME, XDG dirs and tmpdir redirected and a scrubbed env;
+  // `cwd` then only locates the CLI
+  const sandbox = resolveSandbox(options.sandbox)
+  const ownsSandbox = Boolean(sandbox) && sandbox !== options.sandbox
+  const cwd = sandbox ? sandbox.cwd : hostCwd
+
+  const cleanEnv = { ...(sandbox ? sandbox.env : process.env), ...env }
   if (cleanEnv.NODE_ENV === 'test') cleanEnv.NODE_ENV = 'development'
   delete cleanEnv.VITEST
   delete cleanEnv.JEST_WORKER_ID
   delete cleanEnv.TEST
   delete cleanEnv.NODE_OPTIONS
 
-  const startTime = Date.now()
-  const spawnResult = spawnSync('node', [resolvedCliPath, ...args], { cwd, env: cleanEnv, timeout, encoding: 'utf8' })
-  const durationMs = Date.now() - startTime
-  
-  // Robust exit code determination
-  const exitCode = (spawnResult.status !== null && spawnResult.status !== undefined)
-    ? spawnResult.status
-    : (spawnResult.error === undefined ? 0 : 1)
+  // Looked up while the calling test is still on the stack; the async path finishes in a process event
+  const caller = isInvocationRecordingEnabled() ? invocationCaller() : null
 
+  return { options, args, cwd, env: cleanEnv, timeout, failFast, signalSchedule, sandbox, ownsSandbox, pty, finalCliPath, resolvedCliPath, command, caller }
+}
+
+/**
+ * Builds the result object for a finished local invocation, records the
+ * performance baseline and the invocation ledger, and applies failFast semantics.
+ */
+function finalizeLocalRun(run, { exitCode, stdout, stderr, error, signal, signalsSent, tty, transcript, durationMs }) {
   // Track performance baseline
-  monitorPerformance(`${finalCliPath} ${args.join(' ')}`, durationMs).catch(() => {})
+  monitorPerformance(`${run.finalCliPath} ${run.args.join(' ')}`, durationMs).catch(() => {})
+  if (run.caller) recordInvocation({ runner: 'local', cliPath: run.resolvedCliPath, args: run.args, exitCode, durationMs, ...run.caller })
 
   const result = {
-    success: exitCode === 0 && !spawnResult.error,
+    success: exitCode === 0 && !error,
     exitCode,
-    stdout: (spawnResult.stdout || '').trim(),
-    stderr: (spawnResult.stderr || '').trim() || (spawnResult.error ? spawnResult.error.message : ''),
-    args,
-    cliPath: resolvedCliPath,
-    cwd,
+    stdout: (stdout || '').trim(),
+    stderr: (stderr || '').trim() || (error ? error.message : ''),
+    args: run.args,
+    cliPath: run.resolvedCliPath,
+    cwd: run.cwd,
     durationMs,
     duration: durationMs,
-    command: `node "${resolvedCliPath}" ${args.join(' ')}`
+    command: run.command
+  }
+  if (signal !== undefined) result.signal = signal
+  if (signalsSent) result.signalsSent = signalsSent
+  if (run.sandbox) {
+    result.sandbox = run.sandbox
+    if (!result.success) run.sandbox.failed = true
+    // A sandbox created for this run goes with it unless its keep policy holds on to it;
+    // one passed in by the caller stays until its own cleanup()
+    if (run.ownsSandbox) run.sandbox.cleanup()
   }
+  if (tty) Object.assign(result, { tty: true, columns: tty.columns, rows: tty.rows, rawOutput: tty.rawOutput })
+  if (transcript) result.transcript = transcript
 
-  if ((exitCode !== 0 || spawnResult.error) && failFast) {
+  if ((exitCode !== 0 || error) && run.failFast) {
     reportCommandFailure(result)
-    const err = spawnResult.error || new Error(`Command failed: ${result.command}`)
+    const err = error || new Error(`Command failed: ${result.command}`)
     Object.assign(err, result)
     throw err
   }
@@ -171,6 +214,367 @@ export function runLocalCitty(firstArg, secondArg) {
   return wrapWithAssertions(result)
 }
 
+// Options that need a live process; only runLocalCittyAsync accepts them
+const LIVE_PROCESS_OPTIONS = ['dialogue', 'interactive', 'pty', 'sendSignal']
+
+/**
+ * Core runner function for local execution
+ *
+ * Runs the CLI to completion before returning, so nothing can talk to it while it runs:
+ * `dialogue`, `interactive`, `pty` and `sendSignal` throw here and need
+ * `await runLocalCittyAsync(args, options)` instead.
+ */
+export function runLocalCitty(firstArg, secondArg) {
+  const options = secondArg ?? (firstArg && typeof firstArg === 'object' && !Array.isArray(firstArg) ? firstArg : {})
+  const live = LIVE_PROCESS_OPTIONS.filter((name) => options[name])
+  if (live.length > 0) {
+    const call = Array.isArray(firstArg) ? `${JSON.stringify(firstArg)}, { ${live.join(', ')}, ... }` : `{ ${live.join(', ')}, ... }`
+    throw new Error(
+      `runLocalCitty() does not support ${live.map((name) => `\`${name}\``).join(', ')}, which ${live.length === 1 ? 'needs' : 'need'} a live process\n` +
+        `Use runLocalCittyAsync() with the same options and await it: const result = await runLocalCittyAsync(${call})`
+    )
+  }
+
+  const run = prepareLocalRun(firstArg, secondArg)
+  if (run.failure) return wrapWithAssertions(run.failure)
+
+  const startTime = Date.now()
+  const spawnResult = spawnSync('node', [run.resolvedCliPath, ...run.args], { cwd: run.cwd, env: run.env, timeout: run.timeout, encoding: 'utf8' })
+  const durationMs = Date.now() - startTime
+  
+  // Robust exit code determination
+  const exitCode = (spawnResult.status !== null && spawnResult.status !== undefined)
+    ? spawnResult.status
+    : (spawnResult.error === undefined ? 0 : 1)
+
+  return finalizeLocalRun(run, {
+    exitCode,
+    stdout: spawnResult.stdout,
+    stderr: spawnResult.stderr,
+    error: spawnResult.error,
+    durationMs,
+  })
+}
+
+/**
+ * Asynchronous, streaming variant of runLocalCitty.
+ *
+ * The CLI is spawned without blocking the event loop. The returned handle exposes
+ * the live process (`pid`, `kill()`, `process`), streams output chunks through
+ * `on('stdout' | 'stderr', fn)` or the `onStdout`/`onStderr` options, and is a
+ * thenable resolving to the same wrapped result as runLocalCitty.
+ *
+ * @param {string|string[]|Object} firstArg - Args, or an options object with `args`
+ * @param {Object} [secondArg] - Options when args are passed positionally
+ * @param {Function} [secondArg.onStdout] - Called with every stdout chunk
+ * @param {Function} [secondArg.onStderr] - Called with every stderr chunk
+ * @param {AbortSignal} [secondArg.signal] - Kills the process when aborted
+ * @param {number} [secondArg.gracePeriod=3000] - ms between SIGTERM and SIGKILL on timeout or abort
+ * @param {Object|Array} [secondArg.dialogue] - Scripted stdin dialogue, see dialogue()
+ * @param {boolean} [secondArg.interactive] - Keep stdin open for `send()` / `end()`
+ * @param {boolean|Object} [secondArg.pty] - Run inside a pseudo-terminal, optionally `{ columns, rows }`
+ * @param {string|Object|Array} [secondArg.sendSignal] - Signal(s) to deliver, e.g. `{ name: 'SIGINT', after: 500 }`
+ * @returns {Object} Live process handle, awaitable for the wrapped result
+ *
+ * @example
+ * const server = runLocalCittyAsync(['serve', '--port', '0'])
+ * await server.waitForOutput(/listening/)
+ * server.kill()
+ * const result = await server
+ */
+export function runLocalCittyAsync(firstArg, secondArg) {
+  const run = prepareLocalRun(firstArg, secondArg)
+
+  if (run.failure) {
+    const completion = Promise.resolve(wrapWithAssertions(run.failure))
+    return createProcessHandle({ proc: null, events: new EventEmitter(), completion, output: { stdout: '', stderr: '', exited: true }, sendSignal: async () => false })
+  }
+
+  return startLocalRun(run)
+}
+
+/**
+ * Spawns a prepared local invocation and returns its live handle
+ */
+function startLocalRun(run) {
+  const { onStdout, onStderr, signal: abortSignal, dialogue: script, gracePeriod = 3000 } = run.options
+  const events = new EventEmitter()
+  const output = { stdout: '', stderr: '', exited: false }
+  const startTime = Date.now()
+  const signalsSent = []
+  const pendingSignals = new Set()
+  let settled = false
+  let error
+  let finish
+  // Filled by the dialogue while it plays, so the result carries it from the start
+  const transcript = script ? [] : undefined
+
+  const onData = (stream, chunk) => {
+    output[stream] += chunk
+    if (stream === 'stdout' && onStdout) onStdout(chunk)
+    if (stream === 'stderr' && onStderr) onStderr(chunk)
+    events.emit(stream, chunk)
+  }
+
+  const proc = run.options.pty
+    ? spawnPty(run, { onData, onExit: (code, signal) => finish(code, signal) })
+    : spawnPiped(run, {
+        keepStdinOpen: Boolean(script || run.options.interactive),
+        onData,
+        onExit: (code, signal) => finish(code, signal),
+        onError: (err, started) => {
+          error = err
+          // The process never started, so no exit event will follow
+          if (!started) finish(null, null)
+        },
+      })
+
+  // Resolves to whether the signal reached the process before it exited
+  const sendSignal = async (name, { after = 0 } = {}) => {
+    const [delivery] = normalizeSignalSchedule({ name, after })
+    return new Promise((resolvePromise) => {
+      const pending = {
+        cancel: () => {
+          clearTimeout(pending.timer)
+          resolvePromise(false)
+        },
+        timer: setTimeout(() => {
+          pendingSignals.delete(pending)
+          const delivered = !output.exited && proc.kill(delivery.name) !== false
+          if (delivered) signalsSent.push({ name: delivery.name, atMs: Date.now() - startTime })
+          resolvePromise(delivered)
+        }, delivery.after),
+      }
+      pendingSignals.add(pending)
+    })
+  }
+
+  const completion = new Promise((resolvePromise, rejectPromise) => {
+    // On timeout or abort: SIGTERM, then SIGKILL if the CLI is still running after the grace period
+    let killTimer
+    const stop = (reason) => {
+      if (killTimer) return
+      error = reason
+      proc.kill('SIGTERM')
+      killTimer = setTimeout(() => proc.kill('SIGKILL'), gracePeriod)
+    }
+    const timer = setTimeout(() => stop(new Error(`Command timed out after ${run.timeout}ms`)), run.timeout)
+
+    const onAbort = () => stop(new Error(`Command aborted: ${run.command}`))
+    if (abortSignal) {
+      if (abortSignal.aborted) onAbort()
+      else abortSignal.addEventListener('abort', onAbort, { once: true })
+    }
+
+    finish = (code, signal) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      clearTimeout(killTimer)
+      if (abortSignal) abortSignal.removeEventListener('abort', onAbort)
+      for (const pending of pendingSignals) pending.cancel()
+      const durationMs = Date.now() - startTime
+      // Report signal deaths the way a shell does, e.g. 130 for SIGINT
+      const exitCode = code !== null && code !== undefined ? code : (signal ? signalExitCode(signal) : 1)
+      output.exited = true
+      events.emit('exit', { exitCode, signal })
+      const streams = run.options.pty
+        ? { stdout: stripAnsi(output.stdout).replace(/\r\n/g, '\n'), stderr: '', tty: { ...proc.size, rawOutput: output.stdout } }
+        : { stdout: output.stdout, stderr: output.stderr }
+      try {
+        resolvePromise(finalizeLocalRun(run, { exitCode, ...streams, error, signal: signal || null, signalsSent, transcript, durationMs }))
+      } catch (err) {
+        rejectPromise(err)
+      }
+    }
+  })
+
+  for (const delivery of run.signalSchedule) sendSignal(delivery.name, delivery)
+
+  if (!script) return createProcessHandle({ proc, events, completion, output, sendSignal })
+
+  const conversation = playDialogue(
+    script,
+    {
+      events,
+      output,
+      write: (text) => proc.write(text),
+      end: () => proc.end(),
+      kill: () => proc.kill('SIGTERM'),
+    },
+    transcript
+  )
+  const interactiveCompletion = Promise.all([completion, conversation]).then(([result]) => result)
+  return createProcessHandle({ proc, events, completion: interactiveCompletion, output, sendSignal })
+}
+
+/**
+ * Spawns the CLI with stdio pipes
+ */
+function spawnPiped(run, { keepStdinOpen, onData, onExit, onError }) {
+  const child = spawn('node', [run.resolvedCliPath, ...run.args], { cwd: run.cwd, env: run.env })
+
+  // Writes after the CLI exited must not crash the test process
+  child.stdin.on('error', () => {})
+  // Match spawnSync semantics unless the caller talks to stdin: the CLI sees an immediately closed stdin
+  if (!keepStdinOpen) child.stdin.end()
+
+  child.stdout.setEncoding('utf8')
+  child.stderr.setEncoding('utf8')
+  child.stdout.on('data', (chunk) => onData('stdout', chunk))
+  child.stderr.on('data', (chunk) => onData('stderr', chunk))
+  child.on('error', (err) => onError(err, child.pid !== undefined))
+  child.on('close', onExit)
+
+  return {
+    process: child,
+    pid: child.pid,
+    get stdinOpen() { return !child.stdin.writableEnded },
+    write: (text) => child.stdin.write(text),
+    end: () => { if (!child.stdin.writableEnded) child.stdin.end() },
+    kill: (signal) => child.kill(signal),
+  }
+}
+
+/**
+ * Loads the optional `node-pty` package that PTY mode needs
+ */
+function loadNodePty() {
+  try {
+    return require('node-pty')
+  } catch (err) {
+    throw new Error(`PTY mode requires the optional "node-pty" package (${err.message})\nInstall it with: npm install -D node-pty`)
+  }
+}
+
+/**
+ * Spawns the CLI inside a pseudo-terminal so `process.stdout.isTTY` is true
+ */
+function spawnPty(run, { onData, onExit }) {
+  const size = {
+    columns: run.options.pty.columns || 80,
+    rows: run.options.pty.rows || 24,
+  }
+  const term = run.pty.spawn('node', [run.resolvedCliPath, ...run.args], {
+    name: run.env.TERM && run.env.TERM !== 'dumb' ? run.env.TERM : 'xterm-256color',
+    cols: size.columns,
+    rows: size.rows,
+    cwd: run.cwd,
+    env: run.env,
+  })
+  let exited = false
+
+  term.onData((chunk) => onData('stdout', chunk))
+  term.onExit(({ exitCode, signal }) => {
+    exited = true
+    const signalName = signal ? Object.keys(osConstants.signals).find((name) => osConstants.signals[name] === signal) : null
+    // Let the final output chunks flush before settling
+    setImmediate(() => onExit(signalName ? null : exitCode, signalName || null))
+  })
+
+  return {
+    process: term,
+    pid: term.pid,
+    size,
+    get stdinOpen() { return !exited },
+    write: (text) => term.write(text),
+    // A terminal has no half-close; EOT ends input for programs reading lines
+    end: () => { if (!exited) term.write('\x04') },
+    kill: (signal) => {
+      if (exited) return false
+      term.kill(signal)
+      return true
+    },
+  }
+}
+
+/**
+ * Creates the live handle returned by runLocalCittyAsync
+ */
+function createProcessHandle({ proc, events, completion, output, sendSignal }) {
+  // A handle that is never awaited must not turn a failFast rejection into an unhandled one
+  completion.catch(() => {})
+  return {
+    process: proc?.process,
+    pid: proc?.pid,
+    get stdout() { return output.stdout },
+    get stderr() { return output.stderr },
+    on(event, listener) {
+      events.on(event, listener)
+      return this
+    },
+    off(event, listener) {
+      events.off(event, listener)
+      return this
+    },
+    kill(signal = 'SIGTERM') {
+      return proc ? proc.kill(signal) : false
+    },
+    /**
+     * Deliver a signal now or `after` ms; the result records it in `signalsSent`.
+     * Resolves to whether the process was still running to receive it.
+     */
+    sendSignal(name, options) {
+      return sendSignal(name, options)
+    },
+    /**
+     * Write to stdin (requires `interactive: true` or `pty`)
+     */
+    send(text) {
+      if (!proc || !proc.stdinOpen) throw new Error('stdin is closed; pass { interactive: true } to keep it open')
+      proc.write(String(text))
+      return this
+    },
+    /**
+     * Close stdin
+     */
+    end() {
+      if (proc) proc.end()
+      return this
+    },
+    /**
+     * Resolves once stdout (or stderr) matches the pattern
+     */
+    waitForOutput(match, { timeout = 5000, stream = 'stdout' } = {}) {
+      const test = () => typeof match === 'string' ? output[stream].includes(match) : match.test(output[stream])
+      if (test()) return Promise.resolve(output[stream])
+      if (output.exited) return Promise.reject(new Error(`Process exited before ${stream} matched ${match}\n${stream}: ${output[stream]}`))
+      return new Promise((resolvePromise, rejectPromise) => {
+        const cleanup = () => {
+          clearTimeout(timer)
+          events.off(stream, onChunk)
+          events.off('exit', onExit)
+        }
+        const onChunk = () => {
+          if (test()) {
+            cleanup()
+            resolvePromise(output[stream])
+          }
+        }
+        const onExit = () => {
+          cleanup()
+          rejectPromise(new Error(`Process exited before ${stream} matched ${match}\n${stream}: ${output[stream]}`))
+        }
+        const timer = setTimeout(() => {
+          cleanup()
+          rejectPromise(new Error(`Timed out after ${timeout}ms waiting for ${stream} to match ${match}\n${stream}: ${output[stream]}`))
+        }, timeout)
+        events.on(stream, onChunk)
+        events.on('exit', onExit)
+      })
+    },
+    then(ok, fail) {
+      return completion.then(ok, fail)
+    },
+    catch(fail) {
+      return completion.catch(fail)
+    },
+    finally(fn) {
+      return completion.finally(fn)
+    },
+  }
+}
+
 /**
  * Fluent assertion wrapper
  */
@@ -206,6 +610,26 @@ export function wrapWithAssertions(result) {
     return originalExpectOutput ? originalExpectOutput.call(this, pattern) : this
   }
   
+  // Failures after a scripted conversation show what was said
+  if (result.transcript) {
+    const withTranscript = (error) => {
+      error.transcript = result.transcript
+      error.message += `\n\nTranscript:\n${formatTranscript(result.transcript)}`
+      throw error
+    }
+    for (const [name, method] of Object.entries(wrapped)) {
+      if (!name.startsWith('expect') || typeof method !== 'function') continue
+      wrapped[name] = function(...args) {
+        try {
+          const outcome = method.apply(this, args)
+          return outcome instanceof Promise ? outcome.catch(withTranscript) : outcome
+        } catch (error) {
+          withTranscript(error)
+        }
+      }
+    }
+  }
+
   wrapped.then = function(ok, fail) {
     const { then: _, ...plain } = this
     return Promise.resolve(plain).then(ok, fail)
@@ -218,8 +642,11 @@ export function wrapWithAssertions(result) {
 const CleanroomConfigSchema = z.object({
   enabled: z.boolean().default(false),
   nodeImage: z.string().optional().default('node:20-alpine'),
+  dockerfile: z.union([z.string(), z.boolean()]).optional(),
   memoryLimit: z.string().optional().default('512m'),
   cpuLimit: z.string().optional().default('1.0'),
+  network: z.enum(['none', 'bridge']).optional().default('bridge'),
+  readOnly: z.boolean().optional().default(false),
   timeout: z.number().positive().optional().default(60000),
   rootDir: z.string().optional().default('.'),
 }).optional()
@@ -246,6 +673,8 @@ async function loadCittyConfig(cwd = process.cwd(), overrides = {}) {
       nodeImage: 'node:20-alpine',
       memoryLimit: '512m',
       cpuLimit: '1.0',
+      network: 'bridge',
+      readOnly: false,
       timeout: 60000,
       rootDir: '.',
     },
@@ -295,8 +724,11 @@ async function executeCleanroomMode(args, config) {
   await setupCleanroom({
     rootDir: cleanroom.rootDir || cwd,
     nodeImage: cleanroom.nodeImage,
+    dockerfile: cleanroom.dockerfile,
     memoryLimit: cleanroom.memoryLimit,
     cpuLimit: cleanroom.cpuLimit,
+    network: cleanroom.network,
+    readOnly: cleanroom.readOnly,
     timeout: cleanroom.timeout,
   })
 
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Hermetic per-invocation sandboxes for the local runner
+ */
+
+import { cpSync, existsSync, mkdirSync, mkdtempSync, rmSync, statSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { dirname, join, resolve } from 'pathe'
+import { consola } from '@un-test/core'
+
+// Host variables a CLI still needs to run at all; everything else is scrubbed
+const DEFAULT_ALLOW_ENV = ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'SHELL', 'SystemRoot', 'COMSPEC', 'PATHEXT']
+
+const AREAS = ['cwd', 'home', 'config', 'cache', 'data', 'state', 'tmp']
+const KEEP_POLICIES = ['never', 'on-failure', 'always']
+
+const liveSandboxes = new Set()
+let exitHookInstalled = false
+
+/**
+ * Create a sandbox: a fresh temp directory holding the CLI's cwd, HOME, XDG dirs and tmpdir
+ *
+ * A sandbox created here outlives the runs it is passed to, so tests can inspect what the CLI
+ * wrote. It is removed by `cleanup()`, by cleanupSandboxes() or when the process exits, unless
+ * `keep` says otherwise. Sandboxes a run creates from `sandbox: true` or options are removed
+ * when that run finishes, under the same `keep` policy.
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.fixtures] - Directory copied into the cwd, or a map of area
+ *   (`cwd`, `home`, `config`, `cache`, `data`, `state`, `tmp`) to a directory or `{ 'path': 'contents' }`
+ * @param {string[]} [options.allowEnv] - Host variables passed through on top of PATH, LANG, TERM, ...
+ * @param {'never'|'on-failure'|'always'} [options.keep] - Keep the directory for debugging
+ *   (defaults to 'on-failure' when CTU_KEEP_SANDBOX is set, 'never' otherwise)
+ * @returns {Object} Sandbox with its directories, `env`, `path()` and `cleanup()`
+ *
+ * @example
+ * const sandbox = createSandbox({ fixtures: 'test/fixtures/empty' })
+ * await runLocalCitty(['init'], { sandbox })
+ * expect(existsSync(sandbox.path('citty.config.mjs'))).toBe(true)
+ */
+export function createSandbox({ fixtures, allowEnv = [], keep = process.env.CTU_KEEP_SANDBOX ? 'on-failure' : 'never' } = {}) {
+  if (!KEEP_POLICIES.includes(keep)) {
+    throw new Error(`Invalid sandbox keep policy: "${keep}"\nExpected one of: ${KEEP_POLICIES.join(', ')}`)
+  }
+
+  const root = mkdtempSync(join(tmpdir(), 'ctu-sandbox-'))
+  const dirs = {
+    cwd: join(root, 'work'),
+    home: join(root, 'home'),
+    config: join(root, 'home/.config'),
+    cache: join(root, 'home/.cache'),
+    data: join(root, 'home/.local/share'),
+    state: join(root, 'home/.local/state'),
+    tmp: join(root, 'tmp'),
+  }
+  for (const dir of Object.values(dirs)) mkdirSync(dir, { recursive: true })
+
+  const hostEnv = {}
+  for (const name of [...DEFAULT_ALLOW_ENV, ...allowEnv]) {
+    if (process.env[name] !== undefined) hostEnv[name] = process.env[name]
+  }
+
+  let released = false
+  const sandbox = {
+    root,
+    ...dirs,
+    failed: false,
+    keep,
+    env: {
+      ...hostEnv,
+      HOME: dirs.home,
+      USERPROFILE: dirs.home,
+      XDG_CONFIG_HOME: dirs.config,
+      XDG_CACHE_HOME: dirs.cache,
+      XDG_DATA_HOME: dirs.data,
+      XDG_STATE_HOME: dirs.state,
+      APPDATA: dirs.config,
+      LOCALAPPDATA: dirs.data,
+      TMPDIR: dirs.tmp,
+      TMP: dirs.tmp,
+      TEMP: dirs.tmp,
+    },
+
+    /**
+     * Resolve a path inside the sandbox cwd
+     */
+    path(...segments) {
+      return resolve(dirs.cwd, ...segments)
+    },
+
+    /**
+     * Remove the sandbox now, or keep it when the policy asks to
+     * @returns {boolean} true when the directory was kept
+     */
+    cleanup() {
+      if (released) return false
+      released = true
+      liveSandboxes.delete(sandbox)
+      if (keep === 'always' || (keep === 'on-failure' && sandbox.failed)) {
+        consola.warn(`Sandbox kept for debugging: ${root}`)
+        return true
+      }
+      rmSync(root, { recursive: true, force: true })
+      return false
+    },
+  }
+
+  try {
+    seedFixtures(dirs, fixtures)
+  } catch (err) {
+    rmSync(root, { recursive: true, force: true })
+    throw err
+  }
+
+  liveSandboxes.add(sandbox)
+  if (!exitHookInstalled) {
+    exitHookInstalled = true
+    process.once('exit', cleanupSandboxes)
+  }
+  return sandbox
+}
+
+/**
+ * Clean up every sandbox still alive, applying each one's keep policy.
+ * Call it from `afterEach` to reclaim disk space between tests.
+ */
+export function cleanupSandboxes() {
+  for (const sandbox of [...liveSandboxes]) sandbox.cleanup()
+}
+
+/**
+ * Resolve the `sandbox` run option: true, an options object, or an existing sandbox to reuse
+ */
+export function resolveSandbox(option) {
+  if (!option) return null
+  if (option === true) return createSandbox()
+  if (typeof option.cleanup === 'function' && option.root) return option
+  return createSandbox(option)
+}
+
+function seedFixtures(dirs, fixtures) {
+  if (!fixtures) return
+  const byArea = typeof fixtures === 'string' ? { cwd: fixtures } : fixtures
+  for (const [area, source] of Object.entries(byArea)) {
+    if (!AREAS.includes(area)) {
+      throw new Error(`Unknown sandbox fixture area: "${area}"\nExpected one of: ${AREAS.join(', ')}`)
+    }
+    if (typeof source === 'string') {
+      const fixtureDir = resolve(source)
+      if (!existsSync(fixtureDir) || !statSync(fixtureDir).isDirectory()) {
+        throw new Error(`Sandbox fixture directory not found: ${fixtureDir}`)
+      }
+      cpSync(fixtureDir, dirs[area], { recursive: true })
+    } else {
+      for (const [file, contents] of Object.entries(source)) {
+        const target = resolve(dirs[area], file)
+        mkdirSync(dirname(target), { recursive: true })
+        writeFileSync(target, typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2))
+      }
+    }
+  }
+}
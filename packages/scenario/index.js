@@ -1,7 +1,7 @@
 // Scenario DSL v1.0.0 - Simplified API
-import { runLocalCitty, wrapWithAssertions } from '@un-test/runners-local'
-import { runCitty } from '@un-test/runners-cleanroom'
-import { matchSnapshot, snapshotUtils, consola } from '@un-test/core'
+import { runLocalCitty, runLocalCittyAsync, wrapWithAssertions, dialogue } from '@un-test/runners-local'
+import { runCitty, getCleanroom } from '@un-test/runners-cleanroom'
+import { matchSnapshot, snapshotUtils, consola, aggregateFailures } from '@un-test/core'
 import { resolve } from 'pathe'
 
 /**
@@ -104,6 +104,50 @@ export function scenario(name) {
       return this
     },
 
+    /**
+     * Wait for a prompt in the current step's output (interactive steps, local mode)
+     * @param {string|RegExp} match - Prompt text or pattern
+     * @param {Object} options - Optional `timeout` (ms) and `stream`
+     *
+     * @example
+     * .step('Create project', ['init'])
+     * .waitFor(/Project name/).send('demo\n')
+     * .expectSuccess()
+     */
+    waitFor(match, options = {}) {
+      if (!currentStep || !currentStep.command) {
+        throw new Error('Must call step() with a command before waitFor()')
+      }
+      currentStep.dialogue = currentStep.dialogue || dialogue()
+      currentStep.dialogue.waitFor(match, options)
+      return this
+    },
+
+    /**
+     * Write text to the current step's stdin after the previous prompt
+     * @param {string} text - Input, including the trailing newline if needed
+     */
+    send(text) {
+      if (!currentStep || !currentStep.command) {
+        throw new Error('Must call step() with a command before send()')
+      }
+      currentStep.dialogue = currentStep.dialogue || dialogue()
+      currentStep.dialogue.send(text)
+      return this
+    },
+
+    /**
+     * Attach a prebuilt dialogue script to the current step
+     * @param {Object|Array} script - dialogue() builder or array of { waitFor, send } entries
+     */
+    interact(script) {
+      if (!currentStep || !currentStep.command) {
+        throw new Error('Must call step() with a command before interact()')
+      }
+      currentStep.dialogue = script
+      return this
+    },
+
     /**
      * Add custom action step (advanced usage)
      */
@@ -120,6 +164,49 @@ export function scenario(name) {
       return this
     },
 
+    /**
+     * Copy a host file or directory into the cleanroom before the next step
+     * @param {string} source - Host path
+     * @param {string} target - Absolute container path
+     */
+    copyIn(source, target) {
+      return filesystemStep(this, `Copy ${source} into ${target}`, (cleanroom) => cleanroom.copyIn(source, target))
+    },
+
+    /**
+     * Copy a cleanroom file or directory out to the host
+     * @param {string} path - Container path
+     * @param {string} hostPath - Destination on the host
+     */
+    copyOut(path, hostPath) {
+      return filesystemStep(this, `Copy ${path} out to ${hostPath}`, (cleanroom) => cleanroom.copyOut(path, hostPath))
+    },
+
+    /**
+     * Assert a cleanroom file exists, optionally with `contains`, `equals`, `matches` or `mode`
+     */
+    expectFile(path, expected = {}) {
+      return filesystemStep(this, `Expect file ${path}`, (cleanroom) => cleanroom.expectFile(path, expected))
+    },
+
+    expectNoFile(path) {
+      return filesystemStep(this, `Expect no file ${path}`, (cleanroom) => cleanroom.expectNoFile(path))
+    },
+
+    expectDirectory(path) {
+      return filesystemStep(this, `Expect directory ${path}`, (cleanroom) => cleanroom.expectDirectory(path))
+    },
+
+    /**
+     * Snapshot a cleanroom directory tree
+     */
+    expectTreeSnapshot(path, snapshotName, options = {}) {
+      const testFile = options.testFile || getCallerFile()
+      return filesystemStep(this, `Snapshot tree ${path}`, (cleanroom) =>
+        cleanroom.expectTreeSnapshot(path, snapshotName, { ...options, testFile })
+      )
+    },
+
     /**
      * Add custom expectation function
      */
@@ -131,6 +218,18 @@ export function scenario(name) {
       return this
     },
 
+    /**
+     * Run all expectations of the current step and fail it once with every failure,
+     * instead of stopping at the first
+     */
+    soft() {
+      if (!currentStep) {
+        throw new Error('Must call step() before soft()')
+      }
+      currentStep.soft = true
+      return this
+    },
+
     /**
      * Enable concurrent execution mode
      */
@@ -163,15 +262,22 @@ export function scenario(name) {
      * 2. Checks TEST_RUNNER environment variable
      * 3. Defaults to 'local'
      *
+     * @param {Function} [customRunner] - `(args, options) => result` replacing the built-in runners
+     * @param {Object} [executeOptions]
+     * @param {Object} [executeOptions.cleanroom] - createCleanroom() handle to run against
+     * @param {boolean} [executeOptions.soft] - Make every step soft and keep running after failed steps;
+     *   the failures are thrown as one error once all steps have run
      * @returns {Promise<Object>} Execution results
      */
-    async execute(customRunner) {
+    async execute(customRunner, executeOptions = {}) {
       if (steps.length === 0) {
         throw new Error('No steps defined')
       }
 
       // Auto-detect mode if not explicitly set
-      const executionMode = mode || process.env.TEST_RUNNER || 'local'
+      const executionMode = executeOptions.cleanroom ? 'cleanroom' : mode || process.env.TEST_RUNNER || 'local'
+      const cleanroom = executeOptions.cleanroom || (executionMode === 'cleanroom' ? getCleanroom() : null)
+      const softScenario = executeOptions.soft === true
 
       const results = []
       let lastResult = null
@@ -193,17 +299,20 @@ export function scenario(name) {
 
           let result
 
-          if (step.action) {
-            // Execute custom action
-            result = await step.action({ lastResult, context: {} })
-          } else {
-            // Execute using unified runner
-            result = await executeStep(step, executionMode, customRunner)
-          }
-
-          // Apply expectations - let them crash if they fail
-          for (const expectation of step.expectations) {
-            expectation(result)
+          try {
+            if (step.action) {
+              // Execute custom action
+              result = await step.action({ lastResult, context: {}, cleanroom })
+            } else {
+              // Execute using unified runner
+              result = await executeStep(step, executionMode, customRunner, cleanroom)
+            }
+
+            applyExpectations(step, result, softScenario || step.soft)
+          } catch (error) {
+            if (!softScenario) throw error
+            consola.error(`❌ Concurrent step ${index + 1} failed: ${step.description}`)
+            return { step: step.description, result, success: false, error, index }
           }
 
           consola.success(`✅ Concurrent step ${index + 1} completed: ${step.description}`)
@@ -239,19 +348,23 @@ export function scenario(name) {
 
           let result
 
-          if (step.action) {
-            // Execute custom action
-            result = await step.action({ lastResult, context: {} })
-          } else {
-            // Execute using unified runner
-            result = await executeStep(step, executionMode, customRunner)
-          }
-
-          lastResult = result
-
-          // Apply expectations - let them crash if they fail
-          for (const expectation of step.expectations) {
-            expectation(result)
+          try {
+            if (step.action) {
+              // Execute custom action
+              result = await step.action({ lastResult, context: {}, cleanroom })
+            } else {
+              // Execute using unified runner
+              result = await executeStep(step, executionMode, customRunner, cleanroom)
+            }
+
+            lastResult = result
+
+            applyExpectations(step, result, softScenario || step.soft)
+          } catch (error) {
+            if (!softScenario) throw error
+            results.push({ step: step.description, result, success: false, error })
+            consola.error(`❌ Step failed: ${step.description}`)
+            continue
           }
 
           results.push({ step: step.description, result, success: true })
@@ -259,6 +372,16 @@ export function scenario(name) {
         }
       }
 
+      const failed = results.filter((r) => !r.success)
+      if (failed.length > 0) {
+        const error = aggregateFailures(
+          failed.map((r) => ({ assertion: `Step "${r.step}"`, error: r.error })),
+          { subject: `Scenario: ${name}`, total: steps.length, noun: 'step' }
+        )
+        error.results = results
+        throw error
+      }
+
       return {
         scenario: name,
         results,
@@ -360,20 +483,56 @@ export function scenario(name) {
   return builder
 }
 
+/**
+ * Run a step's expectations against its result
+ * Soft steps run all of them and throw every failure as one error.
+ * @private
+ */
+function applyExpectations(step, result, soft) {
+  if (!soft) {
+    // Let them crash if they fail
+    for (const expectation of step.expectations) {
+      expectation(result)
+    }
+    return
+  }
+
+  // Results from the runners record failed expect* calls themselves, with the method and arguments
+  const chain = typeof result?.soft === 'function' ? result.soft() : null
+  const failures = chain ? chain.failures : []
+  step.expectations.forEach((expectation, index) => {
+    try {
+      expectation(chain || result)
+    } catch (error) {
+      failures.push({ assertion: `expect() #${index + 1}`, error })
+    }
+  })
+  if (failures.length > 0) {
+    throw aggregateFailures(failures, { subject: `Step: ${step.description}` })
+  }
+}
+
 /**
  * Execute a single step using the appropriate runner
  * @private
  */
-async function executeStep(step, executionMode, customRunner) {
+async function executeStep(step, executionMode, customRunner, cleanroom) {
   const { args, options } = step
 
   if (customRunner && typeof customRunner === 'function') {
     return await customRunner(args, options)
   }
 
+  const script = step.dialogue || options.dialogue
+
   if (executionMode === 'cleanroom') {
-    // Cleanroom execution
-    return await runCitty(args, {
+    if (script) {
+      throw new Error(`Step "${step.description}" uses a stdin dialogue, which is only supported in local mode`)
+    }
+
+    // Cleanroom execution (an explicit handle, otherwise the shared cleanroom)
+    const run = cleanroom ? (...runArgs) => cleanroom.run(...runArgs) : runCitty
+    return await run(args, {
       cwd: options.cwd || '/app',
       env: options.env || {},
       timeout: options.timeout || 10000,
@@ -388,12 +547,31 @@ async function executeStep(step, executionMode, customRunner) {
       env: { ...options.env, TEST_CLI: 'true' },
       timeout: options.timeout || 30000,
       failFast: false,
+      dialogue: script,
     }
 
-    return runLocalCitty(runOptions)
+    // A dialogue talks to the live process
+    return await (script ? runLocalCittyAsync(runOptions) : runLocalCitty(runOptions))
   }
 }
 
+/**
+ * Add an action step that runs against the cleanroom and passes the previous result through
+ * @private
+ */
+function filesystemStep(builder, description, fn) {
+  return builder.action(description, async ({ lastResult, cleanroom }) => {
+    if (!cleanroom) {
+      throw new Error(
+        `Step "${description}" needs a cleanroom\n` +
+          `Use .mode('cleanroom') after setupCleanroom(), or run the scenario through runCleanroomMatrix()`
+      )
+    }
+    await fn(cleanroom)
+    return lastResult
+  })
+}
+
 // Export concurrent scenario factory function
 export function concurrentScenario(name) {
   return scenario(name).concurrent()
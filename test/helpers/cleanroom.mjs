@@ -0,0 +1,91 @@
+// test/helpers/cleanroom.mjs
+// Docker doubles for cleanroom unit tests
+
+import { vi } from 'vitest'
+
+/**
+ * GenericContainer double recording the builder calls
+ * The started container passes the health check and reports no OOM kills;
+ * subclasses override exec() to answer the CLI runs, or start() to replace the container.
+ */
+export class FakeContainer {
+  constructor(image) {
+    this.image = image
+    this.hostConfig = {}
+    this.calls = {}
+    this.copies = 0
+  }
+
+  record(name, value) {
+    this.calls[name] = value
+    return this
+  }
+
+  withWorkingDir(dir) { return this.record('workingDir', dir) }
+  withCommand(command) { return this.record('command', command) }
+  withStartupTimeout(timeout) { return this.record('startupTimeout', timeout) }
+  withNetworkMode(mode) { return this.record('networkMode', mode) }
+  withCopyDirectoriesToContainer(dirs) { this.copies++; return this.record('copyDirectories', dirs) }
+  withCopyFilesToContainer(files) { this.copies++; return this.record('copyFiles', files) }
+  withBindMounts(mounts) { return this.record('bindMounts', mounts) }
+  withTmpFs(tmpFs) { return this.record('tmpFs', tmpFs) }
+
+  // Same units and float arithmetic as testcontainers: GiB and CPUs
+  withResourcesQuota({ memory, cpu }) {
+    this.hostConfig.Memory = memory !== undefined ? memory * 1024 ** 3 : undefined
+    this.hostConfig.NanoCpus = cpu !== undefined ? cpu * 10 ** 9 : undefined
+    return this.record('resourcesQuota', { memory, cpu })
+  }
+
+  async start() {
+    return {
+      exec: (command, options) => this.exec(command, options),
+      stop: async () => {},
+    }
+  }
+
+  async exec(command) {
+    if (command[0] === 'echo') return { exitCode: 0, output: 'health-check\n', stderr: '' }
+    return { exitCode: 0, output: 'oom_kill 0\n', stderr: '' }
+  }
+}
+
+/**
+ * Replace testcontainers and the docker CLI, then load the cleanroom runner against them
+ * @param {typeof FakeContainer} Container - GenericContainer double
+ * @param {Object} [options]
+ * @param {(command: string) => { stdout: string, stderr: string }} [options.docker] - Answers
+ *   child_process.exec() calls such as `docker image inspect`; throw to fail the command
+ * @returns {Promise<Object>} The @un-test/runners-cleanroom module
+ */
+export async function mockCleanroomDocker(Container, { docker = () => ({ stdout: '', stderr: '' }) } = {}) {
+  vi.stubEnv('RUN_CLEANROOM', '1')
+  vi.doMock('testcontainers', () => ({ GenericContainer: Container }))
+  vi.doMock('node:child_process', async (importOriginal) => {
+    const actual = await importOriginal()
+    return {
+      ...actual,
+      exec: (command, ...rest) => {
+        const callback = rest.pop()
+        let output
+        try {
+          output = docker(command)
+        } catch (error) {
+          return callback(error)
+        }
+        return callback(null, output)
+      },
+    }
+  })
+  return import('@un-test/runners-cleanroom')
+}
+
+/**
+ * Undo mockCleanroomDocker() so later test files load the real modules
+ */
+export function unmockCleanroomDocker() {
+  vi.unstubAllEnvs()
+  vi.doUnmock('testcontainers')
+  vi.doUnmock('node:child_process')
+  vi.resetModules()
+}
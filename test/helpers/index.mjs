@@ -3,3 +3,4 @@
 
 export * from './test-utils.mjs'
 export * from './docker-utils.mjs'
+export * from './cleanroom.mjs'
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { ASTAnalyzer } from '@un-test/coverage'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for flag, option and positional argument coverage in ASTAnalyzer
+ */
+
+const files = {
+  'src/cli.mjs': `import { defineCommand, runMain } from 'citty'
+import { sharedArgs } from './shared.js'
+
+const FORMATS = ['text', 'json', 'html']
+
+const build = defineCommand({
+  meta: { name: 'build', description: 'Build the project' },
+  args: {
+    entry: { type: 'positional', description: 'Entry file', required: true },
+    outDir: { type: 'positional', description: 'Output directory', required: false },
+    format: { type: 'enum', options: FORMATS, default: 'text', description: 'Output format' },
+    minify: { type: 'boolean', alias: 'm', description: 'Minify output' },
+    'source-map': { type: 'boolean', default: true, description: 'Emit source maps' },
+    target: { type: 'string', alias: ['t'], description: 'Target runtime' },
+    ...sharedArgs,
+  },
+})
+
+runMain(defineCommand({
+  meta: { name: 'demo' },
+  args: { verbose: { type: 'boolean', description: 'Verbose logging' } },
+  subCommands: { build },
+}))
+`,
+  'src/shared.js': `export const sharedArgs = {
+  cwd: { type: 'string', default: '.', description: 'Working directory' },
+  quiet: { type: 'boolean', alias: 'q', description: 'Less output' },
+}
+`,
+  'test/build.test.mjs': `import { runLocalCitty } from '@un-test/runners-local'
+
+await runLocalCitty(['build', 'src/index.js', '--format', 'json', '-mq'])
+await runLocalCitty(['build', 'src/index.js', '--format=html', '--no-source-map', '--sourceMap'])
+await runLocalCitty({ args: ['--verbose', 'build', '--cwd', 'app', 'main.js'] })
+`,
+}
+
+describe('ASTAnalyzer argument coverage', () => {
+  let testDir
+  let report
+
+  beforeEach(async () => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-argument-coverage-'))
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(join(testDir, file, '..'), { recursive: true })
+      writeFileSync(join(testDir, file), content)
+    }
+    const analyzer = new ASTAnalyzer({ cliPath: join(testDir, 'src/cli.mjs'), testDir: join(testDir, 'test'), cacheDir: join(testDir, '.cache') })
+    report = await analyzer.analyze()
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should extract arg definitions, including imported and spread ones', () => {
+    const args = Object.fromEntries(report.commands['demo build'].args.map((arg) => [arg.name, arg]))
+    expect(Object.keys(args)).toEqual(['entry', 'outDir', 'format', 'minify', 'source-map', 'target', 'cwd', 'quiet'])
+    expect(args.entry).toMatchObject({ type: 'positional', required: true, description: 'Entry file' })
+    expect(args.format).toMatchObject({ type: 'enum', options: ['text', 'json', 'html'], default: 'text' })
+    expect(args['source-map']).toMatchObject({ type: 'boolean', default: true, alias: [] })
+    expect(args.target.alias).toEqual(['t'])
+    expect(args.quiet).toMatchObject({ alias: ['q'], location: { line: 3, column: 3 } })
+    expect(args.quiet.location.file).toMatch(/shared\.js$/)
+  })
+
+  it('should count flags, options and positionals used by test invocations', () => {
+    const { summary, details } = report.coverage
+    expect(summary.flags).toMatchObject({ tested: 4, total: 4 })
+    expect(summary.options).toMatchObject({ tested: 2, total: 3 })
+    expect(summary.positionals).toMatchObject({ tested: 1, total: 2 })
+    expect(summary.enumValues).toMatchObject({ tested: 2, total: 3 })
+    expect(report.metadata).toMatchObject({ totalFlags: 4, totalOptions: 3, totalPositionals: 2 })
+
+    expect(details.untestedOptions.map((arg) => `${arg.command} --${arg.name}`)).toEqual(['demo build --target'])
+    expect(details.untestedPositionals.map((arg) => arg.name)).toEqual(['outDir'])
+    expect(details.untestedEnumValues).toEqual([expect.objectContaining({ command: 'demo build', name: 'format', value: 'text' })])
+  })
+
+  it('should split each command into flags, options and positionals in the report', () => {
+    const build = report.commands['demo build']
+    expect(build.tested).toBe(true)
+    expect(Object.keys(build.flags)).toEqual(['minify', 'source-map', 'quiet'])
+    expect(build.options.format).toMatchObject({ tested: true, untestedValues: ['text'] })
+    expect(build.options.target.tested).toBe(false)
+    expect(build.positionals.outDir.tested).toBe(false)
+    expect(report.commands.demo.flags.verbose.tested).toBe(true)
+  })
+})
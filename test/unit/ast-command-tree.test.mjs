@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { ASTAnalyzer } from '@un-test/coverage'
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for the command tree ASTAnalyzer builds across modules
+ */
+
+const files = {
+  'cli.mjs': `#!/usr/bin/env node
+import { defineCommand, runMain } from 'citty'
+import { buildCommand } from './commands/build.js'
+import * as tools from './commands/tools/index.js'
+import plugins from 'demo-plugins'
+
+const main = defineCommand({
+  meta: { name: 'demo', description: 'Demo CLI' },
+  subCommands: {
+    build: buildCommand,
+    deploy: () => import('./commands/deploy.js').then((m) => m.default),
+    tools: defineCommand({ meta: { description: 'Tools' }, subCommands: tools }),
+    plugins,
+  },
+})
+
+runMain(main)
+`,
+  'commands/build.js': `import { defineCommand } from 'citty'
+import { watch } from './build/watch.js'
+
+export const buildCommand = defineCommand({
+  meta: { name: 'build', description: 'Build the project' },
+  subCommands: { watch, again: () => import('./build.js').then(({ buildCommand }) => buildCommand) },
+})
+`,
+  'commands/build/watch.js': `import { defineCommand } from 'citty'
+
+export const watch = defineCommand({ meta: { description: 'Rebuild on change' } })
+`,
+  'commands/deploy.js': `import { defineCommand } from 'citty'
+
+const meta = { name: 'deploy', description: \`Deploy the build\` }
+
+export default defineCommand({ meta, run() {} })
+`,
+  'commands/tools/index.js': `export * from './lint.js'
+export { default as fmt } from './fmt.js'
+`,
+  'commands/tools/lint.js': `export const lint = { meta: { description: 'Lint sources' } }
+`,
+  'commands/tools/fmt.js': `import { defineCommand } from 'citty'
+
+export default defineCommand({ meta: { description: 'Format sources' } })
+`,
+}
+
+describe('ASTAnalyzer command tree', () => {
+  let testDir
+  let analyzer
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-command-tree-'))
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(join(testDir, file, '..'), { recursive: true })
+      writeFileSync(join(testDir, file), content)
+    }
+    analyzer = new ASTAnalyzer({ cacheDir: join(testDir, '.cache') })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  const discover = () => analyzer.discoverCLIStructure(readFileSync(join(testDir, 'cli.mjs'), 'utf8'), join(testDir, 'cli.mjs'))
+  const at = (file, line, column) => ({ file: relative(process.cwd(), join(testDir, file)), line, column })
+
+  it('should follow imports, re-exports, namespaces and lazy loaders', () => {
+    const h = discover()
+
+    expect(h.mainCommand).toMatchObject({ name: 'demo', description: 'Demo CLI', location: at('cli.mjs', 7, 14) })
+    expect(Object.keys(h.subcommands)).toEqual([
+      'demo build',
+      'demo build watch',
+      'demo build again',
+      'demo deploy',
+      'demo tools',
+      'demo tools fmt',
+      'demo tools lint',
+      'demo plugins',
+    ])
+    expect(h.subcommands['demo build']).toEqual({ name: 'build', description: 'Build the project', location: at('commands/build.js', 4, 29), args: [] })
+    expect(h.subcommands['demo build watch'].location).toEqual(at('commands/build/watch.js', 3, 22))
+    expect(h.subcommands['demo deploy']).toMatchObject({ description: 'Deploy the build', location: at('commands/deploy.js', 5, 16) })
+    expect(h.subcommands['demo tools lint']).toMatchObject({ description: 'Lint sources', location: at('commands/tools/lint.js', 1, 21) })
+    expect(h.subcommands['demo tools fmt'].description).toBe('Format sources')
+  })
+
+  it('should keep entries it cannot follow and stop at cycles', () => {
+    const h = discover()
+
+    expect(h.subcommands['demo plugins']).toEqual({
+      name: 'plugins',
+      description: '',
+      location: at('cli.mjs', 13, 5),
+      args: [],
+      unresolved: 'import "demo-plugins" is not followed',
+    })
+    // build -> again -> build again is the same definition, so it is listed but not expanded twice
+    expect(h.subcommands['demo build again'].description).toBe('Build the project')
+    expect(h.subcommands['demo build again watch']).toBeUndefined()
+  })
+
+  it('should match test arguments to the deepest known command', () => {
+    const h = discover()
+    const commandPath = (source) => analyzer.recognizeTestPattern(analyzer.parseSafe(source).body[0].expression, h).commandPath
+    expect(commandPath(`runLocalCitty(['build', '--poll', 'watch'])`)).toBe('demo build watch')
+    expect(commandPath(`runLocalCitty('build src')`)).toBe('demo build')
+    expect(commandPath(`runCitty(['unknown'])`)).toBe('demo')
+  })
+
+  it('should invalidate the cached tree when an imported module changes', async () => {
+    const opts = { cliPath: join(testDir, 'cli.mjs') }
+    expect((await analyzer.getCachedCLIHierarchy(opts)).subcommands['demo build watch'].description).toBe('Rebuild on change')
+
+    writeFileSync(join(testDir, 'commands/build/watch.js'), files['commands/build/watch.js'].replace('Rebuild on change', 'Watch mode'))
+    expect((await analyzer.getCachedCLIHierarchy(opts)).subcommands['demo build watch'].description).toBe('Watch mode')
+  })
+
+  it('should resolve the full tree of the ctu CLI', () => {
+    const cliPath = join(process.cwd(), 'packages/cli/index.mjs')
+    const h = analyzer.discoverCLIStructure(readFileSync(cliPath, 'utf8'), cliPath)
+    expect(h.subcommands['ctu snapshot list'].location.file).toBe('packages/cli/commands/snapshot/list.js')
+    expect(h.subcommands['ctu analysis coverage'].description).toMatch(/coverage/)
+    expect(Object.values(h.subcommands).filter((command) => command.unresolved)).toEqual([])
+  })
+})
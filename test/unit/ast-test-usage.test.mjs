@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { ASTAnalyzer } from '@un-test/coverage'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for how ASTAnalyzer finds CLI usage in tests: scenarios, templates and helpers
+ */
+
+const cli = `import { defineCommand, runMain } from 'citty'
+
+const leaf = (name) => defineCommand({ meta: { name } })
+
+runMain(defineCommand({
+  meta: { name: 'demo' },
+  args: { version: { type: 'boolean' }, help: { type: 'boolean' } },
+  subCommands: {
+    init: defineCommand({ args: { name: { type: 'positional' } } }),
+    status: leaf('status'),
+    gen: defineCommand({ subCommands: { project: leaf('project'), test: leaf('test'), config: leaf('config') } }),
+    deploy: leaf('deploy'),
+    build: leaf('build'),
+    lint: leaf('lint'),
+  },
+}))
+`
+
+const setup = (testDir, tests) => {
+  mkdirSync(join(testDir, 'src'), { recursive: true })
+  mkdirSync(join(testDir, 'test'), { recursive: true })
+  writeFileSync(join(testDir, 'src/cli.mjs'), cli)
+  for (const [file, content] of Object.entries(tests)) writeFileSync(join(testDir, 'test', file), content)
+}
+
+describe('ASTAnalyzer test usage', () => {
+  let testDir
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-test-usage-'))
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  const analyze = async (options = {}) => {
+    const analyzer = new ASTAnalyzer({
+      cliPath: join(testDir, 'src/cli.mjs'),
+      testDir: join(testDir, 'test'),
+      cacheDir: join(testDir, '.cache'),
+      ...options,
+    })
+    const report = await analyzer.analyze()
+    return Object.entries(report.commands)
+      .filter(([, command]) => command.tested)
+      .map(([path]) => path)
+  }
+
+  it('should count scenario steps, run() and builders kept in variables', async () => {
+    setup(testDir, {
+      'scenario.test.mjs': `import { scenario, cleanroomScenario } from '@un-test/scenario'
+
+const kind = 'project'
+
+it('generates', async () => {
+  await scenario('Generate')
+    .step('Project', ['gen', kind])
+    .expectSuccess()
+    .step('Prepare', () => {})
+    .step('Status')
+    .run('status --json')
+    .execute('local')
+
+  const flow = cleanroomScenario('Deploy')
+  flow.step('Deploy', \`deploy --env \${'prod'}\`)
+})
+`,
+    })
+
+    expect(await analyze()).toEqual(['demo status', 'demo gen project', 'demo deploy'])
+  })
+
+  it('should follow scenarioTemplates into the scenario package', async () => {
+    setup(testDir, {
+      'templates.test.mjs': `import { scenarioTemplates } from '@un-test/scenario'
+
+await scenarioTemplates.version().execute()
+await scenarioTemplates.initProject('my-app').execute()
+await scenarioTemplates.buildAndTest().execute()
+`,
+    })
+
+    expect(await analyze()).toEqual(['demo', 'demo init', 'demo status', 'demo build'])
+  })
+
+  it('should follow helpers, template literals and imported helper modules', async () => {
+    setup(testDir, {
+      'helpers.js': `import { runLocalCitty } from '@un-test/runners-local'
+
+export const runGen = (kind, ...rest) => runLocalCitty(['gen', kind, ...rest], { cwd: '/tmp' })
+`,
+      'helpers.test.mjs': `import { runLocalCitty } from '@un-test/runners-local'
+import { runGen } from './helpers.js'
+
+describe('cli', () => {
+  async function cli(command, options = {}) {
+    const args = \`\${command} --verbose\`
+    return runLocalCitty(args, options)
+  }
+  const lint = (target = 'lint') => cli(target)
+
+  it('runs', async () => {
+    await cli('build')
+    await lint()
+    await runGen('test', '--force')
+    await runLocalCitty(unknownArgs)
+  })
+})
+`,
+    })
+
+    expect(await analyze()).toEqual(['demo gen test', 'demo build', 'demo lint'])
+  })
+
+  it('should accept extra runner names from the options', async () => {
+    setup(testDir, {
+      'runner.test.mjs': `import { execCli } from './support.js'
+
+await execCli(['gen', 'config'])
+await harness.exec({ args: ['deploy'] })
+`,
+    })
+
+    expect(await analyze()).toEqual([])
+    expect(await analyze({ runners: ['execCli', 'exec'] })).toEqual(['demo gen config', 'demo deploy'])
+  })
+})
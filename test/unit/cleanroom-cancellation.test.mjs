@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { spawn } from 'node:child_process'
+import { constants } from 'node:os'
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { FakeContainer, mockCleanroomDocker, unmockCleanroomDocker } from '../helpers/cleanroom.mjs'
+
+/**
+ * Unit Tests for cleanroom timeouts and cancellation
+ * The container double runs exec'd commands as REAL host processes, so the
+ * wrapper and process-tree kill scripts are exercised end to end.
+ */
+
+describe.sequential('Cleanroom timeout and cancellation', () => {
+  let cleanroom
+  let room
+  let testDir
+
+  const runOnHost = (command, { workdir } = {}) =>
+    new Promise((resolve) => {
+      const child = spawn(command[0], command.slice(1), { cwd: workdir })
+      let output = ''
+      let stderr = ''
+      child.stdout.on('data', (chunk) => (output += chunk))
+      child.stderr.on('data', (chunk) => (stderr += chunk))
+      child.on('close', (code, signal) => {
+        // Docker reports signalled processes as 128 + signal number
+        resolve({ exitCode: code ?? 128 + constants.signals[signal], output, stderr })
+      })
+    })
+
+  class HostContainer extends FakeContainer {
+    async exec(command, options = {}) {
+      if (command[0] === 'echo') return super.exec(command)
+      return runOnHost(command, { workdir: options.workdir === '/app' ? testDir : options.workdir })
+    }
+  }
+
+  const pidFiles = () => readdirSync('/tmp').filter((name) => name.startsWith('ctu-run-'))
+  // Zombies waiting to be reaped by init still have a /proc entry
+  const isRunning = (pid) => existsSync(`/proc/${pid}`) && !/\) Z /.test(readFileSync(`/proc/${pid}/stat`, 'utf8'))
+
+  beforeAll(async () => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-cancel-'))
+    writeFileSync(
+      join(testDir, 'cli.mjs'),
+      `import { spawn } from 'node:child_process'
+import { writeFileSync } from 'node:fs'
+const [command, marker] = process.argv.slice(2)
+if (command === 'hang') {
+  const child = spawn('sleep', ['30'], { stdio: 'ignore' })
+  writeFileSync(marker, String(child.pid))
+  console.log('started')
+  setInterval(() => {}, 1000)
+} else if (command === 'graceful') {
+  process.on('SIGINT', () => {
+    console.log('cleaned up')
+    process.exit(130)
+  })
+  console.log('started')
+  setInterval(() => {}, 1000)
+} else if (command === 'stubborn') {
+  process.on('SIGTERM', () => console.log('ignoring SIGTERM'))
+  console.log('started')
+  setInterval(() => {}, 1000)
+} else {
+  console.log('done')
+}
+`,
+      'utf8'
+    )
+
+    cleanroom = await mockCleanroomDocker(HostContainer)
+    room = await cleanroom.createCleanroom({ rootDir: testDir })
+  })
+
+  afterAll(async () => {
+    await room.teardown()
+    rmSync(testDir, { recursive: true, force: true })
+    unmockCleanroomDocker()
+  })
+
+  it('should kill the whole process tree on timeout and return a structured result', async () => {
+    const marker = join(testDir, 'child.pid')
+    const before = pidFiles().length
+
+    const result = await room.run(['hang', marker], { cliPath: join(testDir, 'cli.mjs'), timeout: 500 })
+
+    expect(result.timedOut).toBe(true)
+    expect(result.signal).toBe('SIGTERM')
+    expect(result.stdout).toBe('started')
+    expect(result.stderr).toContain('Command timed out after 500ms')
+    result.expectFailure()
+
+    const childPid = Number(readFileSync(marker, 'utf8'))
+    expect(isRunning(childPid)).toBe(false)
+    expect(pidFiles().length).toBe(before)
+  })
+
+  it('should escalate to SIGKILL after the grace period', async () => {
+    const result = await room.run(['stubborn'], {
+      cliPath: join(testDir, 'cli.mjs'),
+      timeout: 300,
+      gracePeriod: 300,
+    })
+
+    expect(result.timedOut).toBe(true)
+    expect(result.signal).toBe('SIGKILL')
+    expect(result.exitCode).not.toBe(0)
+    expect(result.oomKilled).toBe(false)
+    expect(result.stdout).toContain('ignoring SIGTERM')
+  })
+
+  it('should cancel through an AbortSignal and keep the queue moving', async () => {
+    const controller = new AbortController()
+    const pending = room.run(['stubborn'], {
+      cliPath: join(testDir, 'cli.mjs'),
+      signal: controller.signal,
+      gracePeriod: 100,
+    })
+    const queued = room.run(['quick'], { cliPath: join(testDir, 'cli.mjs') })
+    setTimeout(() => controller.abort(), 300)
+
+    const aborted = await pending
+    expect(aborted.aborted).toBe(true)
+    expect(aborted.timedOut).toBe(false)
+    expect(aborted.stderr).toContain('Command aborted')
+    ;(await queued).expectSuccess().expectOutput('done')
+
+    await expect(
+      room.run(['quick'], { cliPath: join(testDir, 'cli.mjs'), signal: controller.signal })
+    ).rejects.toThrow('Command aborted before it started')
+  })
+
+  it('should deliver scheduled signals to the CLI and record them', async () => {
+    const result = await room.run(['graceful'], {
+      cliPath: join(testDir, 'cli.mjs'),
+      sendSignal: { name: 'SIGINT', after: 300 },
+    })
+
+    expect(result.timedOut).toBe(false)
+    expect(result.signal).toBe('SIGINT')
+    expect(result.signalsSent).toEqual([{ name: 'SIGINT', atMs: expect.any(Number) }])
+    result.expectExit(130).expectSignal('SIGINT').expectExitWithin(1000).expectOutput('cleaned up')
+  })
+
+  it('should not flag normal runs', async () => {
+    const result = await room.run(['quick'], { cliPath: join(testDir, 'cli.mjs') })
+    expect(result).toMatchObject({ exitCode: 0, timedOut: false, aborted: false, signal: null, signalsSent: [] })
+  })
+})
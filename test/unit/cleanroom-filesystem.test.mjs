@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { spawnSync } from 'node:child_process'
+import { cpSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync, chmodSync, existsSync } from 'node:fs'
+import { dirname, join, relative } from 'node:path'
+import { tmpdir } from 'node:os'
+import { FakeContainer, mockCleanroomDocker, unmockCleanroomDocker } from '../helpers/cleanroom.mjs'
+
+/**
+ * Unit Tests for cleanroom file transfer and filesystem assertions
+ * The container double runs the REAL shell helpers on a host directory,
+ * so only the Docker transport is replaced.
+ */
+
+describe.sequential('Cleanroom filesystem', () => {
+  let cleanroom
+  let scenario
+  let root
+  let room
+
+  // The container paths a pool reset touches live under root, so it never kills or removes anything on the host
+  const toHost = (path) =>
+    typeof path === 'string' && /^\/(app|proc|\.ctu-checkpoint)(\/|$)|^\/tmp$/.test(path) ? join(root, 'container', path) : path
+
+  class HostBackedContainer extends FakeContainer {
+    async start() {
+      return {
+        ...(await super.start()),
+        copyFilesToContainer: async (files) => {
+          for (const { source, target } of files) {
+            mkdirSync(dirname(target), { recursive: true })
+            cpSync(source, target)
+          }
+        },
+        copyDirectoriesToContainer: async (dirs) => {
+          for (const { source, target } of dirs) cpSync(source, target, { recursive: true })
+        },
+        copyContentToContainer: async (contents) => {
+          for (const { content, target, mode } of contents) {
+            mkdirSync(dirname(toHost(target)), { recursive: true })
+            writeFileSync(toHost(target), content)
+            if (mode !== undefined) chmodSync(toHost(target), mode)
+          }
+        },
+      }
+    }
+
+    async exec([command, ...args]) {
+      if (args.includes('node')) {
+        // The "CLI" generates a project, like `gen project` would
+        mkdirSync(join(root, 'demo/bin'), { recursive: true })
+        writeFileSync(join(root, 'demo/package.json'), '{ "name": "demo" }\n')
+        writeFileSync(join(root, 'demo/bin/cli.mjs'), '#!/usr/bin/env node\n')
+        chmodSync(join(root, 'demo/bin/cli.mjs'), 0o755)
+        return { exitCode: 0, output: 'Generated demo', stderr: '' }
+      }
+      const { status, stdout, stderr } = spawnSync(command, args.map(toHost), { encoding: 'utf8' })
+      return { exitCode: status, output: stdout, stderr }
+    }
+  }
+
+  beforeAll(async () => {
+    root = mkdtempSync(join(tmpdir(), 'ctu-cleanroom-fs-'))
+    for (const dir of ['app', 'proc', 'tmp']) mkdirSync(join(root, 'container', dir), { recursive: true })
+    writeFileSync(join(root, 'container/app/cli.mjs'), 'console.log("demo")\n')
+    cleanroom = await mockCleanroomDocker(HostBackedContainer)
+    ;({ scenario } = await import('@un-test/scenario'))
+    room = await cleanroom.createCleanroom({ rootDir: root })
+  })
+
+  afterAll(async () => {
+    await room.teardown()
+    rmSync(root, { recursive: true, force: true })
+    unmockCleanroomDocker()
+  })
+
+  it('should copy files in and read them back, binary-safe', async () => {
+    const hostDir = mkdtempSync(join(tmpdir(), 'ctu-host-'))
+    writeFileSync(join(hostDir, 'config.json'), '{"debug":true}')
+    writeFileSync(join(hostDir, 'logo.bin'), Buffer.from([0, 255, 10, 13, 128]))
+
+    await room.copyIn(join(hostDir, 'config.json'), join(root, 'in/config.json'))
+    await room.copyIn(hostDir, join(root, 'in/assets'))
+    await room.writeFile(join(root, 'in/run.sh'), 'echo hi\n', { mode: 0o755 })
+
+    expect(await room.readFile(join(root, 'in/config.json'))).toBe('{"debug":true}')
+    expect(await room.readFile(join(root, 'in/assets/logo.bin'), { encoding: null })).toEqual(
+      Buffer.from([0, 255, 10, 13, 128])
+    )
+    expect(await room.stat(join(root, 'in/run.sh'))).toMatchObject({ type: 'file', mode: '755' })
+    await expect(room.copyIn(join(hostDir, 'missing'), '/app/x')).rejects.toThrow('does not exist')
+    rmSync(hostDir, { recursive: true, force: true })
+  })
+
+  it('should assert on files generated by a command and pull them out', async () => {
+    await room.run(['gen', 'project'], { cliPath: 'cli.mjs' })
+
+    await room.expectFile(join(root, 'demo/package.json'), { contains: '"demo"', matches: /name/ })
+    await room.expectFile(join(root, 'demo/bin/cli.mjs'), { mode: '755' })
+    await room.expectDirectory(join(root, 'demo/bin'))
+    await room.expectNoFile(join(root, 'demo/README.md'))
+    expect(await room.tree(join(root, 'demo'))).toEqual(['bin/', 'bin/cli.mjs', 'package.json'])
+
+    await expect(room.expectFile(join(root, 'demo/package.json'), { contains: 'vitest' })).rejects.toThrow(
+      'Expected file to contain "vitest"'
+    )
+    await expect(room.expectMode(join(root, 'demo/package.json'), 0o755)).rejects.toThrow('Expected mode 755, got 644')
+    await expect(room.expectFile(join(root, 'demo/bin'))).rejects.toThrow('Expected a file, found a directory')
+
+    const outDir = mkdtempSync(join(tmpdir(), 'ctu-out-'))
+    const written = await room.copyOut(join(root, 'demo'), join(outDir, 'demo'))
+    expect(written).toHaveLength(2)
+    expect(readFileSync(join(outDir, 'demo/package.json'), 'utf8')).toContain('"demo"')
+    rmSync(outDir, { recursive: true, force: true })
+  })
+
+  it('should snapshot a tree next to the calling test file', async () => {
+    const { getSnapshotManager, resetSnapshotManager, SnapshotConfig } = await import('@un-test/core')
+    // Snapshots of this test file land in root/snapshots instead of the repo
+    const snapshotDir = relative(import.meta.dirname, join(root, 'snapshots'))
+    getSnapshotManager(new SnapshotConfig({ rootDir: root, snapshotDir, ciMode: false, recordRuns: false }))
+    try {
+      // Settled on a later tick, so only the synchronous part of the call sees this test on the stack
+      await new Promise((resolve, reject) =>
+        room.expectTreeSnapshot(join(root, 'demo'), 'demo-tree').then((value) => setImmediate(resolve, value), reject)
+      )
+      expect(existsSync(join(root, 'snapshots/cleanroom-filesystem.test.demo-tree.snap'))).toBe(true)
+    } finally {
+      resetSnapshotManager()
+    }
+  })
+
+  it('should expose filesystem checks as scenario steps', async () => {
+    const hostFile = join(root, 'seed.txt')
+    writeFileSync(hostFile, 'seed')
+    const outDir = mkdtempSync(join(tmpdir(), 'ctu-scenario-out-'))
+
+    const result = await scenario('Generate project')
+      .copyIn(hostFile, join(root, 'seeded/seed.txt'))
+      .step('Generate', ['gen', 'project'], { cliPath: 'cli.mjs' })
+      .expectSuccess()
+      .expectFile(join(root, 'demo/package.json'), { contains: 'demo' })
+      .expectFile(join(root, 'seeded/seed.txt'), { equals: 'seed' })
+      .copyOut(join(root, 'demo/package.json'), join(outDir, 'package.json'))
+      .execute(undefined, { cleanroom: room })
+
+    expect(result.mode).toBe('cleanroom')
+    expect(result.lastResult.stdout).toBe('Generated demo')
+    expect(existsSync(join(outDir, 'package.json'))).toBe(true)
+    rmSync(outDir, { recursive: true, force: true })
+  })
+
+  it('should hand a released pool container back without the last user\'s files', async () => {
+    const pool = cleanroom.createCleanroomPool({ maxIdle: 1 })
+    const first = await pool.acquire({ rootDir: root })
+    await first.writeFile('/app/leak.txt', 'secret')
+    expect(await first.exists('/app/leak.txt')).toBe(true)
+    await pool.release(first)
+
+    const second = await pool.acquire({ rootDir: root })
+    expect(second).toBe(first)
+    expect(await second.exists('/app/leak.txt')).toBe(false)
+    expect(await second.readFile('/app/cli.mjs')).toBe('console.log("demo")\n')
+    await pool.drain()
+  })
+
+  it('should explain when a filesystem step has no cleanroom', async () => {
+    await expect(scenario('Local').expectFile('/app/package.json').execute()).rejects.toThrow(
+      'Step "Expect file /app/package.json" needs a cleanroom'
+    )
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { FakeContainer, mockCleanroomDocker, unmockCleanroomDocker } from '../helpers/cleanroom.mjs'
+import { dockerignoreMatcher, hashBuildContext } from '../../packages/runners-cleanroom/image.js'
+
+/**
+ * Unit Tests for building cleanroom images from the project's Dockerfile
+ * Docker is replaced by a double that records builds and known image tags.
+ */
+
+describe.sequential('Cleanroom Dockerfile images', () => {
+  let cleanroom
+  let projectDir
+  const images = new Set()
+  const builds = []
+  const started = []
+
+  class ImageContainer extends FakeContainer {
+    static fromDockerfile(context, dockerfile) {
+      return {
+        withCache() {
+          return this
+        },
+        async build(tag, options) {
+          builds.push({ context, dockerfile, tag, options })
+          images.add(tag)
+          return new ImageContainer(tag)
+        },
+      }
+    }
+
+    async start() {
+      started.push({ image: this.image, copies: this.copies })
+      return super.start()
+    }
+  }
+
+  beforeAll(async () => {
+    projectDir = mkdtempSync(join(tmpdir(), 'ctu-image-'))
+    writeFileSync(join(projectDir, 'Dockerfile'), 'FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN npm install\n')
+    writeFileSync(join(projectDir, '.dockerignore'), 'node_modules\n*.log\n')
+    writeFileSync(join(projectDir, 'package.json'), '{ "name": "my-cli" }\n')
+    mkdirSync(join(projectDir, 'node_modules/native'), { recursive: true })
+    writeFileSync(join(projectDir, 'node_modules/native/binding.node'), 'glibc build')
+
+    cleanroom = await mockCleanroomDocker(ImageContainer, {
+      docker: (command) => {
+        const tag = /^docker image inspect (.+)$/.exec(command)?.[1]
+        if (tag && !images.has(tag)) throw new Error(`No such image: ${tag}`)
+        return { stdout: '', stderr: '' }
+      },
+    })
+  })
+
+  afterEach(() => {
+    builds.length = 0
+    started.length = 0
+  })
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true })
+    unmockCleanroomDocker()
+  })
+
+  it('should build the Dockerfile once and reuse the content-hash tag', async () => {
+    const first = await cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: 'Dockerfile' })
+    expect(first.image).toMatch(/^ctu-cleanroom-ctu-image-[a-z0-9]+:[0-9a-f]{12}$/)
+    expect(builds).toHaveLength(1)
+    expect(builds[0]).toMatchObject({ dockerfile: 'Dockerfile', tag: first.image, options: { deleteOnExit: false } })
+    // The project is baked into the image, so nothing is copied from the host
+    expect(started[0]).toEqual({ image: first.image, copies: 0 })
+
+    const second = await cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: true })
+    expect(second.image).toBe(first.image)
+    expect(builds).toHaveLength(1)
+
+    await Promise.all([first.teardown(), second.teardown()])
+  })
+
+  it('should rebuild when the build context changes but ignore .dockerignore entries', async () => {
+    const before = await cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: 'Dockerfile' })
+
+    writeFileSync(join(projectDir, 'node_modules/native/binding.node'), 'musl build')
+    writeFileSync(join(projectDir, 'debug.log'), 'noise')
+    const ignored = await cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: 'Dockerfile' })
+    expect(ignored.image).toBe(before.image)
+
+    writeFileSync(join(projectDir, 'cli.mjs'), 'console.log("v2")\n')
+    const changed = await cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: 'Dockerfile' })
+    expect(changed.image).not.toBe(before.image)
+    expect(builds.map((build) => build.tag)).toEqual([changed.image])
+
+    await Promise.all([before.teardown(), ignored.teardown(), changed.teardown()])
+  })
+
+  it('should let ** match zero or more directories in .dockerignore', () => {
+    const isIgnored = dockerignoreMatcher(['**/fixtures', 'docs/**/draft.md', '*.log', '!keep.log'])
+
+    expect(['fixtures', 'test/fixtures/a.json', 'docs/draft.md', 'docs/v1/api/draft.md', 'debug.log'].filter(isIgnored)).toHaveLength(5)
+    expect(['my-fixtures', 'docs/readme.md', 'keep.log', 'logs/debug.log'].some(isIgnored)).toBe(false)
+  })
+
+  it('should leave node_modules and .git out of the hash without a .dockerignore', () => {
+    const contextDir = mkdtempSync(join(tmpdir(), 'ctu-image-context-'))
+    try {
+      writeFileSync(join(contextDir, 'Dockerfile'), 'FROM node:20-alpine\n')
+      const empty = hashBuildContext(contextDir)
+
+      mkdirSync(join(contextDir, 'node_modules/pkg'), { recursive: true })
+      writeFileSync(join(contextDir, 'node_modules/pkg/index.js'), 'module.exports = 1\n')
+      mkdirSync(join(contextDir, 'packages/app/.git'), { recursive: true })
+      writeFileSync(join(contextDir, 'packages/app/.git/HEAD'), 'ref: refs/heads/main\n')
+      expect(hashBuildContext(contextDir)).toBe(empty)
+
+      writeFileSync(join(contextDir, 'packages/app/cli.mjs'), 'console.log("app")\n')
+      expect(hashBuildContext(contextDir)).not.toBe(empty)
+    } finally {
+      rmSync(contextDir, { recursive: true, force: true })
+    }
+  })
+
+  it('should explain a missing Dockerfile', async () => {
+    await expect(cleanroom.createCleanroom({ rootDir: projectDir, dockerfile: 'Dockerfile.ci' })).rejects.toThrow(
+      'Dockerfile not found'
+    )
+  })
+})
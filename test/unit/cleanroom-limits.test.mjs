@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import { FakeContainer, mockCleanroomDocker, unmockCleanroomDocker } from '../helpers/cleanroom.mjs'
+
+/**
+ * Unit Tests for cleanroom resource limits, network isolation and read-only roots
+ * Docker is replaced by a recording GenericContainer double.
+ */
+
+describe.sequential('Cleanroom container limits', () => {
+  let cleanroom
+  let builder
+  const containerState = { oomKills: 0, nextRun: null, hostConfig: true }
+
+  class LimitsContainer extends FakeContainer {
+    constructor(image) {
+      super(image)
+      if (!containerState.hostConfig) delete this.hostConfig
+      builder = this
+    }
+
+    async exec(command) {
+      if (command[0] === 'echo') return super.exec(command)
+      if (command.includes('node')) return containerState.nextRun
+      if (command[0] === 'sh') {
+        return { exitCode: 0, output: `oom 0\noom_kill ${containerState.oomKills}\n`, stderr: '' }
+      }
+      return containerState.nextRun
+    }
+  }
+
+  beforeAll(async () => {
+    cleanroom = await mockCleanroomDocker(LimitsContainer)
+  })
+
+  afterEach(async () => {
+    await cleanroom.teardownCleanroom()
+    containerState.oomKills = 0
+    containerState.hostConfig = true
+  })
+
+  afterAll(unmockCleanroomDocker)
+
+  it('should enforce memory and CPU limits on the container', async () => {
+    await cleanroom.setupCleanroom({ rootDir: '.', memoryLimit: '256m', cpuLimit: '0.5' })
+
+    expect(builder.hostConfig).toMatchObject({
+      Memory: 256 * 1024 ** 2,
+      MemorySwap: 256 * 1024 ** 2,
+      NanoCpus: 500_000_000,
+    })
+    expect(builder.calls.resourcesQuota).toEqual({ memory: 0.25, cpu: 0.5 })
+    expect(builder.calls.networkMode).toBe('bridge')
+    expect(builder.calls.copyDirectories).toBeDefined()
+  })
+
+  it('should hand Docker whole nano-CPUs and refuse a builder without a hostConfig', async () => {
+    await cleanroom.setupCleanroom({ rootDir: '.', cpuLimit: '1.001' })
+    expect(builder.hostConfig.NanoCpus).toBe(1_001_000_000)
+    await cleanroom.teardownCleanroom()
+
+    containerState.hostConfig = false
+    await expect(cleanroom.setupCleanroom({ rootDir: '.' })).rejects.toThrow(
+      'Cannot set MemorySwap on the cleanroom container: GenericContainer has no hostConfig'
+    )
+    expect(cleanroom.isCleanroomActive()).toBe(false)
+  })
+
+  it('should isolate the network and mount a read-only root filesystem', async () => {
+    await cleanroom.setupCleanroom({ rootDir: '.', network: 'none', readOnly: true })
+
+    expect(builder.calls.networkMode).toBe('none')
+    expect(builder.hostConfig.ReadonlyRootfs).toBe(true)
+    expect(builder.calls.copyDirectories).toBeUndefined()
+    expect(builder.calls.bindMounts.every((mount) => mount.mode === 'ro')).toBe(true)
+    expect(builder.calls.tmpFs).toHaveProperty('/tmp')
+  })
+
+  it('should reject invalid options before touching Docker', async () => {
+    await expect(cleanroom.setupCleanroom({ network: 'host' })).rejects.toThrow('Invalid network: "host"')
+    await expect(cleanroom.setupCleanroom({ memoryLimit: 'lots' })).rejects.toThrow('Invalid memoryLimit')
+    await expect(cleanroom.setupCleanroom({ cpuLimit: '0' })).rejects.toThrow('Invalid cpuLimit')
+    expect(cleanroom.isCleanroomActive()).toBe(false)
+  })
+
+  it('should parse Docker-style memory sizes', () => {
+    expect(cleanroom.parseMemoryLimit('1g')).toBe(1024 ** 3)
+    expect(cleanroom.parseMemoryLimit('512M')).toBe(512 * 1024 ** 2)
+    expect(cleanroom.parseMemoryLimit('64mb')).toBe(64 * 1024 ** 2)
+    expect(cleanroom.parseMemoryLimit(1048576)).toBe(1048576)
+  })
+
+  it('should flag OOM-killed runs so tests can assert on them', async () => {
+    await cleanroom.setupCleanroom({ rootDir: '.', memoryLimit: '64m' })
+
+    containerState.oomKills = 1
+    containerState.nextRun = { exitCode: 137, output: '', stderr: '' }
+    const oom = await cleanroom.runCitty(['build'], { cliPath: 'src/cli.mjs' })
+    expect(oom.oomKilled).toBe(true)
+    oom.expectFailure().expectOomKilled()
+
+    // A SIGKILL without a new OOM event is not an OOM kill
+    const killed = await cleanroom.runCitty(['build'], { cliPath: 'src/cli.mjs' })
+    expect(killed.oomKilled).toBe(false)
+    expect(() => killed.expectOomKilled()).toThrow('Expected command to be OOM-killed')
+
+    containerState.nextRun = { exitCode: 0, output: 'ok', stderr: '' }
+    const ok = await cleanroom.runCitty(['build'], { cliPath: 'src/cli.mjs' })
+    expect(ok.oomKilled).toBe(false)
+  })
+})
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { FakeContainer, mockCleanroomDocker, unmockCleanroomDocker } from '../helpers/cleanroom.mjs'
+import { invocationLedgerDir, readInvocationLedger } from '@un-test/core'
+import { existsSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+
+/**
+ * Unit Tests for independent cleanroom handles, the warm pool and the image matrix
+ * Docker is replaced by an in-memory GenericContainer double.
+ */
+
+describe.sequential('Cleanroom handles, pool and matrix', () => {
+  let cleanroom
+  let scenario
+  const started = []
+  const stopped = []
+
+  class PoolContainer extends FakeContainer {
+    async start() {
+      const image = this.image
+      let running = true
+      started.push(image)
+      return {
+        exec: async (command) => {
+          if (!running) throw new Error('container stopped')
+          return this.exec(command)
+        },
+        stop: async () => {
+          running = false
+          stopped.push(image)
+        },
+      }
+    }
+
+    async exec(command) {
+      if (!command.includes('node')) return super.exec(command)
+      const args = command.slice(command.indexOf('node') + 2)
+      if (args[0] === 'slow') await new Promise((resolve) => setTimeout(resolve, 100))
+      if (args[0] === '--version' && this.image === 'node:16-alpine') {
+        return { exitCode: 1, output: '', stderr: 'SyntaxError: Unexpected token' }
+      }
+      return { exitCode: 0, output: `${this.image} ${args.join(' ')}`, stderr: '' }
+    }
+  }
+
+  beforeAll(async () => {
+    cleanroom = await mockCleanroomDocker(PoolContainer)
+    ;({ scenario } = await import('@un-test/scenario'))
+  })
+
+  afterAll(async () => {
+    await cleanroom.cleanroomPool.drain()
+    unmockCleanroomDocker()
+  })
+
+  it('should run independent handles side by side', async () => {
+    const node18 = await cleanroom.createCleanroom({ nodeImage: 'node:18-alpine' })
+    const node22 = await cleanroom.createCleanroom({ nodeImage: 'node:22-alpine' })
+
+    expect(node18.id).not.toBe(node22.id)
+    expect(cleanroom.isCleanroomActive()).toBe(false)
+
+    const startTime = Date.now()
+    const [a, b] = await Promise.all([
+      node18.run(['slow'], { cliPath: 'cli.mjs' }),
+      node22.run(['slow'], { cliPath: 'cli.mjs' }),
+    ])
+    expect(Date.now() - startTime).toBeLessThan(190)
+    a.expectSuccess().expectOutput('node:18-alpine slow')
+    b.expectSuccess().expectOutput('node:22-alpine slow')
+
+    await node18.teardown()
+    expect(node18.active).toBe(false)
+    expect(stopped).toContain('node:18-alpine')
+    await expect(node18.run(['--version'])).rejects.toThrow('has been torn down')
+    await node22.teardown()
+  })
+
+  it('should keep the legacy setupCleanroom/runCitty API on a shared handle', async () => {
+    const shared = await cleanroom.setupCleanroom({ nodeImage: 'node:20-alpine' })
+    expect(await cleanroom.setupCleanroom()).toBe(shared)
+
+    const result = await cleanroom.runCitty(['--help'], { cliPath: 'cli.mjs' })
+    result.expectOutput('node:20-alpine --help')
+
+    await cleanroom.teardownCleanroom()
+    expect(cleanroom.isCleanroomActive()).toBe(false)
+  })
+
+  it('should start one shared cleanroom for concurrent setup calls and reject different options', async () => {
+    const before = started.length
+    const [first, second] = await Promise.all([
+      cleanroom.setupCleanroom({ nodeImage: 'node:21-alpine' }),
+      cleanroom.setupCleanroom({ nodeImage: 'node:21-alpine' }),
+    ])
+    expect(second).toBe(first)
+    expect(started.slice(before)).toEqual(['node:21-alpine'])
+
+    await expect(cleanroom.setupCleanroom({ nodeImage: 'node:22-alpine' })).rejects.toThrow(
+      'setupCleanroom() was already called with different options'
+    )
+    expect(cleanroom.getCleanroom()).toBe(first)
+
+    await cleanroom.teardownCleanroom()
+    expect(stopped).toContain('node:21-alpine')
+  })
+
+  it('should record the calling test line of runs queued behind each other', async () => {
+    const room = await cleanroom.createCleanroom({ nodeImage: 'node:20-alpine' })
+    process.env.CTU_COVERAGE = '1'
+    process.env.CTU_RUN_ID = `cleanroom-pool-${process.pid}`
+    const existed = existsSync(invocationLedgerDir())
+
+    try {
+      const slow = room.run(['slow'], { cliPath: 'cli.mjs' })
+      const queued = room.run(['--version'], { cliPath: 'cli.mjs' })
+      await Promise.all([slow, queued])
+
+      const { entries } = readInvocationLedger({ runId: process.env.CTU_RUN_ID })
+      expect(entries.map(({ args, testFile, testName, line }) => ({ args, testFile, testName, line }))).toEqual([
+        { args: ['slow'], testFile: expect.stringMatching(/cleanroom-pool\.test\.mjs$/), testName: expect.stringContaining('queued behind'), line: expect.any(Number) },
+        { args: ['--version'], testFile: expect.stringMatching(/cleanroom-pool\.test\.mjs$/), testName: expect.stringContaining('queued behind'), line: expect.any(Number) },
+      ])
+      expect(entries[1].line).toBe(entries[0].line + 1)
+    } finally {
+      rmSync(existed ? join(invocationLedgerDir(), `${process.env.CTU_RUN_ID}.jsonl`) : invocationLedgerDir(), { recursive: true, force: true })
+      delete process.env.CTU_COVERAGE
+      delete process.env.CTU_RUN_ID
+      await room.teardown()
+    }
+  })
+
+  it('should reuse warm containers per image', async () => {
+    const pool = cleanroom.createCleanroomPool({ maxIdle: 1 })
+    const before = started.length
+
+    const first = await pool.acquire({ nodeImage: 'node:20-alpine' })
+    await pool.release(first)
+    const again = await pool.acquire({ nodeImage: 'node:20-alpine' })
+    expect(again).toBe(first)
+
+    const other = await pool.acquire({ nodeImage: 'node:22-alpine' })
+    expect(other).not.toBe(first)
+    expect(pool.stats()).toEqual({ inUse: 2, idle: 0 })
+
+    await pool.use({ nodeImage: 'node:22-alpine', memoryLimit: '1g' }, async (handle) => {
+      expect(handle).not.toBe(other)
+    })
+    expect(started.length - before).toBe(3)
+
+    await pool.drain()
+    expect(pool.stats()).toEqual({ inUse: 0, idle: 0 })
+    expect(again.active).toBe(false)
+  })
+
+  it('should run a scenario across an image matrix', async () => {
+    const pool = cleanroom.createCleanroomPool()
+    const help = scenario('Help works').step('Show help', ['--help'], { cliPath: 'cli.mjs' }).expectSuccess()
+
+    const { success, results } = await cleanroom.runCleanroomMatrix(['node:18-alpine', 'node:22-alpine'], help, { pool })
+
+    expect(success).toBe(true)
+    expect(results.map((entry) => entry.image)).toEqual(['node:18-alpine', 'node:22-alpine'])
+    expect(results[1].result.lastResult.stdout).toBe('node:22-alpine --help')
+    expect(pool.stats().idle).toBe(2)
+    await pool.drain()
+  })
+
+  it('should report which images failed', async () => {
+    const pool = cleanroom.createCleanroomPool()
+    const version = scenario('Version').step('Show version', ['--version'], { cliPath: 'cli.mjs' }).expectSuccess()
+
+    const error = await cleanroom
+      .runCleanroomMatrix(['node:16-alpine', 'node:20-alpine'], version, { pool })
+      .catch((err) => err)
+    expect(error.message).toContain('Cleanroom matrix failed on 1 of 2 images:\n  node:16-alpine: Expected exit code 0, got 1')
+    expect(error.results[1].success).toBe(true)
+
+    const summary = await cleanroom.runCleanroomMatrix(
+      ['node:16-alpine', 'node:20-alpine'],
+      async (room, image) => (await room.run(['--version'], { cliPath: 'cli.mjs' })).expectSuccess() && image,
+      { pool, throwOnFailure: false }
+    )
+    expect(summary.success).toBe(false)
+    expect(summary.results[1].result).toBe('node:20-alpine')
+    await pool.drain()
+  })
+})
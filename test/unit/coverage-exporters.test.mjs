@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { ASTAnalyzer, exportCoverage, toCobertura, toJUnit, toLcov } from '@un-test/coverage'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for the LCOV, Cobertura and JUnit coverage exporters
+ */
+
+const cli = `import { defineCommand, runMain } from 'citty'
+
+runMain(defineCommand({
+  meta: { name: 'demo' },
+  subCommands: {
+    build: defineCommand({
+      args: {
+        watch: { type: 'boolean' },
+        target: { type: 'string' },
+      },
+    }),
+    lint: defineCommand({ args: { path: { type: 'positional' } } }),
+  },
+}))
+`
+
+describe('Coverage exporters', () => {
+  let testDir
+  let report
+  let file
+
+  beforeAll(async () => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-exporters-'))
+    mkdirSync(join(testDir, 'test'))
+    writeFileSync(join(testDir, 'cli.mjs'), cli)
+    writeFileSync(join(testDir, 'test/cli.test.mjs'), `await runLocalCitty(['build', '--watch'])\n`)
+    report = await new ASTAnalyzer({ cliPath: join(testDir, 'cli.mjs'), testDir: join(testDir, 'test'), cacheDir: join(testDir, '.cache') }).analyze()
+    file = relative(process.cwd(), join(testDir, 'cli.mjs'))
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should write commands as LCOV functions and commands and args as lines', () => {
+    expect(toLcov(report)).toBe(
+      [
+        'TN:',
+        `SF:${file}`,
+        'FN:3,demo',
+        'FN:6,demo build',
+        'FN:12,demo lint',
+        'FNDA:0,demo',
+        'FNDA:1,demo build',
+        'FNDA:0,demo lint',
+        'FNF:3',
+        'FNH:1',
+        'DA:3,0',
+        'DA:6,1',
+        'DA:8,1',
+        'DA:9,0',
+        // lint and its positional share a line, which is uncovered until both are
+        'DA:12,0',
+        'LF:5',
+        'LH:2',
+        'end_of_record',
+        '',
+      ].join('\n')
+    )
+  })
+
+  it('should write a Cobertura class per file with a method per command', () => {
+    const xml = toCobertura(report, { sourceRoot: '/project' })
+
+    expect(xml).toContain('<coverage line-rate="0.4000" branch-rate="0" lines-covered="2" lines-valid="5"')
+    expect(xml).toContain('<source>/project</source>')
+    expect(xml).toContain(`<class name="${file}" filename="${file}" line-rate="0.4000"`)
+    expect(xml).toMatch(/<method name="demo build" signature="" line-rate="0.6667"[^>]*>\s*<lines>\s*<line number="6" hits="1" branch="false"\/>\s*<line number="8" hits="1" branch="false"\/>\s*<line number="9" hits="0" branch="false"\/>/)
+  })
+
+  it('should write a JUnit suite per command with a failing case per untested command or arg', () => {
+    const xml = toJUnit(report)
+
+    expect(xml).toContain('<testsuites name="demo CLI coverage" tests="6" failures="4" errors="0" time="0">')
+    expect(xml).toContain('<testsuite name="demo build" tests="3" failures="1" errors="0" skipped="0" time="0">')
+    expect(xml).toContain(`<testcase name="--watch" classname="demo build" file="${file}" line="8" time="0"/>`)
+    expect(xml).toContain('<failure type="uncovered" message="option --target of demo build is not used by any test"/>')
+    expect(xml).toContain('<failure type="uncovered" message="positional &lt;path&gt; of demo lint is not used by any test"/>')
+  })
+
+  it('should reject unknown formats', () => {
+    expect(() => exportCoverage(report, 'clover')).toThrow('Unknown coverage export format: clover\nSupported formats: lcov, cobertura, junit')
+  })
+})
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { runLocalCitty, runLocalCittyAsync, dialogue, formatTranscript } from '@un-test/runners-local'
+import { scenario } from '@un-test/scenario'
+import { playDialogue } from '../../packages/runners-local/dialogue.js'
+import { EventEmitter } from 'node:events'
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for scripted stdin dialogues
+ * Talks to a REAL readline-based fixture CLI - no mocks.
+ */
+
+describe('Interactive stdin dialogues', () => {
+  let testDir
+  let cliPath
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-dialogue-'))
+    cliPath = join(testDir, 'cli.mjs')
+    writeFileSync(
+      cliPath,
+      `import { createInterface } from 'node:readline/promises'
+const rl = createInterface({ input: process.stdin, output: process.stdout })
+const name = await rl.question('Project name? ')
+const template = await rl.question('Template? ')
+rl.close()
+console.log(\`Created \${name} from \${template || 'default'}\`)
+`,
+      'utf8'
+    )
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should answer prompts through runLocalCittyAsync', async () => {
+    const script = dialogue().waitFor(/Project name/).send('demo\n').waitFor('Template?').sendLine('minimal')
+
+    const result = await runLocalCittyAsync(['init'], { cliPath, dialogue: script })
+
+    result.expectSuccess().expectOutput('Created demo from minimal')
+    expect(result.transcript.map((entry) => entry.type)).toContain('send')
+  })
+
+  it('should accept a plain array of prompt entries', async () => {
+    const result = await runLocalCittyAsync(['init'], {
+      cliPath,
+      dialogue: [
+        { waitFor: 'Project name?', send: 'api\n' },
+        { waitFor: 'Template?', send: '\n' },
+      ],
+    })
+
+    result.expectSuccess().expectOutput('Created api from default')
+  })
+
+  it('should fail a prompt timeout with the transcript attached', async () => {
+    const script = dialogue().waitFor('Project name?').send('demo\n').waitFor(/License/, { timeout: 300 })
+
+    const error = await runLocalCittyAsync(['init'], { cliPath, dialogue: script }).then(
+      () => null,
+      (err) => err
+    )
+
+    expect(error.message).toContain('Timed out after 300ms waiting for stdout to match /License/ (prompt 2 of 2)')
+    expect(error.message).toContain('Transcript:')
+    expect(formatTranscript(error.transcript)).toContain('"demo\\n"')
+  })
+
+  it('should show the transcript in expectation failures after the dialogue', async () => {
+    const result = await runLocalCittyAsync(['init'], { cliPath, dialogue: dialogue().waitFor('Project name?').sendLine('demo') })
+
+    expect(result.result.transcript).toBe(result.transcript)
+    expect(() => result.expectOutput('Created other')).toThrow(/Expected stdout to match Created other[\s\S]*Transcript:[\s\S]*"demo\\n"/)
+  })
+
+  it('should stop listening to the process once it exits', async () => {
+    const events = new EventEmitter()
+    const output = { stdout: 'Name? ', stderr: '', exited: false }
+    const io = { events, output, write: () => {}, end: () => {}, kill: () => {} }
+
+    const transcript = await playDialogue([{ waitFor: 'Name?', send: 'x\n' }], io)
+    events.emit('stdout', 'Done')
+    events.emit('exit', { exitCode: 0 })
+    events.emit('stdout', 'late')
+
+    expect(transcript.map((entry) => entry.data)).toEqual(['Name?', 'x\n', 'Done'])
+    expect(events.eventNames()).toEqual([])
+  })
+
+  it('should point live process options to runLocalCittyAsync', () => {
+    expect(() => runLocalCitty(['init'], { cliPath, dialogue: dialogue().send('demo\n'), interactive: true })).toThrow(
+      'runLocalCitty() does not support `dialogue`, `interactive`, which need a live process\n' +
+        'Use runLocalCittyAsync() with the same options and await it: const result = await runLocalCittyAsync(["init"], { dialogue, interactive, ... })'
+    )
+    expect(() => runLocalCitty({ args: ['init'], cliPath, pty: true })).toThrow('await runLocalCittyAsync({ pty, ... })')
+  })
+
+  it('should allow manual send() on an interactive async handle', async () => {
+    const handle = runLocalCittyAsync(['init'], { cliPath, interactive: true })
+
+    await handle.waitForOutput('Project name?')
+    handle.send('manual\n')
+    await handle.waitForOutput('Template?')
+    handle.send('full\n').end()
+
+    const result = await handle
+    result.expectSuccess().expectOutput('Created manual from full')
+  })
+
+  it('should run interactive scenario steps', async () => {
+    const result = await scenario('Interactive init')
+      .step('Create project', ['init'], { cliPath })
+      .waitFor(/Project name/)
+      .send('scenario\n')
+      .waitFor(/Template/)
+      .send('\n')
+      .expectSuccess()
+      .expectOutput('Created scenario from default')
+      .execute()
+
+    expect(result.success).toBe(true)
+  })
+
+  it('should reject dialogues in cleanroom mode', async () => {
+    await expect(
+      scenario('Interactive cleanroom')
+        .mode('cleanroom')
+        .step('Create project', ['init'])
+        .waitFor(/Project name/)
+        .send('demo\n')
+        .expectSuccess()
+        .execute()
+    ).rejects.toThrow('only supported in local mode')
+  })
+})
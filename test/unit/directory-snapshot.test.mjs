@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  captureDirectory,
+  getSnapshotManager,
+  globToRegExp,
+  matchDirectorySnapshot,
+  resetSnapshotManager,
+  SnapshotConfig,
+  stringContaining,
+  wrapExpectation,
+} from '@un-test/core'
+import { chmodSync, existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for directory-tree snapshots of generated files
+ */
+
+describe('Directory snapshots', () => {
+  let testDir
+  let outDir
+  let testFile
+
+  const write = (path, content, mode) => {
+    const file = join(outDir, path)
+    mkdirSync(join(file, '..'), { recursive: true })
+    writeFileSync(file, content)
+    chmodSync(file, mode ?? 0o644)
+  }
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-directory-snapshot-'))
+    outDir = join(testDir, 'my-app')
+    testFile = join(testDir, 'gen.test.mjs')
+    mkdirSync(outDir)
+    chmodSync(outDir, 0o755)
+    write('package.json', '{\n  "name": "my-app"\n}\n')
+    write('bin/cli.mjs', "#!/usr/bin/env node\nconsole.log('hi')\n", 0o755)
+    write('assets/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]))
+    write('node_modules/dep/index.js', 'module.exports = {}\n')
+    write('debug.log', 'noise\n')
+    chmodSync(join(outDir, 'bin'), 0o755)
+    chmodSync(join(outDir, 'assets'), 0o755)
+    getSnapshotManager(new SnapshotConfig({ rootDir: testDir, ciMode: false, diffColor: false, recordRuns: false }))
+  })
+
+  afterEach(() => {
+    resetSnapshotManager()
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should capture the tree with text inline, binaries by hash and modes', () => {
+    const { files } = captureDirectory(outDir, { exclude: ['node_modules', '*.log'] })
+
+    expect(Object.keys(files)).toEqual(['assets/', 'assets/logo.png', 'bin/', 'bin/cli.mjs', 'package.json'])
+    expect(files['bin/']).toEqual({ mode: '755' })
+    expect(files['bin/cli.mjs']).toEqual({ mode: '755', content: "#!/usr/bin/env node\nconsole.log('hi')\n" })
+    expect(files['assets/logo.png']).toEqual({ mode: '644', size: 6, sha256: expect.stringMatching(/^[0-9a-f]{64}$/) })
+
+    expect(Object.keys(captureDirectory(outDir, { include: 'bin/**', modes: false }).files)).toEqual(['bin/', 'bin/cli.mjs'])
+    expect(() => captureDirectory(join(testDir, 'missing'))).toThrow('Cannot snapshot directory')
+  })
+
+  it('should match globs against relative paths', () => {
+    expect(globToRegExp('*.log').test('logs/debug.log')).toBe(true)
+    expect(globToRegExp('src/*.js').test('src/lib/index.js')).toBe(false)
+    expect(globToRegExp('src/**/*.{js,mjs}').test('src/lib/index.mjs')).toBe(true)
+    expect(globToRegExp('dist').test('dist/index.js')).toBe(true)
+  })
+
+  it('should report each changed file on mismatch', () => {
+    const options = { exclude: ['node_modules', '*.log'] }
+    expect(matchDirectorySnapshot(outDir, testFile, 'my-app', options).created).toBe(true)
+    expect(matchDirectorySnapshot(outDir, testFile, 'my-app', options).match).toBe(true)
+
+    write('package.json', '{\n  "name": "my-app",\n  "type": "module"\n}\n')
+    chmodSync(join(outDir, 'bin/cli.mjs'), 0o644)
+    write('assets/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x02, 0x03]))
+    write('README.md', '# my-app\n')
+
+    const result = matchDirectorySnapshot(outDir, testFile, 'my-app', options)
+    expect(result.match).toBe(false)
+    expect(result.error).toContain('❌ Directory snapshot mismatch: my-app')
+    expect(result.error).toContain('🔍 4 changes:')
+    expect(result.changes).toContain('  + README.md')
+    expect(result.changes).toContain('  ~ assets/logo.png: binary content changed (6 bytes → 7 bytes)')
+    expect(result.changes).toContain('  ~ bin/cli.mjs: mode 755 → 644')
+    expect(result.error).toContain('  ~ package.json\n')
+    expect(result.error).toContain('    -  "name": "my-app"\n    +  "name": "my-app",\n    +  "type": "module"')
+  })
+
+  it('should report property matcher failures before the first snapshot is written', () => {
+    const propertyMatchers = { files: { 'package.json': { content: stringContaining('"version"') } } }
+    const result = matchDirectorySnapshot(outDir, testFile, 'my-app', { exclude: ['node_modules', '*.log'], propertyMatchers })
+    expect(result.match).toBe(false)
+    expect(result.error).toContain('Property matchers do not match')
+    expect(existsSync(join(testDir, '__snapshots__/gen.test.my-app.snap'))).toBe(false)
+  })
+
+  it('should snapshot the files a command wrote through the expectation chain', () => {
+    const result = wrapExpectation({ exitCode: 0, stdout: 'Created my-app', stderr: '', args: ['gen', 'project'], cwd: testDir })
+
+    result.expectSuccess().expectDirectorySnapshot('my-app', { testFile, exclude: ['node_modules', '*.log'] })
+    expect(existsSync(join(testDir, '__snapshots__/gen.test.dir-my-app.snap'))).toBe(true)
+
+    rmSync(join(outDir, 'bin'), { recursive: true })
+    expect(() => result.expectDirectorySnapshot('my-app', { testFile, exclude: ['node_modules', '*.log'] })).toThrow('  - bin/cli.mjs')
+  })
+})
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  flushInlineSnapshots,
+  getSnapshotManager,
+  matchInlineSnapshot,
+  resetSnapshotManager,
+  stripSnapshotIndentation,
+  SnapshotConfig,
+  wrapExpectation,
+} from '@un-test/core'
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { pathToFileURL } from 'node:url'
+
+/**
+ * Unit Tests for inline snapshots that rewrite the test source
+ */
+
+const fixture = `import { test } from 'vitest'
+
+test('version', async () => {
+  result.expectSuccess().expectInlineSnapshot()
+  result
+    .expectInlineSnapshot({ type: 'stderr' })
+  result.expectInlineSnapshot(\`old\`)
+})
+`
+
+describe('Inline snapshots', () => {
+  let testDir
+  let testFile
+
+  // Stack-trace style location of the Nth expectInlineSnapshot on a line of the fixture
+  const at = (line) => {
+    const text = fixture.split('\n')[line - 1]
+    return { file: testFile, line, column: text.indexOf('expectInlineSnapshot') + 1 }
+  }
+  const useConfig = (options) => getSnapshotManager(new SnapshotConfig({ rootDir: testDir, ciMode: false, diffColor: false, ...options }))
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-inline-snapshot-'))
+    testFile = join(testDir, 'cli.test.mjs')
+    writeFileSync(testFile, fixture, 'utf8')
+    useConfig()
+  })
+
+  afterEach(() => {
+    resetSnapshotManager()
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should write new snapshots into the call site', async () => {
+    expect(matchInlineSnapshot('Usage: demo\n\nOptions:\n  --help', undefined, { location: at(4) })).toEqual({ match: true, created: true })
+    // Line numbers from the stack still refer to the file as it was loaded
+    expect(matchInlineSnapshot('warning: `x` is ${deprecated}', undefined, { location: at(6) }).created).toBe(true)
+    await flushInlineSnapshots()
+
+    expect(readFileSync(testFile, 'utf8')).toBe(`import { test } from 'vitest'
+
+test('version', async () => {
+  result.expectSuccess().expectInlineSnapshot(\`
+    Usage: demo
+
+    Options:
+      --help
+  \`)
+  result
+    .expectInlineSnapshot(\`warning: \\\`x\\\` is \\\${deprecated}\`, { type: 'stderr' })
+  result.expectInlineSnapshot(\`old\`)
+})
+`)
+  })
+
+  it('should compare against the dedented template literal', () => {
+    expect(stripSnapshotIndentation('\n    Usage: demo\n\n      --help\n  ')).toBe('Usage: demo\n\n  --help')
+    expect(stripSnapshotIndentation('1.0.0')).toBe('1.0.0')
+    expect(matchInlineSnapshot('Usage: demo\n  --help', '\n    Usage: demo\n      --help\n  ', { location: at(4) }).match).toBe(true)
+
+    const result = matchInlineSnapshot('new', 'old', { location: at(7) })
+    expect(result.match).toBe(false)
+    expect(result.error).toContain(`❌ Inline snapshot mismatch at ${testFile}:7`)
+    expect(result.error).toContain('-old\n+new')
+    expect(readFileSync(testFile, 'utf8')).toBe(fixture)
+  })
+
+  it('should rewrite changed snapshots only when updating and never create them in CI', async () => {
+    useConfig({ updateSnapshots: true })
+    expect(matchInlineSnapshot('new', 'old', { location: at(7) })).toEqual({ match: true, updated: true })
+    await flushInlineSnapshots()
+    expect(readFileSync(testFile, 'utf8')).toContain('result.expectInlineSnapshot(`new`)')
+
+    useConfig({ ciMode: true })
+    const missing = matchInlineSnapshot('1.0.0', undefined, { location: at(4) })
+    expect(missing.match).toBe(false)
+    expect(missing.error).toContain('❌ Missing inline snapshot')
+    expect(readFileSync(testFile, 'utf8')).toContain('result.expectSuccess().expectInlineSnapshot()')
+  })
+
+  it('should report rewrites that could not find their call site when flushing', async () => {
+    expect(matchInlineSnapshot('1.0.0', undefined, { location: { file: testFile, line: 2, column: 1 } }).created).toBe(true)
+
+    await expect(flushInlineSnapshots()).rejects.toThrow(`Could not find the expectInlineSnapshot() call at ${testFile}:2:1`)
+    await expect(flushInlineSnapshots()).resolves.toBeUndefined()
+    expect(readFileSync(testFile, 'utf8')).toBe(fixture)
+  })
+
+  it('should fail the process when it exits with rewrites nobody flushed', () => {
+    const core = pathToFileURL(join(import.meta.dirname, '../../packages/core/src/index.js')).href
+    const script = join(testDir, 'no-setup-file.mjs')
+    const runWithoutFlush = (location, exit) => {
+      writeFileSync(
+        script,
+        `import { getSnapshotManager, matchInlineSnapshot, SnapshotConfig } from '${core}'
+getSnapshotManager(new SnapshotConfig({ rootDir: ${JSON.stringify(testDir)}, ciMode: false, recordRuns: false }))
+matchInlineSnapshot('1.0.0', undefined, { location: ${JSON.stringify(location)} })
+${exit}
+`,
+        'utf8'
+      )
+      return spawnSync(process.execPath, [script], { cwd: testDir, encoding: 'utf8' })
+    }
+
+    const exited = runWithoutFlush(at(4), 'process.exit(0)')
+    expect(exited.status).toBe(1)
+    expect(exited.stderr).toContain('1 inline snapshot was still queued when the process exited')
+    expect(exited.stderr).toContain("Add '@un-test/core/vitest-setup' to test.setupFiles")
+    expect(readFileSync(testFile, 'utf8')).toBe(fixture)
+
+    const failed = runWithoutFlush({ file: testFile, line: 2, column: 1 }, '')
+    expect(failed.status).toBe(1)
+    expect(failed.stderr).toContain('1 inline snapshot could not be written:')
+    expect(failed.stderr).toContain(`Could not find the expectInlineSnapshot() call at ${testFile}:2:1`)
+
+    // Rewrites that landed need no flush
+    const written = runWithoutFlush(at(4), '')
+    expect(written.status).toBe(0)
+    expect(readFileSync(testFile, 'utf8')).toContain("result.expectSuccess().expectInlineSnapshot(`1.0.0`)")
+  })
+
+  it('should assert CLI results through the expectation chain', () => {
+    const result = wrapExpectation({ exitCode: 0, stdout: '1.0.0', stderr: 'warn', args: ['--version'], cwd: testDir })
+
+    result.expectSuccess().expectInlineSnapshot('1.0.0').expectInlineSnapshot('warn', { type: 'stderr' })
+    expect(() => result.expectInlineSnapshot('0.9.0', { location: at(7) })).toThrow('-0.9.0\n+1.0.0')
+  })
+})
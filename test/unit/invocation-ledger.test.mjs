@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { invocationFlags, invocationLedgerDir, readInvocationLedger, recordInvocation } from '@un-test/core'
+import { runLocalCitty } from '@un-test/runners-local'
+import { ASTAnalyzer } from '@un-test/coverage'
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for runtime invocation recording and the coverage report built from it
+ */
+
+const cli = `import { defineCommand, runMain } from 'citty'
+
+runMain(defineCommand({
+  meta: { name: 'demo' },
+  args: { verbose: { type: 'boolean' } },
+  subCommands: {
+    build: defineCommand({ args: { watch: { type: 'boolean' }, target: { type: 'string', options: ['node', 'web'] } } }),
+    deploy: defineCommand({ args: { env: { type: 'positional' } } }),
+    lint: defineCommand({}),
+  },
+}))
+`
+
+describe('Invocation ledger', () => {
+  let projectDir
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'ctu-invocation-ledger-'))
+    process.env.CTU_COVERAGE = '1'
+    process.env.CTU_RUN_ID = 'run-1'
+  })
+
+  afterEach(() => {
+    delete process.env.CTU_COVERAGE
+    delete process.env.CTU_RUN_ID
+    rmSync(projectDir, { recursive: true, force: true })
+  })
+
+  it('should list the flags an argv passes', () => {
+    expect(invocationFlags(['build', '--target=web', '-w', 'src', '--', '--not-a-flag'])).toEqual(['--target', '-w'])
+  })
+
+  it('should record invocations with the calling test only when CTU_COVERAGE is set', () => {
+    process.env.CTU_COVERAGE = 'false'
+    expect(recordInvocation({ runner: 'local', args: ['lint'], exitCode: 0 }, { cwd: projectDir })).toBe(false)
+    expect(readInvocationLedger({ cwd: projectDir })).toBeNull()
+
+    process.env.CTU_COVERAGE = '1'
+    expect(recordInvocation({ runner: 'local', args: ['build', '--watch'], exitCode: 0 }, { cwd: projectDir })).toBe(true)
+
+    const ledger = readInvocationLedger({ cwd: projectDir })
+    expect(ledger).toMatchObject({ runId: 'run-1', file: join(invocationLedgerDir(projectDir), 'run-1.jsonl') })
+    expect(ledger.entries).toEqual([
+      expect.objectContaining({
+        runner: 'local',
+        args: ['build', '--watch'],
+        flags: ['--watch'],
+        exitCode: 0,
+        testFile: expect.stringMatching(/test\/unit\/invocation-ledger\.test\.mjs$/),
+        testName: 'Invocation ledger > should record invocations with the calling test only when CTU_COVERAGE is set',
+      }),
+    ])
+  })
+
+  it('should prune old run ledgers that another worker removed first', async () => {
+    vi.resetModules()
+    vi.doMock('node:fs', async (importOriginal) => {
+      const actual = await importOriginal()
+      // Every ledger is gone by the time this worker unlinks it
+      return { ...actual, unlinkSync: (path) => (actual.unlinkSync(path), actual.unlinkSync(path)) }
+    })
+    try {
+      const { appendRunLedger, readRunLedger } = await import('../../packages/core/src/utils/run-ledger.js')
+      const dir = join(projectDir, 'runs')
+      mkdirSync(dir)
+      for (let run = 0; run < 8; run++) {
+        writeFileSync(join(dir, `old-${run}.jsonl`), '{}\n')
+        utimesSync(join(dir, `old-${run}.jsonl`), 1000 + run, 1000 + run)
+      }
+
+      appendRunLedger(dir, { args: ['build'] })
+      expect(readRunLedger(dir).entries).toEqual([expect.objectContaining({ args: ['build'] })])
+      expect(readdirSync(dir).filter((file) => file.endsWith('.jsonl')).sort()).toEqual(['old-4.jsonl', 'old-5.jsonl', 'old-6.jsonl', 'old-7.jsonl', 'run-1.jsonl'])
+    } finally {
+      vi.doUnmock('node:fs')
+      vi.resetModules()
+    }
+  })
+
+  it('should record runs of the local runner', async () => {
+    const cliPath = join(projectDir, 'cli.mjs')
+    writeFileSync(cliPath, `process.exit(process.argv.includes('--fail') ? 3 : 0)\n`)
+    process.env.CTU_RUN_ID = `invocation-ledger-${process.pid}`
+    const existed = existsSync(invocationLedgerDir())
+
+    try {
+      await runLocalCitty(['status', '--fail'], { cliPath })
+      const { entries } = readInvocationLedger({ runId: process.env.CTU_RUN_ID })
+      expect(entries).toEqual([
+        expect.objectContaining({ runner: 'local', cliPath, args: ['status', '--fail'], flags: ['--fail'], exitCode: 3, testName: 'Invocation ledger > should record runs of the local runner' }),
+      ])
+    } finally {
+      rmSync(existed ? join(invocationLedgerDir(), `${process.env.CTU_RUN_ID}.jsonl`) : invocationLedgerDir(), { recursive: true, force: true })
+    }
+  })
+
+  it('should report coverage from the recorded run', async () => {
+    const cliPath = join(projectDir, 'cli.mjs')
+    writeFileSync(cliPath, cli)
+    const analyze = () => new ASTAnalyzer({ cliPath, cwd: projectDir, runtime: true, cacheDir: join(projectDir, '.cache') }).analyze()
+    await expect(analyze()).rejects.toThrow(/No runtime invocation ledger found.*\n.*CTU_COVERAGE=1/)
+
+    const testFile = join(projectDir, 'test/cli.test.mjs')
+    const record = (runner, args, exitCode, path = cliPath) =>
+      recordInvocation({ runner, cliPath: path, args, exitCode, testFile, testName: 'cli' }, { cwd: projectDir })
+    record('local', ['build', '--target', 'web'], 0)
+    record('local', ['build', '--watch'], 1)
+    record('cleanroom', ['deploy', 'prod'], 0, '/app/src/cli.mjs')
+    // Another CLI run by the same tests
+    record('local', ['lint'], 0, join(projectDir, 'other-cli.mjs'))
+
+    const report = await analyze()
+
+    expect(report.metadata).toMatchObject({ analysisMethod: 'Runtime invocation ledger', runId: 'run-1', totalInvocations: 3, totalTestFiles: 1 })
+    expect(Object.keys(report.commands).filter((path) => report.commands[path].tested)).toEqual(['demo build', 'demo deploy'])
+    expect(report.commands['demo build'].exitCodes).toEqual({ 0: 1, 1: 1 })
+    expect(report.coverage.summary.subcommands).toMatchObject({ tested: 2, total: 3 })
+    expect(report.coverage.details.args['demo build'].target).toEqual({ tested: true, untestedValues: ['node'] })
+    expect(report.coverage.details.untestedFlags.map((flag) => `${flag.command} --${flag.name}`)).toEqual(['demo --verbose'])
+    expect(report.coverage.details.args['demo deploy'].env.tested).toBe(true)
+  })
+})
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { z } from 'zod'
+import { parseJsonOutput, validateJsonSchema, validateSchema, wrapExpectation } from '@un-test/core'
+
+/**
+ * Unit Tests for schema-validated JSON output assertions
+ */
+
+const packageSchema = {
+  type: 'object',
+  required: ['name', 'version'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    private: { type: 'boolean' },
+    tags: { type: 'array', items: { $ref: '#/$defs/tag' } },
+  },
+  $defs: {
+    tag: { enum: ['stable', 'beta'] },
+  },
+}
+
+const zodPackage = z.object({
+  name: z.string().min(1),
+  version: z.string().regex(/^\d+\.\d+\.\d+$/),
+  tags: z.array(z.enum(['stable', 'beta'])).optional(),
+})
+
+const run = (stdout) => wrapExpectation({ exitCode: 0, stdout, stderr: '', args: ['info', '--json'], command: 'demo info --json' })
+
+describe('JSON schema assertions', () => {
+  it('should report every JSON Schema violation with its path', () => {
+    expect(validateJsonSchema({ name: 'core', version: '1.0.0', tags: ['stable'] }, packageSchema)).toEqual([])
+
+    const messages = validateJsonSchema({ name: '', version: 1, tags: ['stable', 'nightly'], main: 'index.js' }, packageSchema).map(
+      (violation) => violation.message
+    )
+    expect(messages).toEqual([
+      '$.name: expected at least 1 character, got 0',
+      '$.version: expected string, got 1',
+      '$.tags[1]: expected one of "stable", "beta", got "nightly"',
+      '$.main: unexpected property "index.js"',
+    ])
+    expect(validateJsonSchema({}, packageSchema).map((violation) => violation.path)).toEqual(['$.name', '$.version'])
+  })
+
+  it('should cover combinators, numbers and tuples', () => {
+    const schema = {
+      type: 'array',
+      prefixItems: [{ type: 'integer', minimum: 0 }, { anyOf: [{ type: 'string' }, { type: 'null' }] }],
+      items: { not: { type: 'boolean' } },
+      maxItems: 3,
+    }
+    expect(validateJsonSchema([1, null, 'x'], schema)).toEqual([])
+    expect(validateJsonSchema([-1.5, 2, true, 4], schema).map((violation) => violation.message)).toEqual([
+      '$: expected at most 3 items, got 4',
+      '$[0]: expected integer, got -1.5',
+      '$[1]: expected a value matching one of 2 schemas, got 2',
+      '$[2]: expected a value not matching the schema, got true',
+    ])
+  })
+
+  it('should accept zod schemas and report issues by path', () => {
+    expect(validateSchema({ name: 'core', version: '1.0.0' }, zodPackage)).toEqual([])
+    const violations = validateSchema({ name: 'core', version: 'latest', tags: ['beta', 'rc'] }, zodPackage)
+    expect(violations.map((violation) => violation.path)).toEqual(['$.version', '$.tags[1]'])
+    expect(violations[0].message).toMatch(/^\$\.version: /)
+  })
+
+  it('should validate each NDJSON line as its own record', () => {
+    expect(parseJsonOutput('{"a":1}\n\n{"a":2}\n', { ndjson: true })).toEqual([
+      { line: 1, value: { a: 1 } },
+      { line: 3, value: { a: 2 } },
+    ])
+
+    const events = z.object({ level: z.enum(['info', 'warn']), message: z.string() })
+    run('{"level":"info","message":"start"}\n{"level":"warn","message":"slow"}\n').expectJsonSchema(events, { ndjson: true })
+
+    const error = (() => {
+      try {
+        run('{"level":"info","message":"start"}\n{"level":"debug"}\nnot json\n').expectJsonSchema(events, { ndjson: true })
+      } catch (caught) {
+        return caught.message
+      }
+    })()
+    expect(error).toContain('Expected 3 NDJSON records to match the schema, found 3 violations:')
+    expect(error).toMatch(/ {2}line 2: \$\.level: .*\n {2}line 2: \$\.message: /)
+    expect(error).toContain('  line 3: invalid JSON (')
+    expect(error).toContain('Command: demo info --json')
+  })
+
+  it('should assert a single JSON document through the expectation chain', () => {
+    run('{"name":"core","version":"1.0.0"}').expectSuccess().expectJsonSchema(packageSchema).expectJsonSchema(zodPackage)
+    expect(() => run('{"name":"core","version":"1.0"}').expectJsonSchema(packageSchema)).toThrow(
+      'Expected JSON output to match the schema, found 1 violation:\n  $.version: expected to match /^\\d+\\.\\d+\\.\\d+$/, got "1.0"'
+    )
+    expect(() => run('').expectJsonSchema(packageSchema)).toThrow('stdout is empty')
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { runLocalCittyAsync } from '@un-test/runners-local'
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for the asynchronous, streaming local runner
+ * Executes a REAL fixture CLI - no mocks.
+ */
+
+describe('runLocalCittyAsync', () => {
+  let testDir
+  let cliPath
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-async-runner-'))
+    cliPath = join(testDir, 'cli.mjs')
+    writeFileSync(
+      cliPath,
+      `const args = process.argv.slice(2)
+if (args[0] === 'ticks') {
+  let n = 0
+  const timer = setInterval(() => {
+    console.log('tick ' + ++n)
+    if (n === 3) { clearInterval(timer); process.exit(0) }
+  }, 20)
+} else if (args[0] === 'serve') {
+  console.log('listening')
+  setInterval(() => {}, 1000)
+} else if (args[0] === 'fail') {
+  console.error('boom')
+  process.exit(2)
+} else {
+  console.log(JSON.stringify({ args }))
+}
+`,
+      'utf8'
+    )
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should resolve to the same wrapped result as runLocalCitty', async () => {
+    const result = await runLocalCittyAsync(['hello', 'world'], { cliPath })
+
+    expect(result.exitCode).toBe(0)
+    expect(result.json).toEqual({ args: ['hello', 'world'] })
+    result.expectSuccess().expectOutput('hello')
+    expect(result.durationMs).toBeGreaterThanOrEqual(0)
+  })
+
+  it('should stream stdout chunks as they arrive', async () => {
+    const chunks = []
+    const handle = runLocalCittyAsync(['ticks'], { cliPath, onStdout: (chunk) => chunks.push(chunk) })
+
+    expect(handle.pid).toBeTypeOf('number')
+    await handle.waitForOutput('tick 1')
+    expect(handle.stdout).toContain('tick 1')
+
+    const result = await handle
+    expect(chunks.join('')).toContain('tick 3')
+    result.expectSuccess()
+  })
+
+  it('should run two CLIs side by side and kill a long-running one', async () => {
+    const server = runLocalCittyAsync(['serve'], { cliPath })
+    await server.waitForOutput(/listening/)
+
+    const client = await runLocalCittyAsync(['ping'], { cliPath })
+    client.expectSuccess()
+
+    expect(server.kill()).toBe(true)
+    const result = await server
+    expect(result.signal).toBe('SIGTERM')
+    result.expectFailure()
+  })
+
+  it('should report failures without throwing unless failFast is set', async () => {
+    const result = await runLocalCittyAsync(['fail'], { cliPath })
+    result.expectExit(2).expectStderr('boom')
+
+    await expect(runLocalCittyAsync(['fail'], { cliPath, failFast: true })).rejects.toThrow(
+      'Command failed'
+    )
+  })
+
+  it('should kill the process on timeout and on abort', async () => {
+    const timedOut = await runLocalCittyAsync(['serve'], { cliPath, timeout: 200 })
+    expect(timedOut.success).toBe(false)
+    expect(timedOut.stderr).toContain('timed out after 200ms')
+
+    const controller = new AbortController()
+    const handle = runLocalCittyAsync(['serve'], { cliPath, signal: controller.signal })
+    await handle.waitForOutput('listening')
+    controller.abort()
+    const aborted = await handle
+    expect(aborted.stderr).toContain('Command aborted')
+  })
+
+  it('should reject waitForOutput when the process exits first', async () => {
+    const handle = runLocalCittyAsync(['once'], { cliPath })
+    await expect(handle.waitForOutput('never printed')).rejects.toThrow('Process exited before')
+    await handle
+  })
+
+  it('should resolve to an error result for a missing CLI with positional args', async () => {
+    const result = await runLocalCittyAsync(['--help'], { cliPath: join(testDir, 'missing.mjs') })
+    expect(result.exitCode).toBe(1)
+    expect(result.stderr).toContain('CLI file not found')
+  })
+})
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import { runLocalCitty, runLocalCittyAsync, createSandbox, cleanupSandboxes } from '@un-test/runners-local'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { homedir, tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+/**
+ * Unit Tests for hermetic local runner sandboxes
+ * Executes a REAL fixture CLI - no mocks.
+ */
+
+describe('Local runner sandbox', () => {
+  let testDir
+  let cliPath
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-sandbox-test-'))
+    cliPath = join(testDir, 'cli.mjs')
+    writeFileSync(
+      cliPath,
+      `import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { homedir, tmpdir } from 'node:os'
+import { join } from 'node:path'
+const [command] = process.argv.slice(2)
+if (command === 'login') {
+  const dir = join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'demo')
+  mkdirSync(dir, { recursive: true })
+  writeFileSync(join(dir, 'auth.json'), '{"token":"abc"}')
+  writeFileSync('.demorc', 'logged-in')
+  console.log('saved')
+} else if (command === 'whoami') {
+  const file = join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'demo/auth.json')
+  if (!existsSync(file)) { console.error('not logged in'); process.exit(1) }
+  console.log(readFileSync(file, 'utf8'))
+} else if (command === 'env') {
+  console.log(JSON.stringify({ cwd: process.cwd(), home: homedir(), tmp: tmpdir(), env: process.env }))
+} else if (command === 'cat') {
+  console.log(readFileSync(process.argv[3], 'utf8'))
+}
+`,
+      'utf8'
+    )
+  })
+
+  afterEach(() => {
+    cleanupSandboxes()
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should redirect cwd, HOME, XDG dirs and tmpdir and scrub the env', async () => {
+    process.env.CTU_SECRET_TOKEN = 'leak'
+    const result = await runLocalCitty(['env'], { cliPath, sandbox: true, env: { DEMO_MODE: '1' } })
+    delete process.env.CTU_SECRET_TOKEN
+
+    const seen = result.json
+    const { sandbox } = result
+    expect(seen.cwd).toBe(sandbox.cwd)
+    expect(seen.home).toBe(sandbox.home)
+    expect(seen.tmp).toBe(sandbox.tmp)
+    expect(seen.home).not.toBe(homedir())
+    expect(seen.env).toMatchObject({ XDG_CONFIG_HOME: sandbox.config, XDG_CACHE_HOME: sandbox.cache, DEMO_MODE: '1' })
+    expect(seen.env.PATH).toBe(process.env.PATH)
+    expect(seen.env).not.toHaveProperty('CTU_SECRET_TOKEN')
+  })
+
+  it('should let tests inspect what the CLI wrote and reuse the sandbox across runs', async () => {
+    const sandbox = createSandbox()
+    const login = await runLocalCitty(['login'], { cliPath, sandbox })
+    login.expectSuccess()
+    expect(login.sandbox).toBe(sandbox)
+    expect(readFileSync(sandbox.path('.demorc'), 'utf8')).toBe('logged-in')
+    expect(existsSync(join(sandbox.config, 'demo/auth.json'))).toBe(true)
+
+    const whoami = await runLocalCittyAsync(['whoami'], { cliPath, sandbox })
+    whoami.expectSuccess().expectOutput('abc')
+
+    // A fresh sandbox shares nothing with the previous one
+    const fresh = await runLocalCitty(['whoami'], { cliPath, sandbox: true })
+    fresh.expectFailure().expectStderr('not logged in')
+  })
+
+  it('should seed the sandbox from fixture directories and inline files', async () => {
+    const fixtureDir = join(testDir, 'fixture-project')
+    mkdirSync(fixtureDir, { recursive: true })
+    writeFileSync(join(fixtureDir, 'package.json'), '{ "name": "fixture" }')
+
+    const sandbox = createSandbox({
+      fixtures: { cwd: fixtureDir, config: { 'demo/auth.json': { token: 'seeded' } } },
+    })
+    const project = await runLocalCitty(['cat', 'package.json'], { cliPath, sandbox })
+    project.expectSuccess().expectOutput('"fixture"')
+    const whoami = await runLocalCitty(['whoami'], { cliPath, sandbox })
+    whoami.expectSuccess().expectOutput('seeded')
+
+    expect(() => createSandbox({ fixtures: { nowhere: {} } })).toThrow('Unknown sandbox fixture area: "nowhere"')
+    expect(() => createSandbox({ fixtures: join(testDir, 'missing') })).toThrow('Sandbox fixture directory not found')
+  })
+
+  it('should remove sandboxes on cleanup unless kept for a failed run', async () => {
+    const sandbox = createSandbox({ keep: 'on-failure' })
+    await runLocalCitty(['login'], { cliPath, sandbox })
+    expect(existsSync(sandbox.root)).toBe(true)
+    expect(sandbox.cleanup()).toBe(false)
+    expect(existsSync(sandbox.root)).toBe(false)
+
+    // Sandboxes the run created itself are removed when it finishes
+    const passed = await runLocalCitty(['login'], { cliPath, sandbox: { keep: 'on-failure' } })
+    expect(existsSync(passed.sandbox.root)).toBe(false)
+    const asyncRun = await runLocalCittyAsync(['login'], { cliPath, sandbox: true })
+    expect(existsSync(asyncRun.sandbox.root)).toBe(false)
+
+    const failed = await runLocalCitty(['whoami'], { cliPath, sandbox: { keep: 'on-failure' } })
+    expect(failed.sandbox.failed).toBe(true)
+    expect(existsSync(failed.sandbox.root)).toBe(true)
+    rmSync(failed.sandbox.root, { recursive: true, force: true })
+
+    const kept = await runLocalCitty(['login'], { cliPath, sandbox: { keep: 'always' } })
+    expect(existsSync(kept.sandbox.root)).toBe(true)
+    rmSync(kept.sandbox.root, { recursive: true, force: true })
+
+    expect(() => createSandbox({ keep: 'sometimes' })).toThrow('Invalid sandbox keep policy')
+  })
+})
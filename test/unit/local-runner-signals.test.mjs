@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { runLocalCittyAsync } from '@un-test/runners-local'
+import { wrapExpectation } from '@un-test/core'
+import { existsSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for signal delivery and graceful-shutdown assertions
+ * Executes a REAL fixture CLI - no mocks.
+ */
+
+describe('Signal delivery', () => {
+  let testDir
+  let cliPath
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-signals-'))
+    cliPath = join(testDir, 'cli.mjs')
+    writeFileSync(
+      cliPath,
+      `import { writeFileSync, rmSync } from 'node:fs'
+const [command, lockFile] = process.argv.slice(2)
+if (command === 'graceful') {
+  writeFileSync(lockFile, String(process.pid))
+  process.on('SIGINT', () => {
+    rmSync(lockFile, { force: true })
+    console.log('cleaned up')
+    process.exit(130)
+  })
+  console.log('ready')
+  setInterval(() => {}, 1000)
+} else if (command === 'stubborn') {
+  process.on('SIGTERM', () => console.log('ignoring SIGTERM'))
+  console.log('ready')
+  setInterval(() => {}, 1000)
+} else if (command === 'slow-shutdown') {
+  process.on('SIGTERM', () => setTimeout(() => process.exit(0), 400))
+  console.log('ready')
+  setInterval(() => {}, 1000)
+} else {
+  console.log('ready')
+  setInterval(() => {}, 1000)
+}
+`,
+      'utf8'
+    )
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should let a CLI handle Ctrl-C, clean up and exit with 130', async () => {
+    const lockFile = join(testDir, 'graceful.lock')
+    const handle = runLocalCittyAsync(['graceful', lockFile], { cliPath })
+    await handle.waitForOutput('ready')
+    expect(existsSync(lockFile)).toBe(true)
+
+    expect(await handle.sendSignal('SIGINT')).toBe(true)
+    const result = await handle
+
+    result.expectExit(130).expectSignal('SIGINT').expectExitWithin(1000).expectOutput('cleaned up')
+    expect(result.signalsSent).toEqual([{ name: 'SIGINT', atMs: expect.any(Number) }])
+    expect(existsSync(lockFile)).toBe(false)
+  })
+
+  it('should record the terminating signal of a CLI without a handler', async () => {
+    const result = await runLocalCittyAsync(['idle'], { cliPath, sendSignal: { name: 'SIGINT', after: 300 } })
+
+    expect(result.signal).toBe('SIGINT')
+    expect(result.exitCode).toBe(130)
+    result.expectFailure().expectSignal('SIGINT')
+    expect(() => result.expectSignal('SIGTERM')).toThrow(
+      'Expected command to be terminated by SIGTERM, but it exited with code 130 (signal SIGINT)'
+    )
+  })
+
+  it('should measure the shutdown window from the signal', async () => {
+    const result = await runLocalCittyAsync(['slow-shutdown'], { cliPath, sendSignal: { name: 'SIGTERM', after: 300 } })
+
+    result.expectSuccess().expectExitWithin(2000)
+    expect(() => result.expectExitWithin(100)).toThrow('Expected command to exit within 100ms of SIGTERM')
+    expect(result.signal).toBe(null)
+  })
+
+  it('should not deliver signals after the process exited', async () => {
+    const handle = runLocalCittyAsync(['idle'], { cliPath, timeout: 300 })
+    const late = handle.sendSignal('SIGINT', { after: 5000 })
+    const result = await handle
+
+    expect(await late).toBe(false)
+    expect(result.signalsSent).toEqual([])
+    expect(result.signal).toBe('SIGTERM')
+  })
+
+  it('should SIGKILL a CLI that ignores SIGTERM after the grace period', async () => {
+    const result = await runLocalCittyAsync(['stubborn'], { cliPath, timeout: 300, gracePeriod: 200 })
+
+    expect(result.signal).toBe('SIGKILL')
+    expect(result.exitCode).toBe(137)
+    result.expectOutput('ignoring SIGTERM').expectStderr('Command timed out after 300ms')
+  })
+
+  it('should not leave failFast rejections of unawaited handles unhandled', async () => {
+    const unhandled = []
+    const onUnhandled = (reason) => unhandled.push(reason)
+    process.on('unhandledRejection', onUnhandled)
+    try {
+      const handle = runLocalCittyAsync(['idle'], { cliPath, timeout: 200, failFast: true })
+      await new Promise((resolvePromise) => handle.on('exit', resolvePromise))
+      await new Promise((resolvePromise) => setTimeout(resolvePromise, 50))
+    } finally {
+      process.off('unhandledRejection', onUnhandled)
+    }
+
+    expect(unhandled).toEqual([])
+  })
+
+  it('should reject unknown signal names', async () => {
+    expect(() => runLocalCittyAsync(['idle'], { cliPath, sendSignal: 'SIGNOPE' })).toThrow('Unknown signal: SIGNOPE')
+    const handle = runLocalCittyAsync(['idle'], { cliPath, timeout: 300 })
+    await expect(handle.sendSignal('SIGNOPE')).rejects.toThrow('Unknown signal')
+    await handle
+  })
+
+  it('should accept shell-style exit codes in expectSignal', () => {
+    wrapExpectation({ exitCode: 143, stdout: '', stderr: '' }).expectSignal('SIGTERM')
+    expect(() => wrapExpectation({ exitCode: 0, stdout: '', stderr: '' }).expectSignal('SIGINT')).toThrow(
+      'Signals sent: none'
+    )
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  formatSnapshotSummary,
+  readSnapshotRunSummary,
+  snapshotSummaryReporter,
+  SnapshotConfig,
+  SnapshotManager,
+} from '@un-test/core'
+import { existsSync, mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for CI snapshot mode and the snapshot run summary
+ */
+
+describe('CI snapshot mode', () => {
+  let testDir
+  let testFile
+  const originalCI = process.env.CI
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-snapshot-ci-'))
+    testFile = join(testDir, 'cli.test.mjs')
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    if (originalCI === undefined) delete process.env.CI
+    else process.env.CI = originalCI
+    delete process.env.CTU_RUN_ID
+  })
+
+  const createManager = (options) => new SnapshotManager(new SnapshotConfig({ rootDir: testDir, diffColor: false, ...options }))
+
+  it('should fail missing snapshots instead of writing them', () => {
+    const result = createManager({ ciMode: true }).matchSnapshot('Usage: demo', testFile, 'help')
+
+    expect(result.match).toBe(false)
+    expect(result.missing).toBe(true)
+    expect(result.error).toContain('❌ Missing snapshot: help')
+    expect(result.error).toContain('Snapshots are not written in CI')
+    expect(existsSync(join(testDir, '__snapshots__/cli.test.help.snap'))).toBe(false)
+  })
+
+  it('should turn on with any truthy CI value and stay off when ciMode is false', () => {
+    process.env.CI = 'true'
+    expect(new SnapshotConfig().ciMode).toBe(true)
+    expect(new SnapshotConfig({ ciMode: false }).ciMode).toBe(false)
+
+    process.env.CI = '1'
+    expect(new SnapshotConfig().ciMode).toBe(true)
+    process.env.CI = 'woodpecker'
+    expect(new SnapshotConfig().ciMode).toBe(true)
+
+    for (const value of ['false', '0', '']) {
+      process.env.CI = value
+      expect(new SnapshotConfig().ciMode).toBe(false)
+    }
+    delete process.env.CI
+    expect(new SnapshotConfig().ciMode).toBe(false)
+  })
+
+  it('should reject updateSnapshots in CI unless forced', () => {
+    createManager({ ciMode: false }).matchSnapshot('Usage: demo', testFile, 'help')
+
+    const rejected = createManager({ ciMode: true, updateSnapshots: true }).matchSnapshot('Usage: demo <cmd>', testFile, 'help')
+    expect(rejected.match).toBe(false)
+    expect(rejected.error).toContain('Refusing to update snapshot in CI: help')
+
+    const forced = createManager({ ciMode: true, updateSnapshots: true, forceUpdate: true }).matchSnapshot('Usage: demo <cmd>', testFile, 'help')
+    expect(forced).toMatchObject({ match: true, updated: true })
+  })
+
+  it('should summarize written, updated, matched and failed snapshots', () => {
+    process.env.CTU_RUN_ID = 'summary-run'
+    const local = createManager({ ciMode: false })
+    local.matchSnapshot('Usage: demo', testFile, 'help')
+    local.matchSnapshot('1.0.0', testFile, 'version')
+    local.matchSnapshot('Usage: demo', testFile, 'help')
+    local.matchSnapshot('2.0.0', testFile, 'version')
+    createManager({ ciMode: true }).matchSnapshot('ok', testFile, 'status')
+    createManager({ ciMode: false, updateSnapshots: true }).matchSnapshot('Usage: demo', testFile, 'help')
+
+    const names = (entries) => entries.map((entry) => `${entry.snapshotName}:${entry.status}`)
+    const summary = readSnapshotRunSummary({ cwd: testDir, runId: 'summary-run' })
+    expect(summary.runId).toBe('summary-run')
+    expect(summary.total).toBe(3)
+    expect(names(summary.written)).toEqual([])
+    expect(names(summary.updated)).toEqual(['help:updated'])
+    expect(names(summary.failed)).toEqual(['version:failed', 'status:missing'])
+    expect(names(local.getSummary().matched)).toEqual(['help:matched'])
+
+    expect(formatSnapshotSummary(summary, { cwd: testDir }).split('\n')).toEqual([
+      '📸 Snapshots: 0 written, 1 updated, 0 matched, 2 failed',
+      '  updated  __snapshots__/cli.test.help.snap',
+      '  failed   __snapshots__/cli.test.version.snap',
+      '  missing  __snapshots__/cli.test.status.snap',
+    ])
+  })
+
+  it('should hand the run summary to vitest reporters', () => {
+    let received
+    const reporter = snapshotSummaryReporter({ cwd: testDir, onSummary: (summary) => (received = summary) })
+    reporter.onInit({ config: { root: testDir } })
+    expect(process.env.CTU_RUN_ID).toMatch(/^vitest-/)
+
+    createManager({ ciMode: false }).matchSnapshot('Usage: demo', testFile, 'help')
+    reporter.onFinished()
+
+    expect(received.runId).toBe(process.env.CTU_RUN_ID)
+    expect(received.written.map((entry) => entry.snapshotName)).toEqual(['help'])
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { diffLines, unifiedDiff, SnapshotConfig, SnapshotManager } from '@un-test/core'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for line-based snapshot diffs
+ */
+
+const help = ['Usage: demo [options]', '', 'Options:', '  --help     Show help', '  --version  Show version', '  --json     JSON output', '', 'Commands:', '  init', '  build', '  deploy', '  status']
+
+describe('Snapshot diffs', () => {
+  let testDir
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-snapshot-diff-'))
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should report one inserted line instead of every shifted line', () => {
+    const received = ['demo v2.0.0', ...help].join('\n')
+    const edits = diffLines(help.join('\n'), received)
+
+    expect(edits.filter((edit) => edit.type !== 'equal')).toEqual([{ type: 'insert', value: 'demo v2.0.0' }])
+    expect(unifiedDiff(help.join('\n'), received, { color: false })).toBe(
+      ['--- Snapshot  -0', '+++ Received  +1', '@@ -1,3 +1,4 @@', '+demo v2.0.0', ' Usage: demo [options]', ' ', ' Options:'].join('\n')
+    )
+    expect(unifiedDiff('same', 'same')).toBe('')
+  })
+
+  it('should split distant changes into hunks with context', () => {
+    const received = [...help]
+    received[0] = 'Usage: demo <command> [options]'
+    received.splice(11, 1)
+
+    const diff = unifiedDiff(help.join('\n'), received.join('\n'), { color: false, context: 1 })
+    expect(diff).toBe(
+      [
+        '--- Snapshot  -2',
+        '+++ Received  +1',
+        '@@ -1,2 +1,2 @@',
+        '-Usage: demo [options]',
+        '+Usage: demo <command> [options]',
+        ' ',
+        '@@ -11,2 +11,1 @@',
+        '   deploy',
+        '-  status',
+      ].join('\n')
+    )
+  })
+
+  it('should highlight changed words when colors are on', () => {
+    const diff = unifiedDiff('  --help  Show help', '  --help  Show usage', { color: true })
+    expect(diff).toContain('\u001B[31m-  --help  Show \u001B[7mhelp\u001B[27m\u001B[39m')
+    expect(diff).toContain('\u001B[32m+  --help  Show \u001B[7musage\u001B[27m\u001B[39m')
+  })
+
+  it('should truncate very long diffs', () => {
+    const received = help.map((line) => `${line}!`).join('\n')
+    const diff = unifiedDiff(help.join('\n'), received, { color: false, maxLines: 5 })
+    expect(diff.split('\n')).toHaveLength(8)
+    expect(diff).toMatch(/\.\.\. \d+ more diff lines$/)
+  })
+
+  it('should put the unified diff in snapshot failure messages', () => {
+    const manager = new SnapshotManager(new SnapshotConfig({ ciMode: false, diffColor: false }))
+    const testFile = join(testDir, 'help.test.mjs')
+    manager.matchSnapshot(help.join('\n'), testFile, 'help')
+
+    const result = manager.matchSnapshot(['demo v2.0.0', ...help].join('\n'), testFile, 'help')
+    expect(result.match).toBe(false)
+    expect(result.error).toContain('@@ -1,3 +1,4 @@\n+demo v2.0.0\n Usage: demo [options]')
+    expect(result.error).not.toContain('+Usage')
+
+    manager.matchSnapshot({ version: 1, name: 'demo' }, testFile, 'json')
+    const json = manager.matchSnapshot({ version: 2, name: 'demo' }, testFile, 'json')
+    expect(json.error).toContain('-  "version": 1,\n+  "version": 2,')
+  })
+})
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  findObsoleteSnapshots,
+  getPendingSnapshotReviews,
+  listSnapshots,
+  readLastSnapshotRun,
+  resolveSnapshotReview,
+  SnapshotConfig,
+  SnapshotManager,
+} from '@un-test/core'
+import { runLocalCitty, runLocalCittyAsync } from '@un-test/runners-local'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, unlinkSync, writeFileSync } from 'node:fs'
+import { join, resolve } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for the snapshot run ledger and the ctu snapshot commands
+ */
+
+const cliPath = resolve('packages/cli/index.mjs')
+
+describe('Snapshot lifecycle', () => {
+  let projectDir
+  let manager
+  let testFile
+
+  const readData = (name) => JSON.parse(readFileSync(join(projectDir, 'test/__snapshots__', name), 'utf8')).data
+
+  // Each call is one test run with its own ledger
+  const testRun = (runId, body) => {
+    process.env.CTU_RUN_ID = runId
+    try {
+      body()
+    } finally {
+      delete process.env.CTU_RUN_ID
+    }
+  }
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'ctu-snapshot-lifecycle-'))
+    mkdirSync(join(projectDir, 'test'))
+    testFile = join(projectDir, 'test/cli.test.mjs')
+    writeFileSync(testFile, '', 'utf8')
+    writeFileSync(join(projectDir, 'test/legacy.test.mjs'), '', 'utf8')
+    manager = new SnapshotManager(new SnapshotConfig({ rootDir: projectDir, ciMode: false, diffColor: false }))
+
+    testRun('run-1', () => {
+      manager.matchSnapshot('Usage: demo', testFile, 'help')
+      manager.matchSnapshot('1.0.0', testFile, 'version')
+      manager.matchSnapshot({ ok: true }, join(projectDir, 'test/legacy.test.mjs'), 'status')
+    })
+  })
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true })
+  })
+
+  it('should find snapshots that the last run did not use or whose test file is gone', () => {
+    unlinkSync(join(projectDir, 'test/legacy.test.mjs'))
+    testRun('run-2', () => {
+      manager.matchSnapshot('Usage: demo', testFile, 'help')
+    })
+
+    expect(listSnapshots(projectDir).map((snapshot) => snapshot.name)).toEqual([
+      'cli.test.help.snap',
+      'cli.test.version.snap',
+      'legacy.test.status.snap',
+    ])
+    expect(readLastSnapshotRun({ cwd: projectDir }).runId).toBe('run-2')
+
+    const obsolete = findObsoleteSnapshots(projectDir, { cwd: projectDir })
+    expect(obsolete.map(({ name, reason }) => [name, reason])).toEqual([
+      ['cli.test.version.snap', 'not used in the last run'],
+      ['legacy.test.status.snap', 'test file deleted'],
+    ])
+  })
+
+  it('should keep failed snapshots pending until they are accepted or rejected', () => {
+    testRun('run-2', () => {
+      expect(manager.matchSnapshot('Usage: demo <command>', testFile, 'help').match).toBe(false)
+      expect(manager.matchSnapshot('2.0.0', testFile, 'version').match).toBe(false)
+    })
+
+    const reviews = getPendingSnapshotReviews({ cwd: projectDir })
+    expect(reviews.map(({ snapshotName, expected, received }) => [snapshotName, expected, received])).toEqual([
+      ['help', 'Usage: demo', 'Usage: demo <command>'],
+      ['version', '1.0.0', '2.0.0'],
+    ])
+
+    resolveSnapshotReview(reviews[0], 'accept', { cwd: projectDir })
+    resolveSnapshotReview(reviews[1], 'reject', { cwd: projectDir })
+
+    expect(readData('cli.test.help.snap')).toBe('Usage: demo <command>')
+    expect(readData('cli.test.version.snap')).toBe('1.0.0')
+    expect(getPendingSnapshotReviews({ cwd: projectDir })).toEqual([])
+    expect(() => resolveSnapshotReview(reviews[0], 'maybe', { cwd: projectDir })).toThrow('Unknown review decision: "maybe"')
+  })
+
+  it('should review failed snapshots interactively with ctu snapshot review', async () => {
+    testRun('run-2', () => {
+      manager.matchSnapshot('Usage: demo <command>', testFile, 'help')
+      manager.matchSnapshot('2.0.0', testFile, 'version')
+    })
+
+    const result = await runLocalCittyAsync(['snapshot', 'review'], {
+      cliPath,
+      cwd: projectDir,
+      env: { NO_COLOR: '1' },
+      dialogue: [
+        { waitFor: '[a]ccept', send: 'a\n' },
+        { waitFor: '[2/2]', send: '' },
+        { waitFor: '[a]ccept', send: 's\n' },
+      ],
+    })
+
+    result.expectSuccess().expectOutput('-Usage: demo\n+Usage: demo <command>').expectOutput('Accepted 1, rejected 0, left 1 for later')
+    expect(readData('cli.test.help.snap')).toBe('Usage: demo <command>')
+    expect(readData('cli.test.version.snap')).toBe('1.0.0')
+
+    const pending = await runLocalCitty(['snapshot', 'review', '--json'], { cliPath, cwd: projectDir })
+    expect(JSON.parse(pending.result.stdout).map((review) => review.name)).toEqual(['version'])
+  })
+
+  it('should list and prune obsolete snapshots from the command line', async () => {
+    unlinkSync(join(projectDir, 'test/legacy.test.mjs'))
+
+    const list = await runLocalCitty(['snapshot', 'list', '--json'], { cliPath, cwd: projectDir })
+    list.expectSuccess()
+    expect(JSON.parse(list.result.stdout).snapshots.map((snapshot) => [snapshot.name, snapshot.lastRun])).toEqual([
+      ['help', 'created'],
+      ['version', 'created'],
+      ['status', 'created'],
+    ])
+
+    const dryRun = await runLocalCitty(['snapshot', 'prune', '--dry-run'], { cliPath, cwd: projectDir })
+    dryRun.expectSuccess().expectOutput('legacy.test.status.snap (test file deleted)').expectOutput('Would delete 1 snapshot')
+    expect(existsSync(join(projectDir, 'test/__snapshots__/legacy.test.status.snap'))).toBe(true)
+
+    const prune = await runLocalCitty(['snapshot', 'prune', '--yes'], { cliPath, cwd: projectDir })
+    prune.expectSuccess().expectOutput('Deleted 1 snapshot')
+    expect(existsSync(join(projectDir, 'test/__snapshots__/legacy.test.status.snap'))).toBe(false)
+    expect(existsSync(join(projectDir, 'test/__snapshots__/cli.test.help.snap'))).toBe(true)
+  })
+})
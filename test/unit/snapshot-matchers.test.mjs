@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import {
+  any,
+  anything,
+  arrayContaining,
+  compareStructures,
+  objectContaining,
+  stringContaining,
+  stringMatching,
+  SnapshotConfig,
+  SnapshotManager,
+} from '@un-test/core'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for structural JSON snapshot comparison and asymmetric matchers
+ */
+
+const packages = {
+  name: 'workspace',
+  items: [
+    { name: 'core', version: '1.0.0' },
+    { name: 'cli', version: '1.1.0' },
+    { name: 'scenario', version: '0.9.0' },
+    { name: 'coverage', version: '1.2.0', tags: ['stable'] },
+  ],
+}
+
+describe('Structural snapshot comparison', () => {
+  let testDir
+  let testFile
+  let manager
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-snapshot-matchers-'))
+    testFile = join(testDir, 'json.test.mjs')
+    manager = new SnapshotManager(new SnapshotConfig({ rootDir: testDir, ciMode: false, diffColor: false, recordRuns: false }))
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should address every difference by its JSON path', () => {
+    const received = structuredClone(packages)
+    received.items[3].version = '1.3.0'
+    received.items[3].tags.push('beta')
+    delete received.items[1].version
+    received['content-type'] = 'json'
+
+    expect(compareStructures(received, packages).map((difference) => difference.message)).toEqual([
+      '$.items[1].version: missing, expected "1.1.0"',
+      '$.items[3].version: expected "1.2.0", got "1.3.0"',
+      '$.items[3].tags[1]: unexpected "beta"',
+      '$["content-type"]: unexpected "json"',
+    ])
+    expect(compareStructures({ items: null }, { items: [] })).toMatchObject([{ path: '$.items', type: 'mismatch' }])
+  })
+
+  it('should match volatile values by shape', () => {
+    const expected = {
+      id: any(String),
+      count: any(Number),
+      createdBy: anything(),
+      version: stringMatching(/^v\d+\.\d+/),
+      log: stringContaining('done'),
+      items: arrayContaining([objectContaining({ name: 'cli' })]),
+    }
+    const received = { id: 'a1b2', count: 3, createdBy: 'ci', version: 'v2.1.0', log: 'build done in 3s', items: packages.items }
+    expect(compareStructures(received, expected)).toEqual([])
+
+    const messages = compareStructures({ ...received, id: 42, createdBy: null, version: '2.1.0', items: [] }, expected).map((difference) => difference.message)
+    expect(messages).toEqual([
+      '$.id: expected Any<String>, got 42',
+      '$.createdBy: expected Anything, got null',
+      '$.version: expected StringMatching /^v\\d+\\.\\d+/, got "2.1.0"',
+      '$.items: expected ArrayContaining [ObjectContaining {"name": "cli"}], got []',
+    ])
+  })
+
+  it('should store property matchers in the snapshot file and list path differences on mismatch', () => {
+    const propertyMatchers = { buildId: any(String), items: { 0: { version: stringMatching(/^1\./) } } }
+    const first = manager.matchSnapshot({ buildId: 'b-1', ...packages }, testFile, 'packages', { propertyMatchers })
+    expect(first.created).toBe(true)
+
+    const snapshotPath = join(testDir, '__snapshots__/json.test.packages.snap')
+    const stored = JSON.parse(readFileSync(snapshotPath, 'utf8'))
+    expect(stored.data.buildId).toEqual({ $matcher: 'any', expected: 'String' })
+    expect(stored.data.items[0].version).toEqual({ $matcher: 'stringMatching', expected: '/^1\\./' })
+    expect(stored.metadata.options).not.toHaveProperty('propertyMatchers')
+
+    const rebuilt = structuredClone(packages)
+    rebuilt.items[0].version = '1.0.1'
+    expect(manager.matchSnapshot({ buildId: 'b-2', ...rebuilt }, testFile, 'packages', { propertyMatchers }).match).toBe(true)
+
+    rebuilt.items[3].version = '1.3.0'
+    const changed = manager.matchSnapshot({ buildId: 'b-3', ...rebuilt }, testFile, 'packages', { propertyMatchers })
+    expect(changed.match).toBe(false)
+    expect(changed.error).toContain('$.items[3].version: expected "1.2.0", got "1.3.0"')
+    // Satisfied matchers are not reported as changes in the line diff
+    expect(changed.error).not.toContain('buildId')
+  })
+
+  it('should read matchers written by hand into a snapshot file', () => {
+    const snapshotPath = join(testDir, '__snapshots__/json.test.status.snap')
+    writeFileSync(
+      snapshotPath,
+      JSON.stringify({ data: { pid: { $matcher: 'any', expected: 'Number' }, state: 'ready' }, metadata: { testFile, snapshotName: 'status' } }),
+      'utf8'
+    )
+
+    expect(manager.matchSnapshot({ pid: 4242, state: 'ready' }, testFile, 'status').match).toBe(true)
+    expect(manager.matchSnapshot({ pid: 'none', state: 'ready' }, testFile, 'status').error).toContain('$.pid: expected Any<Number>, got "none"')
+
+    const invalid = manager.matchSnapshot({ buildId: 7, ...packages }, testFile, 'fresh', { propertyMatchers: { buildId: any(String) } })
+    expect(invalid.match).toBe(false)
+    expect(invalid.error).toContain('Property matchers do not match')
+  })
+})
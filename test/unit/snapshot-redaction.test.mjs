@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import {
+  applySnapshotRules,
+  registerSnapshotRedactor,
+  registerSnapshotSerializer,
+  resetSnapshotRegistry,
+  SnapshotConfig,
+  SnapshotManager,
+} from '@un-test/core'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { homedir, tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+/**
+ * Unit Tests for snapshot serializers and redactors
+ */
+
+describe('Snapshot serializers and redactors', () => {
+  let testDir
+
+  beforeAll(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-redaction-'))
+  })
+
+  afterEach(() => {
+    resetSnapshotRegistry()
+  })
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should mask volatile values with the default redactors', () => {
+    const output = [
+      `Created ${join(testDir, 'demo/package.json')}`,
+      `Config: ${join(homedir(), '.config/demo.json')}`,
+      `Project: ${join(process.cwd(), 'src/cli.mjs')}`,
+      'Run id 3f2b6c1e-8a4d-4f1b-9c2e-7d6a5b4c3e2f',
+      'Done in 1.42s (took 123ms), pid: 4242',
+      'Retry after 30s with v1.2.3',
+    ].join('\n')
+
+    expect(applySnapshotRules(output).split('\n')).toEqual([
+      'Created <TMP>/demo/package.json',
+      'Config: <HOME>/.config/demo.json',
+      'Project: <CWD>/src/cli.mjs',
+      'Run id [UUID]',
+      'Done in [DURATION] (took [DURATION]), pid: [PID]',
+      'Retry after 30s with v1.2.3',
+    ])
+  })
+
+  it('should apply opt-in built-ins and custom rules recursively to JSON', () => {
+    const data = {
+      version: '2.0.0-beta.1',
+      banner: '\u001B[32mready\u001B[39m',
+      files: { [join(testDir, 'out.txt')]: 'token=abc123' },
+      steps: [{ note: 'token=zzz', at: new Date('2024-01-02T03:04:05Z') }],
+      tags: new Set(['a', 'b']),
+    }
+
+    const redacted = applySnapshotRules(data, {
+      builtins: ['ansi', 'tempDir', 'semver'],
+      redactors: [{ pattern: /token=\w+/, replacement: 'token=[TOKEN]' }, (text) => text.replace('ready', 'READY')],
+    })
+
+    expect(redacted).toEqual({
+      version: '[VERSION]',
+      banner: 'READY',
+      files: { '<TMP>/out.txt': 'token=[TOKEN]' },
+      steps: [{ note: 'token=[TOKEN]', at: '2024-01-02T03:04:05.000Z' }],
+      tags: ['a', 'b'],
+    })
+    expect(() => applySnapshotRules('x', { builtins: ['nope'] })).toThrow('Unknown snapshot redactor: "nope"')
+  })
+
+  it('should use global and per-snapshot rules when matching snapshots', () => {
+    registerSnapshotRedactor({ pattern: /session \w+/g, replacement: 'session [ID]' })
+    registerSnapshotSerializer({ test: (value) => value instanceof URL, serialize: (value) => value.pathname })
+
+    const manager = new SnapshotManager(new SnapshotConfig({ ciMode: false, diffColor: false }))
+    const testFile = join(testDir, 'login.test.mjs')
+    const first = manager.matchSnapshot({ url: new URL('https://a.test/login'), log: 'session abc, user 17' }, testFile, 'login', {
+      redact: [/user \d+/],
+    })
+    expect(first.created).toBe(true)
+
+    const stored = JSON.parse(readFileSync(join(testDir, '__snapshots__/login.test.login.snap'), 'utf8'))
+    expect(stored.data).toEqual({ url: '/login', log: 'session [ID], [REDACTED]' })
+    expect(stored.metadata.options).not.toHaveProperty('redact')
+
+    const second = manager.matchSnapshot({ url: new URL('https://b.test/login'), log: 'session xyz, user 99' }, testFile, 'login', {
+      redact: [/user \d+/],
+    })
+    expect(second.match).toBe(true)
+
+    const changed = manager.matchSnapshot({ url: new URL('https://b.test/logout'), log: 'session xyz, user 99' }, testFile, 'login', {
+      redact: [/user \d+/],
+    })
+    expect(changed.match).toBe(false)
+    expect(changed.error).toContain('-  "url": "/login",\n+  "url": "/logout",')
+  })
+
+  it('should read redactors from the config, including the legacy customMatchers option', () => {
+    const manager = new SnapshotManager(
+      new SnapshotConfig({ ciMode: false, redactors: [/secret-\w+/], customMatchers: [{ pattern: 'ACME Corp', replacement: '<ORG>' }], builtinRedactors: false })
+    )
+    expect(manager.prepareData('ACME Corp key secret-123 in 12ms')).toBe('<ORG> key [REDACTED] in 12ms')
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import { wrapExpectation } from '@un-test/core'
+import { wrapWithAssertions } from '@un-test/runners-local'
+import { scenario } from '@un-test/scenario'
+
+/**
+ * Unit Tests for soft assertions on CLI results and scenario steps
+ */
+
+const cliResult = (overrides = {}) =>
+  wrapWithAssertions({
+    exitCode: 1,
+    stdout: 'Error: missing config',
+    stderr: 'warning: deprecated flag',
+    args: ['build'],
+    command: 'demo build',
+    cwd: '/tmp',
+    ...overrides,
+  })
+
+const failure = async (run) => {
+  try {
+    await run()
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected the assertions to fail')
+}
+
+describe('Soft assertions', () => {
+  it('should collect every failed expectation and throw them together', async () => {
+    const soft = cliResult().soft().expectSuccess().expectOutput(/USAGE/).expectStderr('deprecated').expectNoStderr()
+    expect(soft.failures.map((entry) => entry.assertion)).toEqual(['expectSuccess()', 'expectOutput(/USAGE/)', 'expectNoStderr()'])
+
+    const error = await failure(() => soft.assertAll())
+    expect(error.message.split('\n').slice(0, 4)).toEqual([
+      '3 of 4 expectations failed',
+      'Command: demo build',
+      '',
+      '1) expectSuccess(): Expected exit code 0, got 1',
+    ])
+    expect(error.message).toContain('\n   Command: demo build\n')
+    expect(error.message).toContain('2) expectOutput(/USAGE/): Expected stdout to match /USAGE/')
+    expect(error.errors).toHaveLength(3)
+  })
+
+  it('should pass through when every expectation holds and support a callback', async () => {
+    const result = cliResult({ exitCode: 0, stdout: 'USAGE demo', stderr: '' })
+    expect(result.soft().expectSuccess().expectOutput('USAGE').assertAll()).toBe(result)
+    expect(result.soft((r) => r.expectSuccess().expectNoStderr())).toBe(result)
+
+    const error = await failure(() => wrapExpectation({ exitCode: 2, stdout: '', stderr: '' }).soft(async (r) => r.expectExit(0).expectOutput('x')))
+    expect(error.message).toMatch(/^2 of 2 expectations failed\n\n1\) expectExit\(0\)/)
+  })
+
+  it('should report all failures of a soft scenario step', async () => {
+    const runner = async () => cliResult()
+    const error = await failure(() =>
+      scenario('Build')
+        .step('Build', 'build')
+        .soft()
+        .expectSuccess()
+        .expectOutput('Built')
+        .expect((result) => {
+          if (!result.stdout.includes('done')) throw new Error('Expected "done" in stdout')
+        })
+        .execute(runner)
+    )
+
+    expect(error.message).toContain('3 expectations failed\nStep: Build')
+    expect(error.message).toContain('1) expectSuccess(): Expected exit code 0')
+    expect(error.message).toContain('2) expectOutput("Built"): Expected stdout to match Built')
+    expect(error.message).toContain('3) expect() #3: Expected "done" in stdout')
+  })
+
+  it('should keep running a soft scenario and fail once with every failed step', async () => {
+    const runner = async (args) => cliResult(args[0] === 'help' ? { exitCode: 0, stdout: 'USAGE demo' } : {})
+    const error = await failure(() =>
+      scenario('CLI')
+        .step('Build', 'build')
+        .expectSuccess()
+        .step('Help', 'help')
+        .expectSuccess()
+        .step('Deploy', 'deploy')
+        .expectOutput('Deployed')
+        .execute(runner, { soft: true })
+    )
+
+    expect(error.message.split('\n').slice(0, 4)).toEqual(['2 of 3 steps failed', 'Scenario: CLI', '', '1) Step "Build": 1 expectation failed'])
+    expect(error.message).toContain('2) Step "Deploy": 1 expectation failed')
+    expect(error.results.map((entry) => entry.success)).toEqual([false, true, false])
+
+    // Without soft mode the scenario still stops at the first failure
+    const first = await failure(() => scenario('CLI').step('Build', 'build').expectSuccess().step('Help', 'help').expectSuccess().execute(runner))
+    expect(first.message).toMatch(/^Expected exit code 0, got 1/)
+  })
+})
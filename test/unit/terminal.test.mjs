@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { renderTerminal, stripAnsi, wrapExpectation } from '@un-test/core'
+import { runLocalCitty, runLocalCittyAsync } from '@un-test/runners-local'
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+const hasNodePty = (() => {
+  try {
+    createRequire(new URL('../../packages/runners-local/index.js', import.meta.url))('node-pty')
+    return true
+  } catch {
+    return false
+  }
+})()
+
+describe('ANSI-aware terminal assertions', () => {
+  describe('renderTerminal', () => {
+    it('should render carriage-return spinners to their final frame', () => {
+      const screen = renderTerminal('⠋ Loading\r⠙ Loading\r\u001B[2K✔ Done\n')
+      expect(screen.lines).toEqual(['✔ Done'])
+    })
+
+    it('should apply cursor movement and line erasing', () => {
+      const screen = renderTerminal('line 1\nline 2\n\u001B[2A\u001B[2Kupdated\n', { columns: 20, rows: 5 })
+      expect(screen.text).toBe('updated\nline 2')
+    })
+
+    it('should track SGR colors per cell', () => {
+      const screen = renderTerminal('ok \u001B[31mfailed\u001B[39m \u001B[1;38;5;10mbright\u001B[0m')
+      const [failed] = screen.find('failed')
+      expect(failed.styles.every((style) => style.color === 'red')).toBe(true)
+      expect(screen.find('bright')[0].styles[0]).toMatchObject({ color: 'greenBright', bold: true })
+      expect(screen.find('ok')[0].styles[0].color).toBeNull()
+    })
+
+    it('should wrap at the configured column count and keep the last rows visible', () => {
+      const screen = renderTerminal('abcdefgh\n1\n2\n3', { columns: 4, rows: 3 })
+      expect(screen.lines).toEqual(['1', '2', '3'])
+      expect(screen.buffer).toHaveLength(5)
+    })
+
+    it('should strip escape sequences including OSC hyperlinks', () => {
+      expect(stripAnsi('\u001B]8;;https://x.dev\u0007link\u001B]8;;\u0007 \u001B[32mok\u001B[0m')).toBe('link ok')
+    })
+  })
+
+  describe('wrapExpectation terminal layer', () => {
+    const result = {
+      exitCode: 0,
+      stdout: 'Build ✔ done',
+      rawOutput: 'Build \u001B[32m✔ done\u001B[39m\r\n\u001B[31mwarning\u001B[39m',
+      stderr: '',
+      columns: 80,
+      rows: 24,
+    }
+
+    it('should assert on the rendered screen', () => {
+      const wrapped = wrapExpectation(result)
+      wrapped.expectScreen('Build ✔ done\nwarning').expectScreen(/warning$/).expectScreenContains('✔ done')
+      expect(() => wrapped.expectScreen('nope')).toThrow('Expected rendered screen to match "nope"')
+    })
+
+    it('should assert colors and styles of rendered substrings', () => {
+      const wrapped = wrapExpectation(result)
+      wrapped.expectColor('warning', 'red').expectStyle('✔ done', { color: 'green', bold: false }).expectAnsi()
+      expect(() => wrapped.expectColor('warning', 'green')).toThrow(
+        'Expected "warning" to be rendered as green, got:\n  line 2: red'
+      )
+      expect(() => wrapped.expectColor('missing', 'red')).toThrow('never appeared')
+    })
+
+    it('should detect plain output', () => {
+      wrapExpectation({ exitCode: 0, stdout: 'plain', stderr: '' }).expectNoAnsi()
+    })
+  })
+
+  describe.skipIf(!hasNodePty)('PTY execution mode', () => {
+    let testDir
+    let cliPath
+
+    beforeAll(() => {
+      testDir = mkdtempSync(join(tmpdir(), 'ctu-pty-'))
+      cliPath = join(testDir, 'cli.mjs')
+      writeFileSync(
+        cliPath,
+        `if (process.stdout.isTTY) {
+  process.stdout.write('columns=' + process.stdout.columns + '\\n')
+  process.stdout.write('\\u001B[31mError:\\u001B[39m colored\\n')
+} else {
+  process.stdout.write('piped\\n')
+}
+`,
+        'utf8'
+      )
+    })
+
+    afterAll(() => {
+      rmSync(testDir, { recursive: true, force: true })
+    })
+
+    it('should run the CLI with a TTY of the configured size', async () => {
+      const result = await runLocalCittyAsync(['status'], { cliPath, pty: { columns: 120, rows: 30 } })
+
+      expect(result.tty).toBe(true)
+      result.expectSuccess().expectOutput('columns=120').expectColor('Error:', 'red').expectScreenContains('colored')
+      expect(result.stdout).not.toContain('\u001B')
+    })
+
+    it('should keep using pipes without the pty option', () => {
+      runLocalCitty(['status'], { cliPath }).expectSuccess().expectOutput('piped').expectNoAnsi()
+    })
+  })
+})
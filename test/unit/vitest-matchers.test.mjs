@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import '@un-test/core/vitest-setup'
+import { getSnapshotManager, resetSnapshotManager, SnapshotConfig } from '@un-test/core'
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+/**
+ * Unit Tests for the vitest matchers installed by @un-test/core/vitest-setup
+ */
+
+const cliResult = (overrides = {}) => ({
+  exitCode: 0,
+  stdout: 'USAGE demo <command>\n\nCOMMANDS\n  build\n  info',
+  stderr: '',
+  args: ['--help'],
+  command: 'demo --help',
+  cwd: process.cwd(),
+  ...overrides,
+})
+
+const failure = (assertion) => {
+  try {
+    assertion()
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected the assertion to fail')
+}
+
+describe('Vitest CLI matchers', () => {
+  let testDir
+  let testFile
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'ctu-vitest-matchers-'))
+    testFile = join(testDir, 'cli.test.mjs')
+    getSnapshotManager(new SnapshotConfig({ rootDir: testDir, ciMode: false, diffColor: false, recordRuns: false }))
+  })
+
+  afterEach(() => {
+    resetSnapshotManager()
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should assert exit codes with the chain message and a vitest diff', async () => {
+    const result = cliResult({ exitCode: 2, stderr: 'Unknown command' })
+    expect(result).toHaveExitCode(2)
+    expect(result).not.toHaveExitCode(0)
+
+    const error = failure(() => expect(result).toHaveExitCode(0))
+    expect(error.message).toContain('Expected exit code 0, got 2\nCommand: demo --help')
+    expect(error).toMatchObject({ actual: 2, expected: 0 })
+    expect(failure(() => expect(result).not.toHaveExitCode(2)).message).toBe('Expected exit code not to be 2\nCommand: demo --help')
+
+    await expect(Promise.resolve(result)).resolves.toHaveExitCode(2)
+    expect(() => expect('text').toHaveExitCode(0)).toThrow('toHaveExitCode() expects a CLI result')
+  })
+
+  it('should match stdout and stderr by substring or pattern', () => {
+    const result = cliResult({ stderr: 'warning: deprecated flag' })
+    expect(result).toHaveStdout(/^USAGE/)
+    expect(result).toHaveStdout('build')
+    expect(result).not.toHaveStdout('deploy')
+    expect(result).toHaveStderr(/deprecated/)
+    expect(failure(() => expect(result).toHaveStdout('deploy')).message).toContain('Expected stdout to match deploy')
+  })
+
+  it('should validate JSON output against a schema', () => {
+    const result = cliResult({ stdout: '{"name":"demo","version":1}' })
+    const schema = { type: 'object', properties: { version: { type: 'string' } } }
+    expect(result).toHaveJson()
+    expect(result).not.toHaveJson(schema)
+    expect(failure(() => expect(result).toHaveJson(schema)).message).toContain('$.version: expected string, got 1')
+    expect(cliResult()).not.toHaveJson()
+  })
+
+  it('should snapshot results and hand vitest the stored and received values', () => {
+    expect(cliResult()).toMatchCliSnapshot('help', { testFile })
+    expect(cliResult()).toMatchCliSnapshot('help', { testFile })
+    expect(cliResult({ stdout: '{"version":"1.0.0"}' })).toMatchCliSnapshot({ testFile, type: 'json' })
+    expect(readdirSync(join(testDir, '__snapshots__')).sort()).toEqual([
+      'cli.test.Vitest-CLI-matchers-should-snapshot-results-and-hand-vitest-the-stored-and-received-values-1.snap',
+      'cli.test.help.snap',
+    ])
+
+    const error = failure(() => expect(cliResult({ stdout: 'USAGE demo <command>\n\nCOMMANDS\n  build' })).toMatchCliSnapshot('help', { testFile }))
+    expect(error.message).toContain('❌ Snapshot mismatch: help')
+    expect(error.message).not.toContain('📊 Diff')
+    expect(error.expected).toContain('  info')
+    expect(error.actual).not.toContain('  info')
+  })
+
+  let attempts = 0
+  it('should number default-named snapshots from 1 again when a test is retried', { retry: 1 }, () => {
+    attempts++
+    // The same test file on every attempt, so only the reset restarts the numbering
+    const retryDir = join(tmpdir(), `ctu-vitest-matchers-retry-${process.pid}`)
+    const retryFile = join(retryDir, 'cli.test.mjs')
+    try {
+      expect(cliResult()).toMatchCliSnapshot({ testFile: retryFile })
+      expect(cliResult({ stdout: 'second' })).toMatchCliSnapshot({ testFile: retryFile })
+      expect(readdirSync(join(retryDir, '__snapshots__')).map((file) => file.replace(/^.*-(\d+)\.snap$/, '$1')).sort()).toEqual(['1', '2'])
+    } finally {
+      rmSync(retryDir, { recursive: true, force: true })
+    }
+    if (attempts === 1) throw new Error('first attempt fails')
+  })
+})